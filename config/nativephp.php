@@ -131,6 +131,22 @@ return [
         'storage/logs/laravel.log'
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Dispatchable Events
+    |--------------------------------------------------------------------------
+    |
+    | Event classes your frontend may dispatch back to Laravel with
+    | Events.dispatch(). NativePHP's own events and the events declared by
+    | installed plugins are always allowed. Wildcards are supported
+    | (e.g. App\Events\Native\*).
+    |
+    */
+
+    'dispatchable_events' => [
+        // App\Events\OrderPlaced::class,
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Runtime Configuration
@@ -217,6 +233,33 @@ return [
         ],
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | File Roots
+    |--------------------------------------------------------------------------
+    |
+    | The File API (from PHP and from JavaScript) only reaches files inside
+    | these named directories. Relative paths resolve against "documents"
+    | unless another root is given. Built in are "documents", "cache",
+    | "temp" and "app-bundle" (your public directory); add roots or
+    | override their locations here. Roots listed under "read_only" can
+    | be read and listed, but never written to or deleted from.
+    |
+    | File URLs (File.url() / File.Url from JavaScript) stay valid for
+    | "url_ttl" seconds unless revoked sooner.
+    |
+    */
+
+    'files' => [
+        'roots' => [
+            // 'exports' => storage_path('app/exports'),
+        ],
+
+        'read_only' => ['app-bundle'],
+
+        'url_ttl' => env('NATIVEPHP_FILE_URL_TTL', 3600),
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Development Server Configuration
@@ -205,6 +205,9 @@ dependencies {
     // AndroidX Security for encrypted storage
     implementation(libs.androidx.security.crypto)
 
+    // WorkManager for background uploads
+    implementation("androidx.work:work-runtime-ktx:2.9.1")
+
     // CameraX for camera preview
     val camerax_version = "1.4.1"
     implementation("androidx.camera:camera-core:$camerax_version")
@@ -3,6 +3,7 @@ package com.nativephp.mobile.bridge
 import android.content.Context
 import androidx.fragment.app.FragmentActivity
 import com.nativephp.mobile.bridge.functions.EdgeFunctions
+import com.nativephp.mobile.bridge.functions.UploadFunctions
 import com.nativephp.mobile.bridge.plugins.registerPluginBridgeFunctions
 
 /**
@@ -14,6 +15,15 @@ fun registerBridgeFunctions(activity: FragmentActivity, context: Context) {
 
     registry.register("Edge.Set", EdgeFunctions.Set())
 
+    // Uploads run in WorkManager and can outlive the activity
+    UploadManager.init(context)
+    registry.register("Upload.Start", UploadFunctions.Start())
+    registry.register("Upload.Pause", UploadFunctions.Pause())
+    registry.register("Upload.Resume", UploadFunctions.Resume())
+    registry.register("Upload.Cancel", UploadFunctions.Cancel())
+    registry.register("Upload.Status", UploadFunctions.Status())
+    registry.register("Upload.List", UploadFunctions.List())
+
     // Register plugin bridge functions
     registerPluginBridgeFunctions(activity, context)
 }
\ No newline at end of file
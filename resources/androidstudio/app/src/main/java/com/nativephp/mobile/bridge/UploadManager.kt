@@ -0,0 +1,273 @@
+package com.nativephp.mobile.bridge
+
+import android.content.Context
+import android.content.SharedPreferences
+import android.util.Log
+import androidx.work.BackoffPolicy
+import androidx.work.Constraints
+import androidx.work.ExistingWorkPolicy
+import androidx.work.NetworkType
+import androidx.work.OneTimeWorkRequestBuilder
+import androidx.work.WorkManager
+import androidx.work.workDataOf
+import com.nativephp.mobile.ui.MainActivity
+import com.nativephp.mobile.utils.NativeActionCoordinator
+import org.json.JSONObject
+import java.io.File
+import java.util.UUID
+import java.util.concurrent.TimeUnit
+
+/**
+ * Runs uploads with WorkManager, so they keep going while the app is in the
+ * background, survive process death and wait for a network connection.
+ *
+ * Each upload is a JSON record in SharedPreferences; UploadWorker does the sending.
+ * Progress and results are sent to the app as Native\Mobile\Events\Upload\* events.
+ * Events that happen while no WebView is listening are not replayed - the app
+ * can read the latest state with Upload.Status / Upload.List.
+ */
+object UploadManager {
+    private const val TAG = "UploadManager"
+    private const val PREFS = "nativephp_uploads"
+    private const val FINISHED_RECORD_LIFETIME_MS = 7L * 24 * 60 * 60 * 1000
+
+    const val PROGRESSED_EVENT = "Native\\Mobile\\Events\\Upload\\Progressed"
+    const val COMPLETED_EVENT = "Native\\Mobile\\Events\\Upload\\Completed"
+    const val FAILED_EVENT = "Native\\Mobile\\Events\\Upload\\Failed"
+
+    private lateinit var context: Context
+
+    /**
+     * Called at startup and by UploadWorker, which may run without the activity
+     */
+    @Synchronized
+    fun init(context: Context) {
+        if (::context.isInitialized) {
+            return
+        }
+
+        this.context = context.applicationContext
+        prune()
+    }
+
+    fun start(parameters: Map<String, Any>): Map<String, Any> {
+        val path = (parameters["path"] as? String)?.removePrefix("file://")
+        if (path.isNullOrEmpty()) {
+            throw BridgeError.InvalidParameters("path is required")
+        }
+
+        val url = parameters["url"] as? String
+        if (url == null || !(url.startsWith("https://") || url.startsWith("http://"))) {
+            throw BridgeError.InvalidParameters("url must be an http(s) URL")
+        }
+
+        val file = File(path)
+        if (!file.isFile) {
+            throw BridgeError.InvalidParameters("No file at $path")
+        }
+
+        val mode = parameters["mode"] as? String ?: "multipart"
+        if (mode != "multipart" && mode != "chunked") {
+            throw BridgeError.InvalidParameters("mode must be 'multipart' or 'chunked'")
+        }
+
+        if (mode == "chunked" && file.length() == 0L) {
+            throw BridgeError.InvalidParameters("Chunked uploads need a non-empty file")
+        }
+
+        val id = parameters["id"] as? String ?: UUID.randomUUID().toString()
+
+        val record = JSONObject().apply {
+            put("id", id)
+            put("path", file.absolutePath)
+            put("url", url)
+            put("method", (parameters["method"] as? String ?: "POST").uppercase())
+            put("headers", parameters["headers"] as? JSONObject ?: JSONObject())
+            put("fields", parameters["fields"] as? JSONObject ?: JSONObject())
+            put("fileField", parameters["fileField"] as? String ?: "file")
+            put("mode", mode)
+            put("chunkSize", maxOf(256L * 1024, (parameters["chunkSize"] as? Number)?.toLong() ?: 5L * 1024 * 1024))
+            put("status", "queued")
+            put("bytesSent", 0L)
+            put("totalBytes", file.length())
+            put("statusCode", JSONObject.NULL)
+            put("response", JSONObject.NULL)
+            put("error", JSONObject.NULL)
+        }
+
+        synchronized(this) {
+            if (get(id)?.let(::isActive) == true) {
+                throw BridgeError.InvalidParameters("Upload '$id' is already running")
+            }
+
+            save(record)
+        }
+
+        enqueue(id)
+
+        return toMap(record)
+    }
+
+    fun pause(id: String): Map<String, Any> {
+        val record = synchronized(this) {
+            find(id).also {
+                if (isActive(it)) {
+                    it.put("status", "paused")
+                    save(it)
+                }
+            }
+        }
+
+        WorkManager.getInstance(context).cancelUniqueWork(workName(id))
+
+        return toMap(record)
+    }
+
+    fun resume(id: String): Map<String, Any> {
+        val record = synchronized(this) {
+            val record = find(id)
+            val status = record.getString("status")
+
+            if (status != "paused" && status != "failed") {
+                return toMap(record)
+            }
+
+            // A multipart request can't continue half way, only chunked uploads pick up where they stopped
+            if (record.getString("mode") == "multipart") {
+                record.put("bytesSent", 0L)
+            }
+
+            record.put("status", "queued")
+            record.put("error", JSONObject.NULL)
+            save(record)
+            record
+        }
+
+        enqueue(id)
+
+        return toMap(record)
+    }
+
+    fun cancel(id: String): Map<String, Any> {
+        val record = synchronized(this) {
+            find(id).also {
+                if (it.getString("status") != "completed") {
+                    it.put("status", "cancelled")
+                    save(it)
+                }
+            }
+        }
+
+        WorkManager.getInstance(context).cancelUniqueWork(workName(id))
+
+        return toMap(record)
+    }
+
+    fun status(id: String): Map<String, Any> = toMap(find(id))
+
+    @Synchronized
+    fun list(): List<Map<String, Any>> =
+        prefs().all.values
+            .mapNotNull { (it as? String)?.let(::JSONObject) }
+            .sortedBy { it.optLong("updatedAt") }
+            .map(::toMap)
+
+    @Synchronized
+    fun get(id: String): JSONObject? = prefs().getString(id, null)?.let(::JSONObject)
+
+    /**
+     * Apply a change to an upload that is still queued or uploading.
+     * Returns null (and changes nothing) once it has been paused or cancelled.
+     */
+    @Synchronized
+    fun update(id: String, change: (JSONObject) -> Unit): JSONObject? {
+        val record = get(id)?.takeIf(::isActive) ?: return null
+
+        change(record)
+        save(record)
+
+        return record
+    }
+
+    fun isActive(record: JSONObject): Boolean =
+        record.optString("status") == "queued" || record.optString("status") == "uploading"
+
+    fun emit(event: String, payload: JSONObject) {
+        val activity = MainActivity.instance ?: return
+
+        activity.runOnUiThread {
+            if (activity.isFinishing || activity.isDestroyed) {
+                return@runOnUiThread
+            }
+
+            try {
+                NativeActionCoordinator.dispatchEvent(activity, event, payload.toString())
+            } catch (e: IllegalStateException) {
+                Log.w(TAG, "Could not dispatch $event: ${e.message}")
+            }
+        }
+    }
+
+    fun toMap(record: JSONObject): Map<String, Any> {
+        val bytesSent = record.optLong("bytesSent")
+        val totalBytes = record.optLong("totalBytes")
+
+        return mapOf(
+            "id" to record.getString("id"),
+            "path" to record.getString("path"),
+            "url" to record.getString("url"),
+            "mode" to record.getString("mode"),
+            "status" to record.getString("status"),
+            "bytesSent" to bytesSent,
+            "totalBytes" to totalBytes,
+            "progress" to if (totalBytes > 0) bytesSent.toDouble() / totalBytes else 0.0,
+            "statusCode" to (record.opt("statusCode") ?: JSONObject.NULL),
+            "response" to (record.opt("response") ?: JSONObject.NULL),
+            "error" to (record.opt("error") ?: JSONObject.NULL)
+        )
+    }
+
+    private fun enqueue(id: String) {
+        val request = OneTimeWorkRequestBuilder<UploadWorker>()
+            .setInputData(workDataOf(UploadWorker.KEY_ID to id))
+            .setConstraints(Constraints.Builder().setRequiredNetworkType(NetworkType.CONNECTED).build())
+            .setBackoffCriteria(BackoffPolicy.EXPONENTIAL, 30, TimeUnit.SECONDS)
+            .build()
+
+        WorkManager.getInstance(context).enqueueUniqueWork(workName(id), ExistingWorkPolicy.REPLACE, request)
+    }
+
+    private fun find(id: String): JSONObject =
+        get(id) ?: throw BridgeError.InvalidParameters("No upload with id '$id'")
+
+    @Synchronized
+    private fun save(record: JSONObject) {
+        record.put("updatedAt", System.currentTimeMillis())
+
+        // commit() rather than apply(): the worker may be killed right after a chunk is acknowledged
+        prefs().edit().putString(record.getString("id"), record.toString()).commit()
+    }
+
+    /**
+     * Forget completed and cancelled uploads after a week
+     */
+    private fun prune() {
+        val cutoff = System.currentTimeMillis() - FINISHED_RECORD_LIFETIME_MS
+        val editor = prefs().edit()
+
+        for ((id, value) in prefs().all) {
+            val record = (value as? String)?.let(::JSONObject) ?: continue
+            val finished = record.optString("status") == "completed" || record.optString("status") == "cancelled"
+
+            if (finished && record.optLong("updatedAt") < cutoff) {
+                editor.remove(id)
+            }
+        }
+
+        editor.apply()
+    }
+
+    private fun workName(id: String) = "nativephp-upload-$id"
+
+    private fun prefs(): SharedPreferences = context.getSharedPreferences(PREFS, Context.MODE_PRIVATE)
+}
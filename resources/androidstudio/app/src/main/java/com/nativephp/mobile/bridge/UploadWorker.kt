@@ -0,0 +1,317 @@
+package com.nativephp.mobile.bridge
+
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.content.Context
+import android.content.pm.ServiceInfo
+import android.os.Build
+import android.util.Log
+import android.webkit.MimeTypeMap
+import androidx.core.app.NotificationCompat
+import androidx.work.ForegroundInfo
+import androidx.work.Worker
+import androidx.work.WorkerParameters
+import org.json.JSONObject
+import java.io.File
+import java.io.FileInputStream
+import java.io.IOException
+import java.io.InputStream
+import java.io.OutputStream
+import java.net.HttpURLConnection
+import java.net.URL
+import java.util.UUID
+
+/**
+ * Sends one upload recorded by UploadManager.
+ *
+ * Chunked uploads store their offset after every acknowledged chunk, so a retried
+ * or resumed worker continues from there. Multipart uploads are a single request
+ * and start over.
+ */
+class UploadWorker(context: Context, params: WorkerParameters) : Worker(context, params) {
+
+    companion object {
+        const val KEY_ID = "id"
+
+        private const val TAG = "UploadWorker"
+        private const val CHANNEL_ID = "nativephp_uploads"
+        private const val MAX_ATTEMPTS = 5
+        private const val PROGRESS_INTERVAL_MS = 500L
+    }
+
+    private class StoppedException : Exception()
+
+    private class HttpException(val statusCode: Int, val body: String) :
+        Exception("Server responded with HTTP $statusCode") {
+        val resumable get() = statusCode >= 500 || statusCode == 408 || statusCode == 429
+    }
+
+    private lateinit var id: String
+    private var lastProgressAt = 0L
+
+    override fun doWork(): Result {
+        UploadManager.init(applicationContext)
+
+        id = inputData.getString(KEY_ID) ?: return Result.failure()
+
+        val record = UploadManager.get(id)
+        if (record == null || !UploadManager.isActive(record)) {
+            return Result.success()
+        }
+
+        runInForeground(record)
+
+        UploadManager.update(id) { it.put("status", "uploading") } ?: return Result.success()
+
+        return try {
+            val (statusCode, body) = if (record.getString("mode") == "chunked") {
+                sendChunks(record)
+            } else {
+                sendMultipart(record)
+            }
+
+            complete(statusCode, body)
+            Result.success()
+        } catch (e: StoppedException) {
+            Result.success()
+        } catch (e: HttpException) {
+            retryOrFail(e.message ?: "Upload failed", e.resumable, e.statusCode)
+        } catch (e: IOException) {
+            retryOrFail(e.message ?: "Network error", true, null)
+        } catch (e: Exception) {
+            Log.e(TAG, "Upload $id failed", e)
+            fail(e.message ?: "Upload failed", false, null)
+            Result.failure()
+        }
+    }
+
+    private fun sendChunks(record: JSONObject): Pair<Int, String> {
+        val file = File(record.getString("path"))
+        val total = file.length()
+        val chunkSize = record.getLong("chunkSize")
+        var offset = record.optLong("bytesSent")
+        var response = 0 to ""
+
+        while (offset < total) {
+            val end = minOf(offset + chunkSize, total) - 1
+
+            response = request(record, end - offset + 1, mapOf(
+                "Content-Type" to "application/octet-stream",
+                "Content-Range" to "bytes $offset-$end/$total",
+                "X-Upload-Id" to id
+            ), allowResumeIncomplete = true) { output ->
+                FileInputStream(file).use { input ->
+                    input.channel.position(offset)
+                    copy(input, output, end - offset + 1, offset, total)
+                }
+            }
+
+            offset = end + 1
+
+            val sent = offset
+            val statusCode = response.first
+            UploadManager.update(id) {
+                it.put("bytesSent", sent)
+                it.put("statusCode", statusCode)
+            } ?: throw StoppedException()
+        }
+
+        return response
+    }
+
+    private fun sendMultipart(record: JSONObject): Pair<Int, String> {
+        val file = File(record.getString("path"))
+        val total = file.length()
+        val boundary = "NativePHP-" + UUID.randomUUID().toString()
+        val fields = record.optJSONObject("fields") ?: JSONObject()
+
+        val preamble = StringBuilder().apply {
+            for (name in fields.keys()) {
+                append("--$boundary\r\n")
+                append("Content-Disposition: form-data; name=\"$name\"\r\n\r\n")
+                append(fields.get(name).toString()).append("\r\n")
+            }
+
+            append("--$boundary\r\n")
+            append("Content-Disposition: form-data; name=\"${record.getString("fileField")}\"; filename=\"${file.name}\"\r\n")
+            append("Content-Type: ${mimeType(file)}\r\n\r\n")
+        }.toString().toByteArray()
+        val epilogue = "\r\n--$boundary--\r\n".toByteArray()
+
+        val response = request(record, preamble.size + total + epilogue.size, mapOf(
+            "Content-Type" to "multipart/form-data; boundary=$boundary"
+        )) { output ->
+            output.write(preamble)
+            FileInputStream(file).use { input -> copy(input, output, total, 0, total) }
+            output.write(epilogue)
+        }
+
+        UploadManager.update(id) {
+            it.put("bytesSent", total)
+            it.put("statusCode", response.first)
+        } ?: throw StoppedException()
+
+        return response
+    }
+
+    private fun request(
+        record: JSONObject,
+        length: Long,
+        headers: Map<String, String>,
+        allowResumeIncomplete: Boolean = false,
+        write: (OutputStream) -> Unit
+    ): Pair<Int, String> {
+        val connection = URL(record.getString("url")).openConnection() as HttpURLConnection
+
+        try {
+            connection.requestMethod = record.getString("method")
+            connection.doOutput = true
+            // 308 is how resumable upload servers say "send the next chunk", not a redirect
+            connection.instanceFollowRedirects = false
+            connection.connectTimeout = 30_000
+            connection.readTimeout = 60_000
+            connection.setFixedLengthStreamingMode(length)
+
+            val custom = record.optJSONObject("headers") ?: JSONObject()
+            for (name in custom.keys()) {
+                connection.setRequestProperty(name, custom.get(name).toString())
+            }
+            headers.forEach { (name, value) -> connection.setRequestProperty(name, value) }
+
+            connection.outputStream.use(write)
+
+            val statusCode = connection.responseCode
+            val body = (if (statusCode >= 400) connection.errorStream else connection.inputStream)
+                ?.bufferedReader()?.use { it.readText() } ?: ""
+
+            if (statusCode !in 200..299 && !(allowResumeIncomplete && statusCode == 308)) {
+                throw HttpException(statusCode, body)
+            }
+
+            return statusCode to body
+        } finally {
+            connection.disconnect()
+        }
+    }
+
+    private fun copy(input: InputStream, output: OutputStream, length: Long, offset: Long, total: Long) {
+        val buffer = ByteArray(64 * 1024)
+        var remaining = length
+
+        while (remaining > 0) {
+            if (isStopped) {
+                throw StoppedException()
+            }
+
+            val read = input.read(buffer, 0, minOf(buffer.size.toLong(), remaining).toInt())
+            if (read < 0) {
+                throw IOException("File changed while it was being uploaded")
+            }
+
+            output.write(buffer, 0, read)
+            remaining -= read
+
+            progress(offset + length - remaining, total)
+        }
+    }
+
+    private fun progress(sent: Long, total: Long, force: Boolean = false) {
+        val now = System.currentTimeMillis()
+        if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) {
+            return
+        }
+
+        lastProgressAt = now
+
+        UploadManager.emit(UploadManager.PROGRESSED_EVENT, JSONObject().apply {
+            put("id", id)
+            put("bytesSent", sent)
+            put("totalBytes", total)
+            put("progress", if (total > 0) sent.toDouble() / total else 1.0)
+        })
+    }
+
+    private fun complete(statusCode: Int, body: String) {
+        val record = UploadManager.update(id) {
+            it.put("status", "completed")
+            it.put("statusCode", statusCode)
+            it.put("response", body)
+        } ?: return
+
+        val total = record.optLong("totalBytes")
+        progress(total, total, force = true)
+
+        UploadManager.emit(UploadManager.COMPLETED_EVENT, JSONObject().apply {
+            put("id", id)
+            put("statusCode", statusCode)
+            put("body", body)
+        })
+    }
+
+    private fun retryOrFail(error: String, resumable: Boolean, statusCode: Int?): Result {
+        if (resumable && runAttemptCount + 1 < MAX_ATTEMPTS) {
+            Log.w(TAG, "Upload $id will be retried: $error")
+            UploadManager.update(id) { it.put("status", "queued") }
+
+            return Result.retry()
+        }
+
+        fail(error, resumable, statusCode)
+
+        return Result.failure()
+    }
+
+    private fun fail(error: String, resumable: Boolean, statusCode: Int?) {
+        UploadManager.update(id) {
+            it.put("status", "failed")
+            it.put("error", error)
+            it.put("statusCode", statusCode ?: JSONObject.NULL)
+        } ?: return
+
+        UploadManager.emit(UploadManager.FAILED_EVENT, JSONObject().apply {
+            put("id", id)
+            put("error", error)
+            put("resumable", resumable)
+            put("statusCode", statusCode ?: JSONObject.NULL)
+        })
+    }
+
+    /**
+     * Keep the process alive with a notification for long uploads. Android 12+
+     * refuses this when the app is in the background; the upload still runs, just
+     * under the normal WorkManager time limit.
+     */
+    private fun runInForeground(record: JSONObject) {
+        val manager = applicationContext.getSystemService(Context.NOTIFICATION_SERVICE) as NotificationManager
+
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+            manager.createNotificationChannel(
+                NotificationChannel(CHANNEL_ID, "Uploads", NotificationManager.IMPORTANCE_LOW)
+            )
+        }
+
+        val notification = NotificationCompat.Builder(applicationContext, CHANNEL_ID)
+            .setSmallIcon(android.R.drawable.stat_sys_upload)
+            .setContentTitle("Uploading ${File(record.getString("path")).name}")
+            .setOngoing(true)
+            .setSilent(true)
+            .build()
+
+        val info = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
+            ForegroundInfo(id.hashCode(), notification, ServiceInfo.FOREGROUND_SERVICE_TYPE_DATA_SYNC)
+        } else {
+            ForegroundInfo(id.hashCode(), notification)
+        }
+
+        try {
+            setForegroundAsync(info).get()
+        } catch (e: Exception) {
+            Log.w(TAG, "Upload $id is running without a foreground notification: ${e.message}")
+        }
+    }
+
+    private fun mimeType(file: File): String =
+        MimeTypeMap.getSingleton()
+            .getMimeTypeFromExtension(file.extension.lowercase())
+            ?: "application/octet-stream"
+}
@@ -0,0 +1,92 @@
+package com.nativephp.mobile.bridge.functions
+
+import com.nativephp.mobile.bridge.BridgeError
+import com.nativephp.mobile.bridge.BridgeFunction
+import com.nativephp.mobile.bridge.UploadManager
+
+/**
+ * Background uploads that keep going while the app is in the background
+ * Namespace: "Upload.*"
+ *
+ * Every function returns the upload: id, path, url, mode, status, bytesSent,
+ * totalBytes, progress, statusCode, response and error.
+ */
+object UploadFunctions {
+
+    /**
+     * Start uploading a file
+     * Parameters:
+     *   - path: string - Device path of the file
+     *   - url: string - http(s) URL to upload to
+     *   - method: string - HTTP method (default: POST)
+     *   - headers: object - Extra request headers
+     *   - fields: object - Extra form fields (multipart mode)
+     *   - fileField: string - Form field name of the file (multipart mode, default: file)
+     *   - mode: string - "multipart" (default) or "chunked"
+     *   - chunkSize: int - Bytes per request in chunked mode (default: 5 MB)
+     *   - id: string - Optional id to use instead of a generated one
+     */
+    class Start : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            UploadManager.start(parameters)
+    }
+
+    /**
+     * Stop an upload without forgetting it
+     * Parameters:
+     *   - id: string - The upload id
+     */
+    class Pause : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            UploadManager.pause(uploadId(parameters))
+    }
+
+    /**
+     * Continue a paused or failed upload. Chunked uploads continue from the last
+     * acknowledged chunk, multipart uploads start over.
+     * Parameters:
+     *   - id: string - The upload id
+     */
+    class Resume : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            UploadManager.resume(uploadId(parameters))
+    }
+
+    /**
+     * Cancel an upload for good
+     * Parameters:
+     *   - id: string - The upload id
+     */
+    class Cancel : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            UploadManager.cancel(uploadId(parameters))
+    }
+
+    /**
+     * Get the current state of an upload
+     * Parameters:
+     *   - id: string - The upload id
+     */
+    class Status : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            UploadManager.status(uploadId(parameters))
+    }
+
+    /**
+     * List every known upload, oldest first
+     */
+    class List : BridgeFunction {
+        override fun execute(parameters: Map<String, Any>): Map<String, Any> =
+            mapOf("uploads" to UploadManager.list())
+    }
+
+    private fun uploadId(parameters: Map<String, Any>): String {
+        val id = parameters["id"] as? String
+
+        if (id.isNullOrEmpty()) {
+            throw BridgeError.InvalidParameters("id is required")
+        }
+
+        return id
+    }
+}
@@ -1,3 +1,4 @@
+// Generated from resources/js/bridge by `node resources/js/bridge/build.mjs` - do not edit by hand.
 /**
  * NativePHP Mobile Bridge Library
  * Provides native device functions from JavaScript/TypeScript
@@ -16,38 +17,724 @@
  */
 
 const baseUrl = '/_native/api/call';
+const batchUrl = '/_native/api/batch';
+const eventsUrl = '/_native/api/events';
+
+// ============================================================================
+// Bridge Errors
+// ============================================================================
+
+/**
+ * BridgeError - Base class for every error thrown by a bridge call
+ *
+ * Carries the error code and HTTP status returned by NativeCallController,
+ * along with the method and params of the call that failed.
+ *
+ * @example Distinguishing failures
+ * import { BridgeCall, MethodNotFoundError } from '@nativephp/mobile';
+ *
+ * try {
+ *     await BridgeCall('MyPlugin.CustomAction');
+ * } catch (e) {
+ *     if (e instanceof MethodNotFoundError) {
+ *         // Plugin is not installed in this build
+ *     }
+ * }
+ */
+export class BridgeError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {object} details - Error details
+     * @param {string|null} details.code - Error code (e.g. 'METHOD_NOT_FOUND')
+     * @param {number|null} details.status - HTTP status of the bridge response
+     * @param {string|null} details.method - The bridge method that was called
+     * @param {object|null} details.params - The params the method was called with
+     * @param {any} details.data - Extra data returned with the error (or the raw body)
+     */
+    constructor(message, { code = null, status = null, method = null, params = null, data = null } = {}) {
+        super(message);
+        this.name = 'BridgeError';
+        this.code = code;
+        this.status = status;
+        this.method = method;
+        this.params = params;
+        this.data = data;
+    }
+}
+
+/**
+ * The request was rejected before reaching native code (e.g. MISSING_METHOD)
+ */
+export class InvalidBridgeRequestError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'InvalidBridgeRequestError';
+    }
+}
+
+/**
+ * The method is not registered in the bridge registry (e.g. plugin not installed)
+ */
+export class MethodNotFoundError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MethodNotFoundError';
+    }
+}
+
+/**
+ * The native bridge is not available (e.g. running in a regular browser)
+ */
+export class NativeUnavailableError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NativeUnavailableError';
+    }
+}
+
+/**
+ * The native function ran but reported a failure
+ */
+export class NativeExecutionError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NativeExecutionError';
+    }
+}
+
+/**
+ * The server answered with something other than a bridge JSON response
+ * (HTML error page, expired CSRF token, etc.)
+ */
+export class InvalidBridgeResponseError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'InvalidBridgeResponseError';
+    }
+}
+
+/**
+ * The call was cancelled through its AbortSignal
+ */
+export class BridgeCancelledError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'BridgeCancelledError';
+    }
+}
+
+/**
+ * The call did not complete within its timeout
+ */
+export class BridgeTimeoutError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'BridgeTimeoutError';
+    }
+}
+
+/**
+ * The user dismissed the native UI (camera, scanner, picker, ...)
+ */
+export class UserCancelledError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UserCancelledError';
+    }
+}
+
+/**
+ * The user or the OS denied permission for the operation
+ */
+export class PermissionDeniedError extends BridgeError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PermissionDeniedError';
+    }
+}
+
+/**
+ * Laravel refused to dispatch an app event (EVENT_NOT_ALLOWED, EVENT_NOT_FOUND, INVALID_PAYLOAD)
+ */
+export class EventDispatchError extends BridgeError {
+    constructor(message, { event = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'EventDispatchError';
+        this.event = event;
+    }
+}
+
+/**
+ * Map of NativeCallController error codes to error classes
+ * @private
+ */
+const bridgeErrorClasses = {
+    MISSING_METHOD: InvalidBridgeRequestError,
+    METHOD_NOT_FOUND: MethodNotFoundError,
+    FUNCTION_NOT_AVAILABLE: NativeUnavailableError,
+    EXECUTION_ERROR: NativeExecutionError
+};
+
+/**
+ * Build the typed error for an error response from the bridge
+ * @private
+ */
+function createBridgeError(result, status, method, params) {
+    const ErrorClass = bridgeErrorClasses[result.code] || NativeExecutionError;
+
+    return new ErrorClass(result.message || 'Native call failed', {
+        code: result.code || 'NATIVE_ERROR',
+        status,
+        method,
+        params,
+        data: result.data ?? null
+    });
+}
+
+/**
+ * Read a JSON response, throwing InvalidBridgeResponseError for anything else
+ * @private
+ */
+async function readJsonResponse(response, method, params) {
+    const text = await response.text();
+    let result;
+
+    try {
+        result = JSON.parse(text);
+    } catch (e) {
+        result = null;
+    }
+
+    if (result === null || typeof result !== 'object') {
+        const code = response.status === 419 ? 'CSRF_TOKEN_MISMATCH' : 'INVALID_RESPONSE';
+        const message = response.status === 419
+            ? 'CSRF token mismatch - reload the page to get a fresh token'
+            : `Unexpected non-JSON response from bridge (HTTP ${response.status})`;
+
+        throw new InvalidBridgeResponseError(message, {
+            code,
+            status: response.status,
+            method,
+            params,
+            data: text
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Parse a bridge response, throwing a BridgeError for anything but success
+ * @private
+ */
+async function parseBridgeResponse(response, method, params) {
+    const result = await readJsonResponse(response, method, params);
+
+    if (result.status === 'error' || !response.ok) {
+        throw createBridgeError(result, response.status, method, params);
+    }
+
+    return result.data;
+}
+
+/**
+ * Registered bridge middleware, outermost first
+ * @private
+ */
+const bridgeMiddleware = [];
+
+/**
+ * The fake installed by createFakeBridge(), replacing the HTTP transport
+ * @private
+ */
+let activeFakeBridge = null;
+
+/**
+ * Run a call through the registered middleware and finally the transport
+ * @private
+ */
+function runBridgeMiddleware(context, transport) {
+    const stack = bridgeMiddleware.slice();
+
+    const dispatch = (index) => {
+        if (index === stack.length) {
+            return (activeFakeBridge?.transport ?? transport)(context);
+        }
+
+        return stack[index](context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+}
+
+/**
+ * Default options applied to every bridge call
+ * @private
+ */
+const bridgeDefaults = {
+    timeout: 0,
+    coalesce: false
+};
 
 /**
  * Bridge call function - make calls to registered native bridge functions
- * @param {string} method - The registered method name (e.g., 'Dialog.Alert', 'Camera.GetPhoto')
+ * Cancelling only stops waiting for the response - a native operation that has
+ * already started (e.g. an open camera) is not dismissed.
+ *
+ * @param {string} method - The registered method name (e.g., 'Dialog.Alert', 'MyPlugin.DoSomething')
  * @param {object} params - Parameters to pass to the native function
+ * @param {object} options - Call options
+ * @param {AbortSignal} options.signal - Signal used to cancel the call
+ * @param {number} options.timeout - Milliseconds before the call times out (0 disables, defaults to Bridge.defaults.timeout)
+ * @param {boolean} options.coalesce - Send in a batch with other calls made in the same tick (defaults to Bridge.defaults.coalesce)
  * @returns {Promise<any>} The response data from the native function
+ * @throws {BridgeError} When the call fails (see the BridgeError subclasses)
  *
  * @example Custom bridge function call
  * import { BridgeCall } from '@nativephp/mobile';
  *
  * // Call a custom registered function
  * const result = await BridgeCall('MyPlugin.CustomAction', { foo: 'bar' });
+ *
+ * @example Cancellation and timeouts
+ * const controller = new AbortController();
+ * const result = await BridgeCall('MyPlugin.CustomAction', {}, { signal: controller.signal, timeout: 5000 });
  */
-export async function BridgeCall(method, params = {}) {
-    const response = await fetch(baseUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || ''
-        },
-        body: JSON.stringify({ method, params })
+async function bridgeCall(method, params = {}, options = {}) {
+    const coalesce = options.coalesce ?? bridgeDefaults.coalesce;
+
+    return runBridgeMiddleware(
+        { method, params, options, sync: false },
+        coalesce ? enqueueBridgeRequest : sendBridgeRequest
+    );
+}
+
+/**
+ * Send a bridge call to NativeCallController
+ * @private
+ */
+async function sendBridgeRequest({ method, params, options = {} }) {
+    const signal = options.signal ?? null;
+    const timeout = options.timeout ?? bridgeDefaults.timeout;
+    const details = { method, params };
+
+    if (signal?.aborted) {
+        throw new BridgeCancelledError(`Native call '${method}' was cancelled`, { ...details, code: 'CANCELLED' });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (timeout > 0) {
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    }
+
+    try {
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || ''
+            },
+            body: JSON.stringify({ method, params }),
+            signal: controller.signal
+        });
+
+        return await parseBridgeResponse(response, method, params);
+    } catch (e) {
+        if (!controller.signal.aborted || e instanceof BridgeError) {
+            throw e;
+        }
+
+        if (timedOut) {
+            throw new BridgeTimeoutError(`Native call '${method}' timed out after ${timeout}ms`, { ...details, code: 'TIMEOUT' });
+        }
+
+        throw new BridgeCancelledError(`Native call '${method}' was cancelled`, { ...details, code: 'CANCELLED' });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Send a bridge call synchronously, blocking until native code has handled it
+ * @private
+ */
+function sendSyncBridgeRequest({ method, params }) {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', baseUrl, false); // false = synchronous
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+    xhr.setRequestHeader('X-CSRF-TOKEN', csrfToken);
+    xhr.send(JSON.stringify({ method, params }));
+}
+
+/**
+ * Calls waiting to be sent in the next batch
+ * @private
+ */
+let bridgeQueue = [];
+
+/**
+ * Queue a call to be sent with every other call made in the same tick
+ * @private
+ */
+function enqueueBridgeRequest({ method, params, options = {} }) {
+    return new Promise((resolve, reject) => {
+        const signal = options.signal ?? null;
+        const timeout = options.timeout ?? bridgeDefaults.timeout;
+        const details = { method, params };
+        let timer = null;
+
+        const item = {
+            method,
+            params,
+            signal,
+            settled: false,
+            onSettled: null,
+            settle(callback, value) {
+                if (item.settled) {
+                    return;
+                }
+
+                item.settled = true;
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+                item.onSettled?.();
+            },
+            resolve: (value) => item.settle(resolve, value),
+            reject: (error) => item.settle(reject, error)
+        };
+
+        const onAbort = () => item.reject(
+            new BridgeCancelledError(`Native call '${method}' was cancelled`, { ...details, code: 'CANCELLED' })
+        );
+
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        if (timeout > 0) {
+            timer = setTimeout(() => item.reject(
+                new BridgeTimeoutError(`Native call '${method}' timed out after ${timeout}ms`, { ...details, code: 'TIMEOUT' })
+            ), timeout);
+        }
+
+        bridgeQueue.push(item);
+
+        if (bridgeQueue.length === 1) {
+            queueMicrotask(flushBridgeQueue);
+        }
     });
+}
 
-    const result = await response.json();
+/**
+ * Send every queued call, using the batch endpoint when there is more than one
+ * @private
+ */
+async function flushBridgeQueue() {
+    const items = bridgeQueue.filter(item => !item.settled);
+    bridgeQueue = [];
 
-    if (result.status === 'error') {
-        throw new Error(result.message || 'Native call failed');
+    if (items.length === 0) {
+        return;
     }
 
-    return result.data;
+    // Stop the request once nobody is waiting for it, e.g. every call timed out or was cancelled
+    const controller = new AbortController();
+    const abortWhenSettled = () => {
+        if (items.every(item => item.settled)) {
+            controller.abort();
+        }
+    };
+
+    items.forEach(item => {
+        item.onSettled = abortWhenSettled;
+    });
+
+    if (items.length === 1) {
+        const [item] = items;
+        sendBridgeRequest({ method: item.method, params: item.params, options: { signal: controller.signal, timeout: 0 } })
+            .then(item.resolve, item.reject);
+        return;
+    }
+
+    const calls = items.map(({ method, params }) => ({ method, params }));
+    let results;
+
+    try {
+        const response = await fetch(batchUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || ''
+            },
+            body: JSON.stringify({ calls }),
+            signal: controller.signal
+        });
+
+        results = await parseBridgeResponse(response, 'batch', { calls });
+    } catch (e) {
+        items.forEach(item => item.reject(e));
+        return;
+    }
+
+    items.forEach((item, index) => {
+        const result = results?.[index];
+
+        if (!result || result.status === 'error') {
+            item.reject(createBridgeError(result || {}, result?.statusCode ?? null, item.method, item.params));
+        } else {
+            item.resolve(result.data);
+        }
+    });
+}
+
+/**
+ * Run several bridge calls in a single round trip
+ *
+ * Every call still runs through the registered middleware. The returned
+ * promise never rejects; like Promise.allSettled it resolves with one
+ * { status: 'fulfilled', value } or { status: 'rejected', reason } entry
+ * per call, in order.
+ *
+ * @param {Array<{method: string, params?: object, options?: object}>} calls - Calls to make
+ * @returns {Promise<Array<{status: string, value?: any, reason?: BridgeError}>>}
+ *
+ * @example Load a screen's data at once
+ * import { Bridge } from '@nativephp/mobile';
+ *
+ * const [info, battery, network] = await Bridge.batch([
+ *     { method: 'Device.GetInfo' },
+ *     { method: 'Device.GetBatteryInfo' },
+ *     { method: 'Network.Status' }
+ * ]);
+ *
+ * // Each entry settles on its own: read .value when fulfilled, .reason when rejected
+ * const device = info.status === 'fulfilled' ? info.value : null;
+ * const power = battery.status === 'fulfilled' ? battery.value : null;
+ *
+ * if (Network.status === 'rejected') {
+ *     console.warn('Network status unavailable', Network.reason);
+ * }
+ */
+function batchBridgeCalls(calls) {
+    return Promise.allSettled(calls.map(({ method, params = {}, options = {} }) => runBridgeMiddleware(
+        { method, params, options, sync: false },
+        enqueueBridgeRequest
+    )));
+}
+
+/**
+ * Register a bridge middleware
+ *
+ * Middleware wraps every bridge call (including the synchronous Edge path)
+ * and receives a context of { method, params, options, sync } plus a
+ * next() function that continues the chain. It may rewrite the context
+ * before calling next(), return a value without calling next() to
+ * short-circuit the call, or wrap next() in try/catch to observe errors.
+ *
+ * When context.sync is true the call must stay synchronous: call next()
+ * without awaiting anything first.
+ *
+ * @param {function} middleware - (context, next) => any
+ * @returns {function} Function that removes the middleware again
+ *
+ * @example Correlation IDs and logging
+ * import { Bridge } from '@nativephp/mobile';
+ *
+ * Bridge.use(async (ctx, next) => {
+ *     ctx.params = { ...ctx.params, correlationId: crypto.randomUUID() };
+ *     const started = performance.now();
+ *
+ *     try {
+ *         return await next();
+ *     } finally {
+ *         console.debug(ctx.method, performance.now() - started);
+ *     }
+ * });
+ */
+function useBridgeMiddleware(middleware) {
+    bridgeMiddleware.push(middleware);
+
+    return () => {
+        const index = bridgeMiddleware.indexOf(middleware);
+        if (index !== -1) {
+            bridgeMiddleware.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * bridge - Global bridge configuration and middleware
+ *
+ * @example Default timeout for every call
+ * import { Bridge } from '@nativephp/mobile';
+ *
+ * Bridge.defaults.timeout = 30000;
+ *
+ * @example Coalesce calls made in the same tick into one request
+ * Bridge.defaults.coalesce = true;
+ */
+const bridge = {
+    defaults: bridgeDefaults,
+    call: bridgeCall,
+    batch: batchBridgeCalls,
+    use: useBridgeMiddleware
+};
+
+/**
+ * Generate an id used to match a call with the native event carrying its result
+ * @private
+ */
+function generateCallId() {
+    if (globalThis.crypto?.randomUUID) {
+        return globalThis.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * PendingBridgeCall - Base class for fluent builders that make a bridge call
+ * Adds cancellation and timeout options shared by every builder
+ */
+class PendingBridgeCall {
+    constructor() {
+        this._signal = null;
+        this._timeout = null;
+    }
+
+    /**
+     * Cancel the call when the given signal aborts
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {this}
+     */
+    signal(signal) {
+        this._signal = signal;
+        return this;
+    }
+
+    /**
+     * Reject with a BridgeTimeoutError if the call takes longer than the given time
+     * @param {number} ms - Timeout in milliseconds (0 disables)
+     * @returns {this}
+     */
+    timeout(ms) {
+        this._timeout = ms;
+        return this;
+    }
+
+    /**
+     * Options to pass to bridgeCall
+     * @private
+     */
+    _callOptions() {
+        return { signal: this._signal, timeout: this._timeout ?? undefined };
+    }
+
+    /**
+     * Make the call and wait for the native event that carries its result
+     *
+     * The builder's id is used to match the event (one is generated when not
+     * set). Resolves with the event payload, or rejects with a
+     * UserCancelledError, PermissionDeniedError or NativeExecutionError when
+     * the event reports a cancellation or failure. The builder's signal and
+     * timeout apply to the whole wait.
+     *
+     * @returns {Promise<object>} The payload of the result event
+     *
+     * @example
+     * const photo = await Camera.getPhoto().waitForResult();
+     * console.log(photo.path);
+     */
+    waitForResult() {
+        if (!this._id) {
+            this._id = generateCallId();
+        }
+
+        const id = this._id;
+        const handlers = this._resultHandlers();
+        const signal = this._signal;
+        const timeout = this._timeout ?? bridgeDefaults.timeout;
+        const details = { code: null, data: null };
+
+        return new Promise((resolve, reject) => {
+            const listeners = [];
+            let timer = null;
+            let done = false;
+
+            const finish = (callback, value) => {
+                if (done) {
+                    return;
+                }
+
+                done = true;
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                listeners.forEach(([eventName, listener]) => off(eventName, listener));
+                callback(value);
+            };
+
+            const onAbort = () => finish(reject, new BridgeCancelledError('Waiting for the native result was cancelled', { ...details, code: 'CANCELLED' }));
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (timeout > 0) {
+                timer = setTimeout(() => finish(reject, new BridgeTimeoutError(`No native result received after ${timeout}ms`, { ...details, code: 'TIMEOUT' })), timeout);
+            }
+
+            Object.entries(handlers).forEach(([eventName, handler]) => {
+                const listener = (payload) => {
+                    if (payload?.id !== id) {
+                        return;
+                    }
+
+                    try {
+                        finish(resolve, handler(payload));
+                    } catch (e) {
+                        finish(reject, e);
+                    }
+                };
+
+                listeners.push([eventName, listener]);
+                on(eventName, listener);
+            });
+
+            this.then(() => {}, (e) => finish(reject, e));
+        });
+    }
+
+    /**
+     * Map of result event names to handlers returning the resolved value
+     * @private
+     */
+    _resultHandlers() {
+        return {};
+    }
 }
 
+export { PendingBridgeCall };
+
 // ============================================================================
 // Dialog Functions
 // ============================================================================
@@ -55,8 +742,9 @@ export async function BridgeCall(method, params = {}) {
 /**
  * PendingDialog - Fluent builder for native dialogs
  */
-class PendingDialog {
+class PendingDialog extends PendingBridgeCall {
     constructor() {
+        super();
         this._title = '';
         this._message = '';
         this._buttons = ['OK'];
@@ -65,31 +753,62 @@ class PendingDialog {
         this._started = false;
     }
 
+    /**
+     * Set dialog title
+     * @param {string} title - Dialog title
+     * @returns {PendingDialog}
+     */
     title(title) {
         this._title = title;
         return this;
     }
 
+    /**
+     * Set dialog message
+     * @param {string} message - Dialog message
+     * @returns {PendingDialog}
+     */
     message(message) {
         this._message = message;
         return this;
     }
 
+    /**
+     * Set dialog buttons
+     * @param {string[]} buttons - Array of button labels
+     * @returns {PendingDialog}
+     */
     buttons(buttons) {
         this._buttons = buttons;
         return this;
     }
 
+    /**
+     * Set a unique identifier for this dialog
+     * @param {string} id - Dialog ID
+     * @returns {PendingDialog}
+     */
     id(id) {
         this._id = id;
         return this;
     }
 
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingDialog}
+     */
     event(event) {
         this._event = event;
         return this;
     }
 
+    /**
+     * Quick confirm dialog (OK/Cancel)
+     * @param {string} title - Dialog title
+     * @param {string} message - Dialog message
+     * @returns {PendingDialog}
+     */
     confirm(title, message) {
         this._title = title;
         this._message = message;
@@ -97,6 +816,12 @@ class PendingDialog {
         return this;
     }
 
+    /**
+     * Quick destructive confirm (Cancel/Delete)
+     * @param {string} title - Dialog title
+     * @param {string} message - Dialog message
+     * @returns {PendingDialog}
+     */
     confirmDelete(title, message) {
         this._title = title;
         this._message = message;
@@ -104,6 +829,23 @@ class PendingDialog {
         return this;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Alert\\ButtonPressed']: (payload) => payload
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .show() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -120,26 +862,55 @@ class PendingDialog {
         if (this._id) params.id = this._id;
         if (this._event) params.event = this._event;
 
-        return BridgeCall('Dialog.Alert', params).then(resolve, reject);
+        return bridgeCall('Dialog.Alert', params, this._callOptions()).then(resolve, reject);
     }
 }
 
+/**
+ * Show a native alert dialog
+ * Can be called with parameters for immediate use, or without to get a builder
+ *
+ * @param {string} title - Alert title (optional if using builder)
+ * @param {string} message - Alert message (optional if using builder)
+ * @param {string[]} buttons - Array of button labels (optional)
+ * @param {string} id - Optional ID for the alert
+ * @param {string} event - Custom event class name
+ * @returns {Promise<void>|PendingDialog}
+ *
+ * @example Simple usage
+ * await Dialog.alert('Title', 'Message');
+ *
+ * @example Builder usage
+ * await Dialog.alert()
+ *   .title('Title')
+ *   .message('Message')
+ *   .buttons(['OK', 'Cancel'])
+ *   .show();
+ */
 function alertFunction(title, message, buttons, id, event) {
+    // If no arguments, return builder
     if (arguments.length === 0) {
         return new PendingDialog();
     }
 
+    // Otherwise, execute immediately
     const params = { title, message, buttons: buttons || ['OK'] };
     if (id) params.id = id;
     if (event) params.event = event;
-    return BridgeCall('Dialog.Alert', params);
+    return bridgeCall('Dialog.Alert', params);
 }
 
+/**
+ * Show a toast notification
+ * @param {string} message - Toast message
+ * @param {string} duration - "short" or "long" (default: "long")
+ * @returns {Promise<{success: boolean}>}
+ */
 function toastFunction(message, duration = 'long') {
-    return BridgeCall('Dialog.Toast', { message, duration });
+    return bridgeCall('Dialog.Toast', { message, duration });
 }
 
-export const Dialog = {
+const dialog = {
     alert: alertFunction,
     toast: toastFunction
 };
@@ -147,198 +918,530 @@ export const Dialog = {
 export { PendingDialog };
 
 // ============================================================================
-// Device Functions
+// Biometric Functions
 // ============================================================================
 
-export async function DeviceVibrate() {
-    return BridgeCall('Device.Vibrate', {});
-}
+/**
+ * PendingBiometric - Fluent builder for biometric authentication
+ */
+class PendingBiometric extends PendingBridgeCall {
+    constructor() {
+        super();
+        this._id = null;
+        this._event = null;
+        this._started = false;
+    }
 
-export async function Flashlight() {
-    return BridgeCall('Device.ToggleFlashlight', {});
-}
+    /**
+     * Set a unique identifier for this authentication
+     * @param {string} id - Operation ID
+     * @returns {PendingBiometric}
+     */
+    id(id) {
+        this._id = id;
+        return this;
+    }
 
-export async function GetId() {
-    return BridgeCall('Device.GetId', {});
-}
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingBiometric}
+     */
+    event(event) {
+        this._event = event;
+        return this;
+    }
 
-export async function GetInfo() {
-    return BridgeCall('Device.GetInfo', {});
-}
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Biometric\\Completed']: (payload) => {
+                if (!payload.success) {
+                    throw new NativeExecutionError('Biometric authentication failed', { code: 'AUTHENTICATION_FAILED', data: payload });
+                }
 
-export async function GetBatteryInfo() {
-    return BridgeCall('Device.GetBatteryInfo', {});
-}
+                return payload;
+            }
+        };
+    }
 
-export const Device = {
-    vibrate: DeviceVibrate,
-    flashlight: Flashlight,
-    getId: GetId,
-    getInfo: GetInfo,
-    getBatteryInfo: GetBatteryInfo
-};
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .prompt() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
+    then(resolve, reject) {
+        if (this._started) {
+            return resolve();
+        }
 
-// ============================================================================
-// Haptics Functions (legacy - use Device.vibrate() instead)
-// ============================================================================
+        this._started = true;
+
+        const params = {};
+        if (this._id) params.id = this._id;
+        if (this._event) params.event = this._event;
+
+        return bridgeCall('Biometric.Prompt', params, this._callOptions()).then(resolve, reject);
+    }
+}
+
+/**
+ * Prompt for biometric authentication (Face ID, Fingerprint, etc.)
+ * @returns {PendingBiometric}
+ */
+function promptFunction() {
+    return new PendingBiometric();
+}
 
-export const Haptics = {
-    vibrate: DeviceVibrate
+const biometric = {
+    prompt: promptFunction
 };
 
+export { PendingBiometric };
+
 // ============================================================================
-// System Functions
+// Device Functions
 // ============================================================================
 
-export async function IsIos() {
-    const result = await GetInfo();
-    if (result && result.info) {
-        const deviceInfo = JSON.parse(result.info);
-        return deviceInfo.platform === 'ios';
-    }
-    return false;
+/**
+ * Vibrate the device with a short haptic feedback
+ * @returns {Promise<Object>} Object with success boolean
+ */
+async function deviceVibrate() {
+    return bridgeCall('Device.Vibrate', {});
 }
 
-export async function IsAndroid() {
-    const result = await GetInfo();
-    if (result && result.info) {
-        const deviceInfo = JSON.parse(result.info);
-        return deviceInfo.platform === 'android';
-    }
-    return false;
+/**
+ * Toggle the device flashlight on/off
+ * @returns {Promise<Object>} Object with success boolean and state boolean (on=true, off=false)
+ */
+async function flashlight() {
+    return bridgeCall('Device.ToggleFlashlight', {});
+}
+
+/**
+ * Get the unique device ID
+ * @returns {Promise<Object>} Object with id string
+ */
+async function getId() {
+    return bridgeCall('Device.GetId', {});
+}
+
+/**
+ * Get detailed device information
+ * @returns {Promise<Object>} Object with info JSON string
+ * @see getDeviceInfo for the parsed, cached version
+ */
+async function getInfo() {
+    return bridgeCall('Device.GetInfo', {});
 }
 
-export async function IsMobile() {
-    const result = await GetInfo();
-    if (result && result.info) {
-        const deviceInfo = JSON.parse(result.info);
-        const platform = deviceInfo.platform || null;
-        return ['ios', 'android'].includes(platform);
+/**
+ * Device information for this session, and the request loading it
+ * @private
+ */
+let deviceInfoCache = null;
+let deviceInfoRequest = null;
+
+/**
+ * Turn a Device.GetInfo result into a DeviceInfo object
+ * @private
+ */
+function parseDeviceInfo(result) {
+    let raw = result?.info ?? result;
+
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            raw = null;
+        }
     }
-    return false;
+
+    if (raw === null || typeof raw !== 'object' || typeof raw.platform !== 'string') {
+        throw new InvalidBridgeResponseError('Device.GetInfo did not return device information', {
+            code: 'INVALID_RESPONSE',
+            method: 'Device.GetInfo',
+            data: result ?? null
+        });
+    }
+
+    const text = (...values) => {
+        const value = values.find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+        return value === undefined ? null : String(value);
+    };
+
+    return {
+        platform: raw.platform.toLowerCase(),
+        osVersion: text(raw.osVersion, raw.iOSVersion, raw.androidVersion),
+        model: text(raw.model),
+        manufacturer: text(raw.manufacturer),
+        name: text(raw.name),
+        appVersion: text(raw.appVersion, raw.version),
+        appBuild: text(raw.appBuild, raw.build, raw.buildNumber),
+        locale: text(raw.locale, raw.language, typeof navigator !== 'undefined' ? navigator.language : null),
+        isSimulator: Boolean(raw.isSimulator ?? raw.isVirtual ?? raw.isEmulator ?? false),
+        raw
+    };
+}
+
+/**
+ * Get parsed device information
+ *
+ * The first call asks the device; later calls share the cached result for the
+ * rest of the session. A failed request is not cached.
+ *
+ * @param {object} options - Options
+ * @param {boolean} options.refresh - Ask the device again instead of using the cache
+ * @returns {Promise<DeviceInfo>} Platform, OS version, model, manufacturer, app version/build, locale and simulator flag
+ *
+ * @example
+ * const { platform, osVersion, isSimulator } = await Device.info();
+ */
+async function getDeviceInfo({ refresh = false } = {}) {
+    if (deviceInfoCache && !refresh) {
+        return deviceInfoCache;
+    }
+
+    if (!deviceInfoRequest || refresh) {
+        const request = bridgeCall('Device.GetInfo', {}).then(parseDeviceInfo);
+
+        deviceInfoRequest = request;
+        request.then(
+            (info) => {
+                if (deviceInfoRequest === request) {
+                    deviceInfoCache = info;
+                    deviceInfoRequest = null;
+                }
+            },
+            () => {
+                if (deviceInfoRequest === request) {
+                    deviceInfoRequest = null;
+                }
+            }
+        );
+    }
+
+    return deviceInfoRequest;
+}
+
+/**
+ * Ask the device for fresh information and replace the cached copy
+ * @returns {Promise<DeviceInfo>}
+ */
+async function refreshDeviceInfo() {
+    return getDeviceInfo({ refresh: true });
+}
+
+/**
+ * Get the device information already loaded by GetDeviceInfo(), without asking the device
+ *
+ * For code that can't await, e.g. `Device.cached()?.platform === 'ios'`.
+ * @returns {DeviceInfo|null} null until GetDeviceInfo() has resolved
+ */
+function getCachedDeviceInfo() {
+    return deviceInfoCache;
+}
+
+/**
+ * Forget the cached device information (fake bridges start from a clean slate)
+ * @private
+ */
+function forgetDeviceInfo() {
+    deviceInfoCache = null;
+    deviceInfoRequest = null;
+}
+
+/**
+ * Get battery information
+ * @returns {Promise<Object>} Object with info JSON string (batteryLevel 0-1, isCharging boolean)
+ */
+async function getBatteryInfo() {
+    return bridgeCall('Device.GetBatteryInfo', {});
 }
 
-export const System = {
-    isIos: IsIos,
-    isAndroid: IsAndroid,
-    isMobile: IsMobile,
-    flashlight: Flashlight
+const device = {
+    vibrate: deviceVibrate,
+    flashlight: flashlight,
+    getId: getId,
+    getInfo: getInfo,
+    getBatteryInfo: getBatteryInfo,
+    info: getDeviceInfo,
+    refreshInfo: refreshDeviceInfo,
+    cached: getCachedDeviceInfo
 };
 
 // ============================================================================
-// Network Functions
+// Haptics Functions (legacy - use Device.vibrate() instead)
 // ============================================================================
 
-export async function NetworkStatus() {
-    return BridgeCall('Network.Status');
-}
-
-export const Network = {
-    status: NetworkStatus
+const haptics = {
+    vibrate: deviceVibrate
 };
 
 // ============================================================================
-// Share Functions
+// System Functions
 // ============================================================================
 
-export async function ShareFile(title, message, path) {
-    return BridgeCall('Share.File', { title, message, filePath: path });
+/**
+ * Answer a platform question from the cached device information
+ * @private
+ */
+function cachedPlatformMatches(platforms) {
+    return deviceInfoCache ? platforms.includes(deviceInfoCache.platform) : null;
 }
 
-export async function ShareUrl(title, text, url) {
-    return BridgeCall('Share.Url', { title, text, url });
+/**
+ * Answer a platform question from the device information, loading it first if needed
+ * @private
+ */
+async function platformMatches(platforms) {
+    if (deviceInfoCache) {
+        return cachedPlatformMatches(platforms);
+    }
+
+    try {
+        const info = await getDeviceInfo();
+
+        return platforms.includes(info.platform);
+    } catch (error) {
+        if (error instanceof InvalidBridgeResponseError) {
+            return false;
+        }
+        throw error;
+    }
 }
 
-export const Share = {
-    file: ShareFile,
-    url: ShareUrl
-};
+/**
+ * Check if the current platform is iOS
+ * @returns {Promise<boolean>}
+ */
+async function isIos() {
+    return platformMatches(['ios']);
+}
 
-// ============================================================================
-// SecureStorage Functions
-// ============================================================================
+/**
+ * Check if the current platform is Android
+ * @returns {Promise<boolean>}
+ */
+async function isAndroid() {
+    return platformMatches(['android']);
+}
+
+/**
+ * Check if running on a mobile platform (iOS or Android)
+ * @returns {Promise<boolean>}
+ */
+async function isMobile() {
+    return platformMatches(['ios', 'android']);
+}
 
-export async function SecureStorageSet(key, value) {
-    return BridgeCall('SecureStorage.Set', { key, value });
+/**
+ * Check synchronously if the current platform is iOS, once device information
+ * has been loaded by IsIos(), Device.info() or any other System check
+ * @returns {boolean|null} null until device information has been loaded
+ *
+ * @example
+ * await System.isMobile(); // loads the device information once
+ *
+ * const padding = System.isIosSync() ? 44 : 0;
+ */
+function isIosSync() {
+    return cachedPlatformMatches(['ios']);
 }
 
-export async function SecureStorageGet(key) {
-    return BridgeCall('SecureStorage.Get', { key });
+/**
+ * Check synchronously if the current platform is Android, once device information has been loaded
+ * @returns {boolean|null} null until device information has been loaded
+ */
+function isAndroidSync() {
+    return cachedPlatformMatches(['android']);
 }
 
-export async function SecureStorageDelete(key) {
-    return BridgeCall('SecureStorage.Delete', { key });
+/**
+ * Check synchronously if running on iOS or Android, once device information has been loaded
+ * @returns {boolean|null} null until device information has been loaded
+ */
+function isMobileSync() {
+    return cachedPlatformMatches(['ios', 'android']);
 }
 
-export const SecureStorage = {
-    set: SecureStorageSet,
-    get: SecureStorageGet,
-    delete: SecureStorageDelete
+const system = {
+    isIos: isIos,
+    isAndroid: isAndroid,
+    isMobile: isMobile,
+    isIosSync: isIosSync,
+    isAndroidSync: isAndroidSync,
+    isMobileSync: isMobileSync,
+    flashlight: flashlight  // Legacy support - deprecated but kept for compatibility
 };
 
 // ============================================================================
-// File Functions
+// Browser Functions
 // ============================================================================
 
-export async function MoveFile(from, to) {
-    return BridgeCall('File.Move', { from, to });
+/**
+ * Open a URL in the system's default browser
+ */
+async function openBrowser(url) {
+    const result = await bridgeCall('Browser.Open', { url });
+    return result?.success === true;
+}
+
+/**
+ * Open a URL in an in-app browser (SFSafariViewController on iOS, Custom Tabs on Android)
+ */
+async function openInApp(url) {
+    const result = await bridgeCall('Browser.OpenInApp', { url });
+    return result?.success === true;
 }
 
-export async function CopyFile(from, to) {
-    return BridgeCall('File.Copy', { from, to });
+/**
+ * Open a URL in an authentication session (ASWebAuthenticationSession on iOS)
+ * Automatically handles OAuth callbacks with nativephp:// scheme
+ */
+async function openAuth(url) {
+    const result = await bridgeCall('Browser.OpenAuth', { url });
+    return result?.success === true;
 }
 
-export const File = {
-    move: MoveFile,
-    copy: CopyFile
+const browser = {
+    open: openBrowser,
+    inApp: openInApp,
+    auth: openAuth
 };
 
 // ============================================================================
-// Edge Functions
+// Scanner Functions
 // ============================================================================
 
-export async function SetEdge(components) {
-    const payload = Array.isArray(components) ? components : [components];
-    return BridgeCall('Edge.Set', { components: payload });
-}
+/**
+ * PendingScan - Fluent builder for QR/barcode scanning
+ * Matches the PHP Scanner API
+ */
+class PendingScan extends PendingBridgeCall {
+    constructor() {
+        super();
+        this._prompt = null;
+        this._continuous = false;
+        this._formats = ['qr'];
+        this._id = null;
+        this._started = false;
+    }
 
-export function SetEdgeSync(components) {
-    const payload = Array.isArray(components) ? components : [components];
-    const xhr = new XMLHttpRequest();
-    xhr.open('POST', '/_native/api/call', false);
-    xhr.setRequestHeader('Content-Type', 'application/json');
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
-    xhr.setRequestHeader('X-CSRF-TOKEN', csrfToken);
-    xhr.send(JSON.stringify({
-        method: 'Edge.Set',
-        params: { components: payload }
-    }));
-}
+    /**
+     * Set the prompt text shown on the scanner screen
+     * @param {string} text - Prompt text
+     * @returns {PendingScan}
+     */
+    prompt(text) {
+        this._prompt = text;
+        return this;
+    }
+
+    /**
+     * Enable continuous scanning (scan multiple codes without closing)
+     * @param {boolean} enabled - Enable continuous mode (default: true)
+     * @returns {PendingScan}
+     */
+    continuous(enabled = true) {
+        this._continuous = enabled;
+        return this;
+    }
+
+    /**
+     * Set which barcode formats to scan
+     * @param {string[]} formats - Array of format strings: 'qr', 'ean13', 'ean8', 'code128', 'code39', 'upca', 'upce', 'all'
+     * @returns {PendingScan}
+     */
+    formats(formats) {
+        this._formats = formats;
+        return this;
+    }
+
+    /**
+     * Set a unique identifier for this scan session
+     * @param {string} id - Session ID
+     * @returns {PendingScan}
+     */
+    id(id) {
+        this._id = id;
+        return this;
+    }
+
+    /**
+     * Get the scan session ID
+     * @returns {string|null}
+     */
+    getId() {
+        return this._id;
+    }
+
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            'Native\\Mobile\\Events\\Scanner\\CodeScanned': (payload) => payload,
+            'Native\\Mobile\\Events\\Scanner\\ScannerCancelled': (payload) => {
+                throw new UserCancelledError('Scanning was cancelled', { code: 'USER_CANCELLED', data: payload });
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .scan() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
+    then(resolve, reject) {
+        if (this._started) {
+            return resolve();
+        }
+
+        this._started = true;
 
-export async function ClearEdge() {
-    return BridgeCall('Edge.Set', { components: [] });
+        return bridgeCall('Scanner.Scan', {
+            prompt: this._prompt ?? 'Scan QR Code',
+            continuous: this._continuous,
+            formats: this._formats,
+            id: this._id
+        }, this._callOptions()).then(resolve, reject);
+    }
 }
 
-export function ClearEdgeSync() {
-    SetEdgeSync([]);
+/**
+ * Scan a QR code or barcode
+ * @returns {PendingScan}
+ */
+function scanFunction() {
+    return new PendingScan();
 }
 
-export const Edge = {
-    set: SetEdge,
-    setSync: SetEdgeSync,
-    clear: ClearEdge,
-    clearSync: ClearEdgeSync
+const scanner = {
+    scan: scanFunction
 };
 
+export { PendingScan };
+
 // ============================================================================
-// Camera Functions
+// Gallery Functions
 // ============================================================================
 
 /**
  * PendingGalleryPick - Fluent builder for picking media from device gallery
  */
-class PendingGalleryPick {
+class PendingGalleryPick extends PendingBridgeCall {
     constructor() {
+        super();
         this._mediaType = 'all';
         this._multiple = false;
         this._maxItems = 10;
@@ -347,45 +1450,108 @@ class PendingGalleryPick {
         this._started = false;
     }
 
+    /**
+     * Pick only images
+     * @returns {PendingGalleryPick}
+     */
     images() {
         this._mediaType = 'image';
         return this;
     }
 
+    /**
+     * Pick only videos
+     * @returns {PendingGalleryPick}
+     */
     videos() {
         this._mediaType = 'video';
         return this;
     }
 
+    /**
+     * Pick any media type (images and videos)
+     * @returns {PendingGalleryPick}
+     */
     all() {
         this._mediaType = 'all';
         return this;
     }
 
+    /**
+     * Allow multiple selection
+     * @param {boolean} enabled - Enable multiple selection (default: true)
+     * @returns {PendingGalleryPick}
+     */
     multiple(enabled = true) {
         this._multiple = enabled;
         return this;
     }
 
+    /**
+     * Set maximum number of items when multiple selection is enabled
+     * @param {number} max - Maximum items (default: 10)
+     * @returns {PendingGalleryPick}
+     */
     maxItems(max) {
         this._maxItems = max;
         return this;
     }
 
+    /**
+     * Set a unique identifier for this gallery pick
+     * @param {string} id - Session ID
+     * @returns {PendingGalleryPick}
+     */
     id(id) {
         this._id = id;
         return this;
     }
 
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingGalleryPick}
+     */
     event(event) {
         this._event = event;
         return this;
     }
 
+    /**
+     * Get the gallery pick session ID
+     * @returns {string|null}
+     */
     getId() {
         return this._id;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Gallery\\MediaSelected']: (payload) => {
+                if (payload.cancelled) {
+                    throw new UserCancelledError('Media selection was cancelled', { code: 'USER_CANCELLED', data: payload });
+                }
+
+                if (payload.success === false) {
+                    throw new NativeExecutionError(payload.error || 'Media selection failed', { code: 'MEDIA_SELECTION_FAILED', data: payload });
+                }
+
+                return payload;
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .pick() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -402,34 +1568,172 @@ class PendingGalleryPick {
         if (this._id) params.id = this._id;
         if (this._event) params.event = this._event;
 
-        return BridgeCall('Camera.PickMedia', params).then(resolve, reject);
+        return bridgeCall('Camera.PickMedia', params, this._callOptions()).then(resolve, reject);
     }
 }
 
+/**
+ * Create a new gallery picker instance
+ * @returns {PendingGalleryPick}
+ */
+function gallery() {
+    return new PendingGalleryPick();
+}
+
+/**
+ * Pick a single image from gallery
+ * @param {object} options - Gallery options (id, event)
+ * @returns {Promise<void>}
+ */
+async function pickImage(options = {}) {
+    return bridgeCall('Camera.PickMedia', {
+        mediaType: 'image',
+        multiple: false,
+        maxItems: 1,
+        ...options
+    });
+}
+
+/**
+ * Pick multiple images from gallery
+ * @param {object} options - Gallery options (maxItems, id, event)
+ * @returns {Promise<void>}
+ */
+async function pickImages(options = {}) {
+    return bridgeCall('Camera.PickMedia', {
+        mediaType: 'image',
+        multiple: true,
+        maxItems: options.maxItems || 10,
+        ...options
+    });
+}
+
+/**
+ * Pick a single video from gallery
+ * @param {object} options - Gallery options (id, event)
+ * @returns {Promise<void>}
+ */
+async function pickVideo(options = {}) {
+    return bridgeCall('Camera.PickMedia', {
+        mediaType: 'video',
+        multiple: false,
+        maxItems: 1,
+        ...options
+    });
+}
+
+/**
+ * Pick multiple videos from gallery
+ * @param {object} options - Gallery options (maxItems, id, event)
+ * @returns {Promise<void>}
+ */
+async function pickVideos(options = {}) {
+    return bridgeCall('Camera.PickMedia', {
+        mediaType: 'video',
+        multiple: true,
+        maxItems: options.maxItems || 10,
+        ...options
+    });
+}
+
+/**
+ * Pick any media (images or videos) from gallery
+ * @param {object} options - Gallery options (multiple, maxItems, id, event)
+ * @returns {Promise<void>}
+ */
+async function pickMedia(options = {}) {
+    return bridgeCall('Camera.PickMedia', {
+        mediaType: 'all',
+        multiple: options.multiple || false,
+        maxItems: options.maxItems || 10,
+        ...options
+    });
+}
+
+export { PendingGalleryPick };
+
+// ============================================================================
+// Network Functions
+// ============================================================================
+
+/**
+ * Get network status
+ * @returns {Promise<any>}
+ */
+async function networkStatus() {
+    return bridgeCall('Network.Status');
+}
+
+const network = {
+    status: networkStatus
+};
+
+// ============================================================================
+// Camera Functions
+// ============================================================================
+
 /**
  * PendingPhotoCapture - Fluent builder for capturing photos
  */
-class PendingPhotoCapture {
+class PendingPhotoCapture extends PendingBridgeCall {
     constructor() {
+        super();
         this._id = null;
         this._event = null;
         this._started = false;
     }
 
+    /**
+     * Set a unique identifier for this photo capture
+     * @param {string} id - Operation ID
+     * @returns {PendingPhotoCapture}
+     */
     id(id) {
         this._id = id;
         return this;
     }
 
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingPhotoCapture}
+     */
     event(event) {
         this._event = event;
         return this;
     }
 
+    /**
+     * Get the operation ID
+     * @returns {string|null}
+     */
     getId() {
         return this._id;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Camera\\PhotoTaken']: (payload) => payload,
+            'Native\\Mobile\\Events\\Camera\\PhotoCancelled': (payload) => {
+                throw new UserCancelledError('Photo capture was cancelled', { code: 'USER_CANCELLED', data: payload });
+            },
+            'Native\\Mobile\\Events\\Camera\\PermissionDenied': (payload) => {
+                throw new PermissionDeniedError('Camera permission was denied', { code: 'PERMISSION_DENIED', data: payload });
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .capture() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -441,40 +1745,83 @@ class PendingPhotoCapture {
         if (this._id) params.id = this._id;
         if (this._event) params.event = this._event;
 
-        return BridgeCall('Camera.GetPhoto', params).then(resolve, reject);
+        return bridgeCall('Camera.GetPhoto', params, this._callOptions()).then(resolve, reject);
     }
 }
 
 /**
  * PendingVideoRecorder - Fluent builder for recording videos
  */
-class PendingVideoRecorder {
+class PendingVideoRecorder extends PendingBridgeCall {
     constructor() {
+        super();
         this._id = null;
         this._event = null;
         this._maxDuration = null;
         this._started = false;
     }
 
+    /**
+     * Set a unique identifier for this video recording
+     * @param {string} id - Operation ID
+     * @returns {PendingVideoRecorder}
+     */
     id(id) {
         this._id = id;
         return this;
     }
 
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingVideoRecorder}
+     */
     event(event) {
         this._event = event;
         return this;
     }
 
+    /**
+     * Set maximum recording duration
+     * @param {number} seconds - Maximum duration in seconds
+     * @returns {PendingVideoRecorder}
+     */
     maxDuration(seconds) {
         this._maxDuration = seconds;
         return this;
     }
 
+    /**
+     * Get the operation ID
+     * @returns {string|null}
+     */
     getId() {
         return this._id;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Camera\\VideoRecorded']: (payload) => payload,
+            'Native\\Mobile\\Events\\Camera\\VideoCancelled': (payload) => {
+                throw new UserCancelledError('Video recording was cancelled', { code: 'USER_CANCELLED', data: payload });
+            },
+            'Native\\Mobile\\Events\\Camera\\PermissionDenied': (payload) => {
+                throw new PermissionDeniedError('Camera permission was denied', { code: 'PERMISSION_DENIED', data: payload });
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .record() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -487,76 +1834,54 @@ class PendingVideoRecorder {
         if (this._event) params.event = this._event;
         if (this._maxDuration) params.maxDuration = this._maxDuration;
 
-        return BridgeCall('Camera.RecordVideo', params).then(resolve, reject);
+        return bridgeCall('Camera.RecordVideo', params, this._callOptions()).then(resolve, reject);
     }
 }
 
-export function Gallery() {
-    return new PendingGalleryPick();
+/**
+ * Capture a photo using the device camera
+ * @returns {PendingPhotoCapture}
+ */
+function getPhotoFunction() {
+    return new PendingPhotoCapture();
 }
 
-export async function PickImage(options = {}) {
-    return BridgeCall('Camera.PickMedia', {
-        mediaType: 'image',
-        multiple: false,
-        maxItems: 1,
-        ...options
-    });
-}
-
-export async function PickImages(options = {}) {
-    return BridgeCall('Camera.PickMedia', {
-        mediaType: 'image',
-        multiple: true,
-        maxItems: options.maxItems || 10,
-        ...options
-    });
-}
-
-export async function PickVideo(options = {}) {
-    return BridgeCall('Camera.PickMedia', {
-        mediaType: 'video',
-        multiple: false,
-        maxItems: 1,
-        ...options
-    });
-}
-
-export async function PickVideos(options = {}) {
-    return BridgeCall('Camera.PickMedia', {
-        mediaType: 'video',
-        multiple: true,
-        maxItems: options.maxItems || 10,
-        ...options
-    });
+/**
+ * Record a video using the device camera
+ * @returns {PendingVideoRecorder}
+ */
+function recordVideoFunction() {
+    return new PendingVideoRecorder();
 }
 
-export async function PickMedia(options = {}) {
-    return BridgeCall('Camera.PickMedia', {
-        mediaType: 'all',
-        multiple: options.multiple || false,
-        maxItems: options.maxItems || 10,
-        ...options
-    });
+/**
+ * Pick media from the device gallery
+ * Note: This uses the existing PendingGalleryPick builder
+ * @returns {PendingGalleryPick}
+ */
+function pickImagesFunction() {
+    return new PendingGalleryPick();
 }
 
-export const Camera = {
-    getPhoto: () => new PendingPhotoCapture(),
-    recordVideo: () => new PendingVideoRecorder(),
-    pickImages: () => new PendingGalleryPick()
+const camera = {
+    getPhoto: getPhotoFunction,
+    recordVideo: recordVideoFunction,
+    pickImages: pickImagesFunction
 };
 
-export { PendingGalleryPick, PendingPhotoCapture, PendingVideoRecorder };
+export { PendingPhotoCapture, PendingVideoRecorder };
 
 // ============================================================================
-// Biometric Functions
+// Audio Functions
 // ============================================================================
 
 /**
- * PendingBiometric - Fluent builder for biometric authentication
+ * Pending microphone recording builder
+ * Matches PHP: Microphone::record() returns PendingMicrophone
  */
-class PendingBiometric {
+class PendingMicrophone extends PendingBridgeCall {
     constructor() {
+        super();
         this._id = null;
         this._event = null;
         this._started = false;
@@ -572,6 +1897,26 @@ class PendingBiometric {
         return this;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Microphone\\MicrophoneRecorded']: (payload) => payload,
+            'Native\\Mobile\\Events\\Microphone\\MicrophoneCancelled': (payload) => {
+                throw new UserCancelledError('Recording was cancelled', { code: 'USER_CANCELLED', data: payload });
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .record() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -583,28 +1928,85 @@ class PendingBiometric {
         if (this._id) params.id = this._id;
         if (this._event) params.event = this._event;
 
-        return BridgeCall('Biometric.Prompt', params).then(resolve, reject);
+        return bridgeCall('Microphone.Start', params, this._callOptions()).then(resolve, reject);
     }
 }
 
-export const Biometrics = {
-    prompt: () => new PendingBiometric()
-};
+/**
+ * Start microphone recording
+ * @returns {PendingMicrophone}
+ */
+function recordMicrophoneFunction() {
+    return new PendingMicrophone();
+}
 
-// Alias for backwards compatibility
-export const Biometric = Biometrics;
+/**
+ * Stop microphone recording
+ * @param {object} options - Call options ({ signal, timeout })
+ * @returns {Promise<any>}
+ */
+function stopMicrophoneFunction(options = {}) {
+    return bridgeCall('Microphone.Stop', {}, options);
+}
 
-export { PendingBiometric };
+/**
+ * Pause microphone recording
+ * @param {object} options - Call options ({ signal, timeout })
+ * @returns {Promise<any>}
+ */
+function pauseMicrophoneFunction(options = {}) {
+    return bridgeCall('Microphone.Pause', {}, options);
+}
+
+/**
+ * Resume microphone recording
+ * @param {object} options - Call options ({ signal, timeout })
+ * @returns {Promise<any>}
+ */
+function resumeMicrophoneFunction(options = {}) {
+    return bridgeCall('Microphone.Resume', {}, options);
+}
+
+/**
+ * Get microphone recording status
+ * @param {object} options - Call options ({ signal, timeout })
+ * @returns {Promise<any>}
+ */
+function getMicrophoneStatusFunction(options = {}) {
+    return bridgeCall('Microphone.GetStatus', {}, options);
+}
+
+/**
+ * Get the path to the last recorded audio file
+ * @param {object} options - Call options ({ signal, timeout })
+ * @returns {Promise<any>}
+ */
+function getMicrophoneRecordingFunction(options = {}) {
+    return bridgeCall('Microphone.GetRecording', {}, options);
+}
+
+const microphone = {
+    record: recordMicrophoneFunction,
+    stop: stopMicrophoneFunction,
+    pause: pauseMicrophoneFunction,
+    resume: resumeMicrophoneFunction,
+    getStatus: getMicrophoneStatusFunction,
+    getRecording: getMicrophoneRecordingFunction
+};
+
+export { PendingMicrophone };
 
 // ============================================================================
 // Geolocation Functions
 // ============================================================================
 
 /**
- * PendingGeolocation - Fluent builder for geolocation operations
+ * Pending geolocation builder
+ * Matches PHP: Geolocation methods return PendingGeolocation
  */
-class PendingGeolocation {
+class PendingGeolocation extends PendingBridgeCall {
     constructor(action) {
+        super();
         this._action = action;
         this._fineAccuracy = false;
         this._id = null;
@@ -613,26 +2015,87 @@ class PendingGeolocation {
         this._started = false;
     }
 
+    /**
+     * Use fine accuracy (GPS) instead of coarse (network-based)
+     * @param {boolean} enabled - Enable fine accuracy (default: true)
+     * @returns {PendingGeolocation}
+     */
     fineAccuracy(enabled = true) {
         this._fineAccuracy = enabled;
         return this;
     }
 
+    /**
+     * Set a unique identifier for this operation
+     * @param {string} id - Operation ID
+     * @returns {PendingGeolocation}
+     */
     id(id) {
         this._id = id;
         return this;
     }
 
+    /**
+     * Set a custom event class name to fire
+     * @param {string} event - Event class name
+     * @returns {PendingGeolocation}
+     */
     event(event) {
         this._event = event;
         return this;
     }
 
+    /**
+     * Remember the permission decision
+     * @param {boolean} enabled - Enable remember (default: true)
+     * @returns {PendingGeolocation}
+     */
     remember(enabled = true) {
         this._remember = enabled;
         return this;
     }
 
+    /**
+     * Result events for waitForResult()
+     * @private
+     */
+    _resultHandlers() {
+        if (this._action === 'checkPermissions') {
+            return {
+                [this._event || 'Native\\Mobile\\Events\\Geolocation\\PermissionStatusReceived']: (payload) => payload
+            };
+        }
+
+        if (this._action === 'requestPermissions') {
+            return {
+                [this._event || 'Native\\Mobile\\Events\\Geolocation\\PermissionRequestResult']: (payload) => {
+                    if (payload.error) {
+                        throw new NativeExecutionError(payload.error || 'Location permission request failed', { code: 'PERMISSION_REQUEST_FAILED', data: payload });
+                    }
+
+                    return payload;
+                }
+            };
+        }
+
+        return {
+            [this._event || 'Native\\Mobile\\Events\\Geolocation\\LocationReceived']: (payload) => {
+                if (!payload.success) {
+                    throw new NativeExecutionError(payload.error || 'Getting the current position failed', { code: 'LOCATION_FAILED', data: payload });
+                }
+
+                return payload;
+            }
+        };
+    }
+
+    /**
+     * Make this builder thenable so it can be awaited directly
+     * This eliminates the need for .get() - just await the builder itself
+     * @param {Function} resolve - Promise resolve function
+     * @param {Function} reject - Promise reject function
+     * @returns {Promise<void>}
+     */
     then(resolve, reject) {
         if (this._started) {
             return resolve();
@@ -655,197 +2118,111 @@ class PendingGeolocation {
             method = 'Geolocation.RequestPermissions';
         }
 
-        return BridgeCall(method, params).then(resolve, reject);
+        return bridgeCall(method, params, this._callOptions()).then(resolve, reject);
     }
 }
 
-export const Geolocation = {
-    getCurrentPosition: () => new PendingGeolocation('getCurrentPosition'),
-    checkPermissions: () => new PendingGeolocation('checkPermissions'),
-    requestPermissions: () => new PendingGeolocation('requestPermissions')
-};
-
-export { PendingGeolocation };
-
-// ============================================================================
-// Scanner Functions
-// ============================================================================
-
 /**
- * PendingScan - Fluent builder for QR/barcode scanning
+ * Get the current GPS location of the device
+ * @returns {PendingGeolocation}
  */
-class PendingScan {
-    constructor() {
-        this._prompt = null;
-        this._continuous = false;
-        this._formats = ['qr'];
-        this._id = null;
-        this._started = false;
-    }
-
-    prompt(text) {
-        this._prompt = text;
-        return this;
-    }
-
-    continuous(enabled = true) {
-        this._continuous = enabled;
-        return this;
-    }
-
-    formats(formats) {
-        this._formats = formats;
-        return this;
-    }
-
-    id(id) {
-        this._id = id;
-        return this;
-    }
-
-    getId() {
-        return this._id;
-    }
-
-    then(resolve, reject) {
-        if (this._started) {
-            return resolve();
-        }
-
-        this._started = true;
-
-        return BridgeCall('Scanner.Scan', {
-            prompt: this._prompt ?? 'Scan QR Code',
-            continuous: this._continuous,
-            formats: this._formats,
-            id: this._id
-        }).then(resolve, reject);
-    }
+function getCurrentPositionFunction() {
+    return new PendingGeolocation('getCurrentPosition');
 }
 
-export const Scanner = {
-    scan: () => new PendingScan()
-};
-
-export { PendingScan };
-
-// ============================================================================
-// Microphone Functions
-// ============================================================================
-
 /**
- * PendingMicrophone - Fluent builder for microphone recording
+ * Check current location permissions status
+ * @returns {PendingGeolocation}
  */
-class PendingMicrophone {
-    constructor() {
-        this._id = null;
-        this._event = null;
-        this._started = false;
-    }
-
-    id(id) {
-        this._id = id;
-        return this;
-    }
-
-    event(event) {
-        this._event = event;
-        return this;
-    }
-
-    then(resolve, reject) {
-        if (this._started) {
-            return resolve();
-        }
-
-        this._started = true;
-
-        const params = {};
-        if (this._id) params.id = this._id;
-        if (this._event) params.event = this._event;
-
-        return BridgeCall('Microphone.Start', params).then(resolve, reject);
-    }
-}
-
-export const Microphone = {
-    record: () => new PendingMicrophone(),
-    stop: () => BridgeCall('Microphone.Stop', {}),
-    pause: () => BridgeCall('Microphone.Pause', {}),
-    resume: () => BridgeCall('Microphone.Resume', {}),
-    getStatus: () => BridgeCall('Microphone.GetStatus', {}),
-    getRecording: () => BridgeCall('Microphone.GetRecording', {})
-};
-
-export { PendingMicrophone };
-
-// ============================================================================
-// Browser Functions
-// ============================================================================
-
-export async function BrowserOpen(url) {
-    const result = await BridgeCall('Browser.Open', { url });
-    return result?.success === true;
-}
-
-export async function BrowserInApp(url) {
-    const result = await BridgeCall('Browser.OpenInApp', { url });
-    return result?.success === true;
+function checkPermissionsFunction() {
+    return new PendingGeolocation('checkPermissions');
 }
 
-export async function BrowserAuth(url) {
-    const result = await BridgeCall('Browser.OpenAuth', { url });
-    return result?.success === true;
+/**
+ * Request location permissions from the user
+ * @returns {PendingGeolocation}
+ */
+function requestPermissionsFunction() {
+    return new PendingGeolocation('requestPermissions');
 }
 
-export const Browser = {
-    open: BrowserOpen,
-    inApp: BrowserInApp,
-    auth: BrowserAuth
+const geolocation = {
+    getCurrentPosition: getCurrentPositionFunction,
+    checkPermissions: checkPermissionsFunction,
+    requestPermissions: requestPermissionsFunction
 };
 
+export { PendingGeolocation };
+
 // ============================================================================
 // Push Notifications Functions
 // ============================================================================
 
-export async function PushNotificationsCheckPermission() {
-    const result = await BridgeCall('PushNotification.CheckPermission');
+/**
+ * Check current push notification permission status without prompting the user
+ * @returns {Promise<string|null>} "granted", "denied", "not_determined", "provisional" or "ephemeral"
+ */
+async function pushNotificationsCheckPermission() {
+    const result = await bridgeCall('PushNotification.CheckPermission');
     return result?.status ?? null;
 }
 
-export async function PushNotificationsEnroll() {
-    const result = await BridgeCall('PushNotification.RequestPermission');
+/**
+ * Request push notification permissions and enroll
+ * @returns {Promise<boolean>} Whether the request was accepted
+ */
+async function pushNotificationsEnroll() {
+    const result = await bridgeCall('PushNotification.RequestPermission');
     return result?.success === true;
 }
 
-export async function PushNotificationsGetToken() {
-    const result = await BridgeCall('PushNotification.GetToken');
+/**
+ * Get the current push notification token
+ * @returns {Promise<string|null>} APNS token on iOS, FCM token on Android
+ */
+async function pushNotificationsGetToken() {
+    const result = await bridgeCall('PushNotification.GetToken');
     return result?.token ?? null;
 }
 
-export const PushNotifications = {
-    checkPermission: PushNotificationsCheckPermission,
-    enroll: PushNotificationsEnroll,
-    getToken: PushNotificationsGetToken
+
+const pushNotifications = {
+    checkPermission: pushNotificationsCheckPermission,
+    enroll: pushNotificationsEnroll,
+    getToken: pushNotificationsGetToken,
 };
 
 // ============================================================================
 // Mobile Wallet Functions
 // ============================================================================
 
-export async function MobileWalletIsAvailable() {
-    return BridgeCall('MobileWallet.IsAvailable');
+/**
+ * Check whether Apple Pay / Google Pay is available on this device
+ * @returns {Promise<Object>}
+ */
+async function mobileWalletIsAvailable() {
+    return bridgeCall('MobileWallet.IsAvailable');
 }
 
-export async function MobileWalletCreatePaymentIntent(options = {}) {
-    return BridgeCall('MobileWallet.CreatePaymentIntent', {
+/**
+ * Create a payment intent
+ * @param {object} options - { amount, currency = 'usd', metadata }
+ * @returns {Promise<Object>}
+ */
+async function mobileWalletCreatePaymentIntent(options = {}) {
+    return bridgeCall('MobileWallet.CreatePaymentIntent', {
         amount: options.amount,
         currency: options.currency || 'usd',
         metadata: options.metadata || {}
     });
 }
 
-export async function MobileWalletPresentPaymentSheet(options = {}) {
+/**
+ * Present the native payment sheet
+ * @param {object} options - { clientSecret, merchantDisplayName, publishableKey, additionalOptions, signal, timeout }
+ * @returns {Promise<Object>}
+ */
+async function mobileWalletPresentPaymentSheet(options = {}) {
     if (!options.clientSecret) {
         throw new Error('clientSecret is required');
     }
@@ -856,31 +2233,47 @@ export async function MobileWalletPresentPaymentSheet(options = {}) {
         throw new Error('publishableKey is required');
     }
 
-    return BridgeCall('MobileWallet.PresentPaymentSheet', {
+    return bridgeCall('MobileWallet.PresentPaymentSheet', {
         clientSecret: options.clientSecret,
         merchantDisplayName: options.merchantDisplayName,
         publishableKey: options.publishableKey,
         options: options.additionalOptions || {}
-    });
+    }, { signal: options.signal, timeout: options.timeout });
 }
 
-export async function MobileWalletConfirmPayment(paymentIntentId) {
+/**
+ * Confirm a payment
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>}
+ */
+async function mobileWalletConfirmPayment(paymentIntentId) {
     if (!paymentIntentId) {
         throw new Error('paymentIntentId is required');
     }
 
-    return BridgeCall('MobileWallet.ConfirmPayment', { paymentIntentId });
+    return bridgeCall('MobileWallet.ConfirmPayment', { paymentIntentId });
 }
 
-export async function MobileWalletGetPaymentStatus(paymentIntentId) {
+/**
+ * Get the status of a payment
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>}
+ */
+async function mobileWalletGetPaymentStatus(paymentIntentId) {
     if (!paymentIntentId) {
         throw new Error('paymentIntentId is required');
     }
 
-    return BridgeCall('MobileWallet.GetPaymentStatus', { paymentIntentId });
+    return bridgeCall('MobileWallet.GetPaymentStatus', { paymentIntentId });
 }
 
-export function MobileWalletFormatAmount(amountInCents, currency = 'usd') {
+/**
+ * Format an amount in cents as a currency string
+ * @param {number} amountInCents - Amount in the smallest currency unit
+ * @param {string} currency - ISO currency code (default: 'usd')
+ * @returns {string}
+ */
+function mobileWalletFormatAmount(amountInCents, currency = 'usd') {
     const amount = amountInCents / 100;
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
@@ -888,114 +2281,1576 @@ export function MobileWalletFormatAmount(amountInCents, currency = 'usd') {
     }).format(amount);
 }
 
-export const MobileWallet = {
-    isAvailable: MobileWalletIsAvailable,
-    createPaymentIntent: MobileWalletCreatePaymentIntent,
-    presentPaymentSheet: MobileWalletPresentPaymentSheet,
-    confirmPayment: MobileWalletConfirmPayment,
-    getPaymentStatus: MobileWalletGetPaymentStatus,
-    formatAmount: MobileWalletFormatAmount
+const mobileWallet = {
+    isAvailable: mobileWalletIsAvailable,
+    createPaymentIntent: mobileWalletCreatePaymentIntent,
+    presentPaymentSheet: mobileWalletPresentPaymentSheet,
+    confirmPayment: mobileWalletConfirmPayment,
+    getPaymentStatus: mobileWalletGetPaymentStatus,
+    formatAmount: mobileWalletFormatAmount
 };
 
 // ============================================================================
-// Native Event System
+// Share Functions
 // ============================================================================
 
-const _eventListeners = {};
-let _nativeEventListenerSetup = false;
+/**
+ * Share a file or text using the native share sheet
+ * @param {string} title - Share dialog title / subject (optional)
+ * @param {string} message - Text message to share (optional)
+ * @param {string} path - File path to share (optional)
+ * @returns {Promise<any>}
+ */
+async function shareFile(title, message, path) {
+    return bridgeCall('Share.File', { title, message, filePath: path });
+}
 
-function setupNativeEventListener() {
-    if (_nativeEventListenerSetup) {
-        return;
-    }
+/**
+ * Share a URL using the native share sheet
+ * @param {string} title - Share dialog title / subject
+ * @param {string} text - Text message to share
+ * @param {string} url - URL to share
+ * @returns {Promise<any>}
+ */
+async function shareUrl(title, text, url) {
+    return bridgeCall('Share.Url', { title, text, url });
+}
 
-    document.addEventListener("native-event", function (e) {
-        let eventName = e.detail.event.replace(/^(\\\\)+/, '');
-        const payload = e.detail.payload;
+const share = {
+    file: shareFile,
+    url: shareUrl
+};
 
-        const cbs = _eventListeners[eventName] || [];
-        cbs.forEach(cb => cb(payload, eventName));
-    });
+// ============================================================================
+// SecureStorage Functions
+// ============================================================================
 
-    _nativeEventListenerSetup = true;
+/*
+ * Namespaces, listing and expiry are handled by the PHP SecureStorage class,
+ * so values written here and with the SecureStorage facade are interchangeable.
+ * Every function accepts `namespace` (e.g. `user.${id}`) plus any bridgeCall options.
+ */
+
+/**
+ * Store a value securely in the device keychain/keystore
+ * @param {string} key - The key to store the value under
+ * @param {string|null} value - The value to store securely
+ * @param {object} options - Storage options, plus any bridgeCall options
+ * @param {string} options.namespace - Namespace of the key
+ * @param {number} options.ttl - Seconds after which the value expires
+ * @returns {Promise<{success: boolean}>}
+ */
+async function secureStorageSet(key, value, { namespace, ttl, ...options } = {}) {
+    return bridgeCall('SecureStorage.Set', { key, value, namespace, ttl }, options);
 }
 
 /**
- * Listen for native events
- * @param {string} eventName - Event name to listen for
- * @param {function} callback - Callback function (payload, eventName) => void
+ * Retrieve a value from secure storage
+ * @param {string} key - The key to retrieve
+ * @param {object} options - `namespace`, plus any bridgeCall options
+ * @returns {Promise<{value: string|null}>} null when missing or expired
  */
-export function On(eventName, callback) {
-    setupNativeEventListener();
+async function secureStorageGet(key, { namespace, ...options } = {}) {
+    return bridgeCall('SecureStorage.Get', { key, namespace }, options);
+}
 
-    if (!_eventListeners[eventName]) {
-        _eventListeners[eventName] = [];
-    }
-    _eventListeners[eventName].push(callback);
+/**
+ * Delete a value from secure storage
+ * @param {string} key - The key to delete
+ * @param {object} options - `namespace`, plus any bridgeCall options
+ * @returns {Promise<{success: boolean}>}
+ */
+async function secureStorageDelete(key, { namespace, ...options } = {}) {
+    return bridgeCall('SecureStorage.Delete', { key, namespace }, options);
 }
 
 /**
- * Stop listening for native events
- * @param {string} eventName - Event name to stop listening for
- * @param {function} callback - Callback function to remove
+ * Check whether a value is stored (and not expired)
+ * @param {string} key - The key to check
+ * @param {object} options - `namespace`, plus any bridgeCall options
+ * @returns {Promise<boolean>}
  */
-export function Off(eventName, callback) {
-    if (_eventListeners[eventName]) {
-        _eventListeners[eventName] = _eventListeners[eventName].filter(cb => cb !== callback);
-    }
+async function secureStorageHas(key, { namespace, ...options } = {}) {
+    const { exists } = await bridgeCall('SecureStorage.Has', { key, namespace }, options);
+
+    return exists;
 }
 
-// ============================================================================
-// Native Event Constants
-// ============================================================================
+/**
+ * Store any JSON-serializable value
+ * @param {string} key - The key to store the value under
+ * @param {any} value - The value to store
+ * @param {object} options - `namespace` and `ttl` (see set), plus any bridgeCall options
+ * @returns {Promise<{success: boolean}>}
+ */
+async function secureStorageSetJSON(key, value, options = {}) {
+    return secureStorageSet(key, JSON.stringify(value), options);
+}
 
 /**
- * Native event class name constants for type-safe event listening
- * Usage: import { Events, On } from '@nativephp/mobile';
- *        On(Events.Camera.PhotoTaken, (event) => { ... });
+ * Retrieve a value stored with setJSON()
+ * @param {string} key - The key to retrieve
+ * @param {object} options - `namespace`, plus any bridgeCall options
+ * @returns {Promise<any>} null when missing, expired or not valid JSON
  */
-export const Events = {
-    Alert: {
-        ButtonPressed: 'Native\\Mobile\\Events\\Alert\\ButtonPressed',
-    },
-    App: {
-        UpdateInstalled: 'Native\\Mobile\\Events\\App\\UpdateInstalled',
-    },
-    Camera: {
-        PhotoTaken: 'Native\\Mobile\\Events\\Camera\\PhotoTaken',
-        PhotoCancelled: 'Native\\Mobile\\Events\\Camera\\PhotoCancelled',
-        VideoRecorded: 'Native\\Mobile\\Events\\Camera\\VideoRecorded',
-        VideoCancelled: 'Native\\Mobile\\Events\\Camera\\VideoCancelled',
+async function secureStorageGetJSON(key, options = {}) {
+    const { value } = await secureStorageGet(key, options);
+
+    return parseStoredJSON(value);
+}
+
+/**
+ * Parse a stored value, treating anything that isn't JSON as missing
+ * @private
+ */
+function parseStoredJSON(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Store several string values at once
+ * @param {Object<string, string|null>} values - Values by key
+ * @param {object} options - `namespace` and `ttl` (see set), plus any bridgeCall options
+ * @returns {Promise<{success: boolean}>} success is false if any value could not be stored
+ */
+async function secureStorageSetMany(values, { namespace, ttl, ...options } = {}) {
+    return bridgeCall('SecureStorage.SetMany', { values, namespace, ttl }, options);
+}
+
+/**
+ * Retrieve several values at once
+ * @param {string[]} keys - The keys to retrieve
+ * @param {object} options - `namespace`, plus any bridgeCall options
+ * @returns {Promise<Object<string, string|null>>} Values by key, null for missing or expired keys
+ */
+async function secureStorageGetMany(keys, { namespace, ...options } = {}) {
+    const { values } = await bridgeCall('SecureStorage.GetMany', { keys, namespace }, options);
+
+    return values;
+}
+
+/**
+ * List stored keys. With a namespace, the keys of that namespace are listed
+ * without their prefix; otherwise every key is listed, namespaced keys as
+ * "{namespace}::{key}". Keys stored by versions before listing existed are not included.
+ * @param {string} namespace - Namespace to list
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<string[]>}
+ */
+async function secureStorageKeys(namespace, options = {}) {
+    const { keys } = await bridgeCall('SecureStorage.Keys', { namespace }, options);
+
+    return keys;
+}
+
+/**
+ * Delete every stored key, or only those in a namespace (e.g. on logout)
+ * @param {string} namespace - Namespace to clear
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<number>} The number of keys deleted
+ */
+async function secureStorageClear(namespace, options = {}) {
+    const { cleared } = await bridgeCall('SecureStorage.Clear', { namespace }, options);
+
+    return cleared;
+}
+
+const secureStorage = {
+    set: secureStorageSet,
+    get: secureStorageGet,
+    delete: secureStorageDelete,
+    has: secureStorageHas,
+    setJSON: secureStorageSetJSON,
+    getJSON: secureStorageGetJSON,
+    setMany: secureStorageSetMany,
+    getMany: secureStorageGetMany,
+    keys: secureStorageKeys,
+    clear: secureStorageClear
+};
+
+// ============================================================================
+// File Functions
+// ============================================================================
+
+/**
+ * Move a file
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ * @returns {Promise<any>}
+ */
+async function moveFile(from, to) {
+    return bridgeCall('File.Move', { from, to });
+}
+
+/**
+ * Copy a file
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ * @returns {Promise<any>}
+ */
+async function copyFile(from, to) {
+    return bridgeCall('File.Copy', { from, to });
+}
+
+/**
+ * @private
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+
+    // Chunked so large files don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Base64-encode file contents for the bridge
+ * @private
+ */
+async function encodeFileData(data) {
+    if (typeof data === 'string') {
+        return bytesToBase64(new TextEncoder().encode(data));
+    }
+
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+        data = await data.arrayBuffer();
+    }
+
+    if (data instanceof ArrayBuffer) {
+        return bytesToBase64(new Uint8Array(data));
+    }
+
+    if (ArrayBuffer.isView(data)) {
+        return bytesToBase64(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+    }
+
+    throw new TypeError('File data must be a string, ArrayBuffer, typed array or Blob');
+}
+
+/**
+ * Read a file
+ * Relative paths resolve against the documents root unless `root` is given;
+ * absolute paths (e.g. from Camera.getPhoto()) must be inside one of the roots.
+ * @param {string} path - File path
+ * @param {object} options - Read options, plus any bridgeCall options
+ * @param {'utf8'|'base64'|'arraybuffer'} options.encoding - How to return the contents (default: 'utf8')
+ * @param {string} options.root - Named root: 'documents', 'cache', 'temp', 'app-bundle' or a configured one
+ * @returns {Promise<string|ArrayBuffer>}
+ */
+async function readFile(path, { encoding = 'utf8', root, ...options } = {}) {
+    if (!['utf8', 'base64', 'arraybuffer'].includes(encoding)) {
+        throw new TypeError(`Unknown encoding '${encoding}', expected 'utf8', 'base64' or 'arraybuffer'`);
+    }
+
+    const { data } = await bridgeCall('File.Read', { path, root }, options);
+
+    if (encoding === 'base64') {
+        return data;
+    }
+
+    const bytes = base64ToBytes(data);
+
+    return encoding === 'arraybuffer' ? bytes.buffer : new TextDecoder().decode(bytes);
+}
+
+/**
+ * Write a file, replacing it if it exists and creating missing parent directories
+ * @param {string} path - File path
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} data - Contents (strings are written as UTF-8)
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<FileEntry>} The written file
+ */
+async function writeFile(path, data, { root, ...options } = {}) {
+    return bridgeCall('File.Write', { path, root, data: await encodeFileData(data) }, options);
+}
+
+/**
+ * Append to a file, creating it if it doesn't exist
+ * @param {string} path - File path
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} data - Contents to append (strings are written as UTF-8)
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<FileEntry>} The written file
+ */
+async function appendFile(path, data, { root, ...options } = {}) {
+    return bridgeCall('File.Append', { path, root, data: await encodeFileData(data) }, options);
+}
+
+/**
+ * Delete a file or directory
+ * @param {string} path - File or directory path
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @param {boolean} options.recursive - Also delete a directory that isn't empty
+ * @returns {Promise<boolean>} False when there was nothing to delete
+ */
+async function deleteFile(path, { root, recursive = false, ...options } = {}) {
+    const { deleted } = await bridgeCall('File.Delete', { path, root, recursive }, options);
+
+    return deleted;
+}
+
+/**
+ * Check whether a file or directory exists
+ * @param {string} path - File or directory path
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(path, { root, ...options } = {}) {
+    const { exists } = await bridgeCall('File.Exists', { path, root }, options);
+
+    return exists;
+}
+
+/**
+ * Describe a file or directory
+ * @param {string} path - File or directory path
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<FileEntry>}
+ */
+async function statFile(path, { root, ...options } = {}) {
+    return bridgeCall('File.Stat', { path, root }, options);
+}
+
+/**
+ * List a directory's contents, sorted by name
+ * @param {string} path - Directory path (default: the root itself)
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<FileEntry[]>}
+ */
+async function listDirectory(path = '', { root, ...options } = {}) {
+    const { entries } = await bridgeCall('File.List', { path, root }, options);
+
+    return entries;
+}
+
+/**
+ * Create a directory and any missing parents
+ * @param {string} path - Directory path
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<FileEntry>} The directory
+ */
+async function makeDirectory(path, { root, ...options } = {}) {
+    return bridgeCall('File.Mkdir', { path, root }, options);
+}
+
+/**
+ * File URLs handed out by FileUrl() and not yet revoked
+ * @private
+ */
+const issuedFileUrls = new Set();
+
+let fileUrlCleanupSetup = false;
+
+/**
+ * Revoke outstanding file URLs when the page is left for good
+ * (not when it is only put in the back/forward cache). URLs that are
+ * never revoked still expire on the PHP side after their TTL.
+ * @private
+ */
+function setupFileUrlCleanup() {
+    if (fileUrlCleanupSetup || typeof window === 'undefined') {
+        return;
+    }
+
+    window.addEventListener('pagehide', (event) => {
+        if (event.persisted || issuedFileUrls.size === 0) {
+            return;
+        }
+
+        const urls = [...issuedFileUrls];
+        issuedFileUrls.clear();
+
+        // keepalive lets the request outlive the page, which bridgeCall's fetch would not
+        fetch(baseUrl, {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || ''
+            },
+            body: JSON.stringify({ method: 'File.RevokeUrl', params: { urls } })
+        }).catch(() => {});
+    });
+
+    fileUrlCleanupSetup = true;
+}
+
+/**
+ * Get a same-origin URL for a file, e.g. to preview a photo in an <img> or
+ * stream a recorded video in a <video> (range requests are supported, so
+ * large files are never loaded whole). The URL is revoked automatically when
+ * the page is left, or after `ttl` seconds (default: nativephp.files.url_ttl).
+ * @param {string} path - File path, e.g. from Camera.getPhoto()
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @param {number} options.ttl - Seconds the URL stays valid
+ * @returns {Promise<string>}
+ */
+async function fileUrl(path, { root, ttl, ...options } = {}) {
+    const { url } = await bridgeCall('File.Url', { path, root, ttl }, options);
+
+    setupFileUrlCleanup();
+    issuedFileUrls.add(url);
+
+    return url;
+}
+
+/**
+ * Revoke a URL returned by FileUrl()
+ * @param {string} url - The file URL
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<boolean>} False when the URL had already expired or been revoked
+ */
+async function revokeFileUrl(url, options = {}) {
+    issuedFileUrls.delete(url);
+
+    const { revoked } = await bridgeCall('File.RevokeUrl', { url }, options);
+
+    return revoked > 0;
+}
+
+/**
+ * Fetch a file through a short-lived URL, which is revoked straight after
+ * @private
+ */
+async function fetchFile(path, { root, ...options } = {}) {
+    const params = { path, root, ttl: 60 };
+    const entry = await bridgeCall('File.Url', params, options);
+
+    try {
+        const response = await fetch(entry.url, { signal: options.signal });
+
+        if (!response.ok) {
+            throw createBridgeError(await readJsonResponse(response, 'File.Url', params), response.status, 'File.Url', params);
+        }
+
+        return { entry, blob: await response.blob() };
+    } finally {
+        bridgeCall('File.RevokeUrl', { url: entry.url }).catch(() => {});
+    }
+}
+
+/**
+ * Load a file as a Blob, e.g. to append it to FormData or create an object URL
+ * @param {string} path - File path, e.g. from Microphone.getRecording()
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<Blob>}
+ */
+async function fileBlob(path, options = {}) {
+    const { blob } = await fetchFile(path, options);
+
+    return blob;
+}
+
+/**
+ * Load a file as a File, keeping its name, MIME type and modification time
+ * @param {string} path - File path, e.g. from Camera.getPhoto()
+ * @param {object} options - `root` (see readFile), plus any bridgeCall options
+ * @returns {Promise<File>}
+ */
+async function fileObject(path, options = {}) {
+    const { entry, blob } = await fetchFile(path, options);
+
+    return new globalThis.File([blob], entry.name, {
+        type: blob.type || entry.mimeType || '',
+        lastModified: Date.parse(entry.modifiedAt)
+    });
+}
+
+const file = {
+    move: moveFile,
+    copy: copyFile,
+    read: readFile,
+    write: writeFile,
+    append: appendFile,
+    delete: deleteFile,
+    exists: fileExists,
+    stat: statFile,
+    list: listDirectory,
+    mkdir: makeDirectory,
+    url: fileUrl,
+    revokeUrl: revokeFileUrl,
+    blob: fileBlob,
+    toFile: fileObject
+};
+
+// ============================================================================
+// Upload Functions
+// ============================================================================
+
+/**
+ * Upload a file in the background. The device keeps uploading while the app
+ * is suspended and retries on flaky connections; follow it with WatchUpload()
+ * or the Events.Upload.* events.
+ * @param {string} path - Device path of the file, e.g. from Camera.recordVideo()
+ * @param {string} url - Absolute http(s) URL to upload to. The upload runs outside
+ *   the WebView, so a relative URL has no server to resolve against.
+ * @param {object} options - Upload options, plus any bridgeCall options
+ * @param {string} options.method - HTTP method (default: 'POST')
+ * @param {object} options.headers - Extra request headers, e.g. Authorization
+ * @param {object} options.fields - Extra form fields (multipart mode)
+ * @param {string} options.fileField - Form field name of the file (default: 'file')
+ * @param {'multipart'|'chunked'} options.mode - 'chunked' sends Content-Range requests
+ *   and resumes from the last acknowledged chunk (default: 'multipart')
+ * @param {number} options.chunkSize - Bytes per request in chunked mode (default: 5 MB)
+ * @param {string} options.id - Id to use instead of a generated one
+ * @returns {Promise<object>} The upload record
+ *
+ * @example
+ * const { id } = await Upload.start(video.path, 'https://api.example.com/videos', {
+ *     mode: 'chunked',
+ *     headers: { Authorization: `Bearer ${token}` }
+ * });
+ */
+async function startUpload(path, url, { method, headers, fields, fileField, mode, chunkSize, id, ...options } = {}) {
+    return bridgeCall('Upload.Start', { path, url, method, headers, fields, fileField, mode, chunkSize, id }, options);
+}
+
+/**
+ * Pause an upload without forgetting it
+ * @param {string} id - The upload id
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<object>} The upload record
+ */
+async function pauseUpload(id, options = {}) {
+    return bridgeCall('Upload.Pause', { id }, options);
+}
+
+/**
+ * Continue a paused or failed upload. Chunked uploads continue from the last
+ * acknowledged chunk, multipart uploads start over.
+ * @param {string} id - The upload id
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<object>} The upload record
+ */
+async function resumeUpload(id, options = {}) {
+    return bridgeCall('Upload.Resume', { id }, options);
+}
+
+/**
+ * Cancel an upload for good
+ * @param {string} id - The upload id
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<object>} The upload record
+ */
+async function cancelUpload(id, options = {}) {
+    return bridgeCall('Upload.Cancel', { id }, options);
+}
+
+/**
+ * Get the current state of an upload, e.g. after the app was relaunched and
+ * missed its events
+ * @param {string} id - The upload id
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<object>} The upload record
+ */
+async function uploadStatus(id, options = {}) {
+    return bridgeCall('Upload.Status', { id }, options);
+}
+
+/**
+ * List every upload the device knows about, oldest first. Finished uploads
+ * are forgotten after a week.
+ * @param {object} options - Any bridgeCall options
+ * @returns {Promise<object[]>}
+ */
+async function listUploads(options = {}) {
+    const { uploads } = await bridgeCall('Upload.List', {}, options);
+
+    return uploads;
+}
+
+/**
+ * Listen for the events of one upload
+ * @param {string} id - The upload id
+ * @param {object} callbacks - Payload callbacks
+ * @param {function} callbacks.progress - Called with { id, bytesSent, totalBytes, progress }
+ * @param {function} callbacks.completed - Called with { id, statusCode, body }
+ * @param {function} callbacks.failed - Called with { id, error, resumable, statusCode }
+ * @returns {function} Function that removes the listeners
+ */
+function watchUpload(id, { progress, completed, failed } = {}) {
+    const forUpload = callback => payload => {
+        if (payload?.id === id) {
+            callback(payload);
+        }
+    };
+
+    const stops = [
+        progress && on(Events.Upload.Progressed, forUpload(progress)),
+        completed && on(Events.Upload.Completed, forUpload(completed)),
+        failed && on(Events.Upload.Failed, forUpload(failed))
+    ].filter(Boolean);
+
+    return () => stops.forEach(stop => stop());
+}
+
+const upload = {
+    start: startUpload,
+    pause: pauseUpload,
+    resume: resumeUpload,
+    cancel: cancelUpload,
+    status: uploadStatus,
+    list: listUploads,
+    watch: watchUpload
+};
+
+// ============================================================================
+// Edge Functions
+// ============================================================================
+
+/**
+ * Set Edge components (async version)
+ * @param {object|Array} components - Component data or array of components
+ * @returns {Promise<any>}
+ */
+async function setEdge(components) {
+    const payload = Array.isArray(components) ? components : [components];
+    return bridgeCall('Edge.Set', { components: payload });
+}
+
+/**
+ * Set Edge components (synchronous version)
+ *
+ * Use this for Inertia/Vue/React SPAs where async calls may not complete
+ * reliably during navigation. This blocks the JS thread until the native
+ * side processes the update.
+ *
+ * @param {object|Array} components - Component data or array of components
+ * @returns {void}
+ *
+ * @example
+ * import { Edge } from '#nativephp';
+ *
+ * // In an Inertia navigation handler
+ * router.on('finish', () => {
+ *     Edge.setSync([
+ *         { type: 'bottom_nav', data: { children: [...] } }
+ *     ]);
+ * });
+ */
+function setEdgeSync(components) {
+    const payload = Array.isArray(components) ? components : [components];
+    const result = runBridgeMiddleware(
+        { method: 'Edge.Set', params: { components: payload }, options: {}, sync: true },
+        sendSyncBridgeRequest
+    );
+
+    // Async middleware can turn the result into a promise; never leave it unhandled
+    result?.catch?.(() => {});
+}
+
+/**
+ * Clear all Edge components
+ *
+ * Removes all native UI components (TopBar, BottomNav, SideNav, Fab).
+ * Useful when logging out or navigating to a screen without native UI.
+ *
+ * @returns {Promise<any>}
+ *
+ * @example
+ * import { Edge } from '#nativephp';
+ *
+ * // On logout
+ * await Edge.clear();
+ */
+async function clearEdge() {
+    return bridgeCall('Edge.Set', { components: [] });
+}
+
+/**
+ * Clear all Edge components (synchronous version)
+ * @returns {void}
+ */
+function clearEdgeSync() {
+    setEdgeSync([]);
+}
+
+/**
+ * Re-render the Edge components of a page and apply them
+ *
+ * Requests the page with an `X-NativePHP-Edge: refresh` header, which makes
+ * Laravel answer with the page's components as JSON instead of sending them
+ * to the native layer, then applies them with Edge.set(). The Vite plugin
+ * calls this when a Blade file with <native:...> tags changes during HMR.
+ *
+ * @param {string} [url] - Page to render, defaults to the current page
+ * @returns {Promise<any>}
+ *
+ * @example
+ * import { Edge } from '#nativephp';
+ *
+ * // After changing something the layout's <native:bottom-nav> depends on
+ * await Edge.refresh();
+ */
+async function refreshEdge(url = window.location.href) {
+    const params = { url };
+    const response = await fetch(url, {
+        headers: { 'X-NativePHP-Edge': 'refresh', Accept: 'application/json' }
+    });
+    const result = await readJsonResponse(response, 'Edge.Refresh', params);
+
+    if (!response.ok || !Array.isArray(result.components)) {
+        throw new InvalidBridgeResponseError(`Could not render Edge components for ${url} (HTTP ${response.status})`, {
+            code: 'INVALID_RESPONSE',
+            status: response.status,
+            method: 'Edge.Refresh',
+            params,
+            data: result
+        });
+    }
+
+    return setEdge(result.components);
+}
+
+const edge = {
+    set: setEdge,
+    setSync: setEdgeSync,
+    clear: clearEdge,
+    clearSync: clearEdgeSync,
+    refresh: refreshEdge
+};
+
+// ============================================================================
+// Native Event System
+// ============================================================================
+
+/**
+ * Internal event listeners storage, keyed by event name or pattern
+ * @private
+ */
+const _eventListeners = {};
+
+/**
+ * Flag to track if we've set up the native-event listener
+ * @private
+ */
+let _nativeEventListenerSetup = false;
+
+/**
+ * Find the listeners for an event: exact name, namespace wildcards and catch-all
+ * @private
+ */
+function matchingEventListeners(eventName) {
+    return Object.keys(_eventListeners)
+        .filter(pattern => pattern === eventName
+            || pattern === '*'
+            || (pattern.endsWith('\\*') && eventName.startsWith(pattern.slice(0, -1))))
+        .flatMap(pattern => _eventListeners[pattern].map(listener => [pattern, listener]));
+}
+
+/**
+ * Report a listener exception without stopping the remaining listeners
+ * @private
+ */
+function reportListenerError(error) {
+    if (typeof globalThis.reportError === 'function') {
+        globalThis.reportError(error);
+    } else {
+        console.error(error);
+    }
+}
+
+/**
+ * Call every listener registered for an event
+ * @private
+ */
+function deliverNativeEvent(eventName, payload) {
+    eventName = eventName.replace(/^(\\\\)+/, '');
+
+    matchingEventListeners(eventName).forEach(([pattern, listener]) => {
+        if (listener.once) {
+            removeNativeListener(pattern, entry => entry === listener);
+        }
+
+        try {
+            listener.callback(payload, eventName);
+        } catch (error) {
+            reportListenerError(error);
+        }
+    });
+}
+
+/**
+ * Set up the document listener for native-event custom events
+ * Outside a browser (e.g. Node tests) there is no document to listen on.
+ * @private
+ */
+function setupNativeEventListener() {
+    if (_nativeEventListenerSetup || typeof document === 'undefined') {
+        return;
+    }
+
+    document.addEventListener("native-event", function (e) {
+        deliverNativeEvent(e.detail.event, e.detail.payload);
+    });
+
+    _nativeEventListenerSetup = true;
+}
+
+/**
+ * Register a listener entry
+ * @private
+ */
+function addNativeListener(eventName, callback, once) {
+    setupNativeEventListener();
+
+    if (!_eventListeners[eventName]) {
+        _eventListeners[eventName] = [];
+    }
+    _eventListeners[eventName].push({ callback, once });
+
+    return () => removeNativeListener(eventName, entry => entry.callback === callback);
+}
+
+/**
+ * Remove a listener entry
+ * @private
+ */
+function removeNativeListener(eventName, matches) {
+    if (_eventListeners[eventName]) {
+        const index = _eventListeners[eventName].findIndex(matches);
+        if (index !== -1) {
+            _eventListeners[eventName].splice(index, 1);
+        }
+        if (_eventListeners[eventName].length === 0) {
+            delete _eventListeners[eventName];
+        }
+    }
+}
+
+/**
+ * Listen for native events
+ *
+ * The event name may be an exact event class, a namespace wildcard
+ * (e.g. 'Native\\Mobile\\Events\\Camera\\*') or '*' to receive every event.
+ * An exception thrown by one listener does not stop the others.
+ *
+ * @param {string} eventName - Event name or pattern to listen for
+ * @param {function} callback - Callback function (payload, eventName) => void
+ * @returns {function} Function that removes the listener
+ *
+ * @example Vue/React/Inertia
+ * import { On, Events } from '@nativephp/mobile';
+ *
+ * const stop = On(Events.Camera.PhotoTaken, (event) => {
+ *   console.log('Photo taken:', event);
+ * });
+ *
+ * // In unmounted/cleanup
+ * stop();
+ */
+function on(eventName, callback) {
+    return addNativeListener(eventName, callback, false);
+}
+
+/**
+ * Listen for the next occurrence of a native event only
+ * @param {string} eventName - Event name or pattern to listen for
+ * @param {function} callback - Callback function (payload, eventName) => void
+ * @returns {function} Function that removes the listener
+ */
+function once(eventName, callback) {
+    return addNativeListener(eventName, callback, true);
+}
+
+/**
+ * Stop listening for native events
+ * @param {string} eventName - Event name or pattern to stop listening for
+ * @param {function} callback - Callback function to remove
+ */
+function off(eventName, callback) {
+    removeNativeListener(eventName, entry => entry.callback === callback);
+}
+
+/**
+ * Iterate over native events as they arrive
+ *
+ * Payloads that arrive while the loop body is busy are buffered. Leaving the
+ * loop (break/return/throw) or aborting the signal removes the listener.
+ *
+ * @param {string} eventName - Event name or pattern to listen for
+ * @param {object} options - Stream options
+ * @param {AbortSignal} options.signal - Signal that ends the stream
+ * @returns {AsyncIterableIterator<any>} Iterator of event payloads
+ *
+ * @example
+ * for await (const scan of Events.stream(Events.Scanner.CodeScanned)) {
+ *     console.log(scan.data);
+ * }
+ */
+function streamEvents(eventName, { signal = null } = {}) {
+    const buffer = [];
+    const waiting = [];
+    let finished = false;
+
+    const finish = () => {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        stop();
+        signal?.removeEventListener('abort', finish);
+        waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    };
+
+    const stop = on(eventName, (payload) => {
+        if (waiting.length > 0) {
+            waiting.shift()({ value: payload, done: false });
+        } else {
+            buffer.push(payload);
+        }
+    });
+
+    if (signal?.aborted) {
+        finish();
+    } else {
+        signal?.addEventListener('abort', finish, { once: true });
+    }
+
+    return {
+        next() {
+            if (buffer.length > 0) {
+                return Promise.resolve({ value: buffer.shift(), done: false });
+            }
+
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        return() {
+            finish();
+            buffer.length = 0;
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Dispatch an event from the frontend to your Laravel listeners
+ *
+ * The event is instantiated with the payload as named constructor arguments and
+ * passed to Laravel's event() helper. Only NativePHP's own events, events declared
+ * by installed plugins and classes listed in the nativephp.dispatchable_events
+ * config are accepted.
+ *
+ * @param {string} event - Event class name
+ * @param {object} payload - Named constructor arguments for the event
+ * @param {object} options - Dispatch options
+ * @param {AbortSignal} options.signal - Signal used to cancel the request
+ * @returns {Promise<void>}
+ * @throws {EventDispatchError} When Laravel refuses the event or its payload
+ *
+ * @example
+ * import { Events, EventDispatchError } from '@nativephp/mobile';
+ *
+ * try {
+ *     await Events.dispatch('App\\Events\\OrderPlaced', { orderId: 42 });
+ * } catch (e) {
+ *     if (e instanceof EventDispatchError && e.code === 'EVENT_NOT_ALLOWED') {
+ *         // Add the class to nativephp.dispatchable_events
+ *     }
+ * }
+ */
+async function dispatchAppEvent(event, payload = {}, { signal = null } = {}) {
+    const details = { event, params: payload };
+
+    if (signal?.aborted) {
+        throw new BridgeCancelledError(`Dispatching '${event}' was cancelled`, { ...details, code: 'CANCELLED' });
+    }
+
+    if (activeFakeBridge) {
+        return activeFakeBridge.dispatch(event, payload);
+    }
+
+    let response;
+
+    try {
+        response = await fetch(eventsUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || ''
+            },
+            body: JSON.stringify({ event, payload }),
+            signal
+        });
+    } catch (e) {
+        if (signal?.aborted) {
+            throw new BridgeCancelledError(`Dispatching '${event}' was cancelled`, { ...details, code: 'CANCELLED' });
+        }
+
+        throw e;
+    }
+
+    const result = await readJsonResponse(response, null, payload);
+
+    if (!result.success) {
+        throw new EventDispatchError(result.message || `Event '${event}' could not be dispatched`, {
+            ...details,
+            code: result.code || 'DISPATCH_FAILED',
+            status: response.status
+        });
+    }
+}
+
+// ============================================================================
+// Testing
+// ============================================================================
+
+/**
+ * Whether a stub or assertion pattern matches a method ('Camera.*' and '*' allowed)
+ * @private
+ */
+function methodMatches(pattern, method) {
+    return pattern === method
+        || pattern === '*'
+        || (pattern.endsWith('*') && method.startsWith(pattern.slice(0, -1)));
+}
+
+/**
+ * Whether every key in expected is present in actual with a matching value
+ * A function is called with the actual value and must return true.
+ * @private
+ */
+function matchesSubset(actual, expected) {
+    if (typeof expected === 'function') {
+        return expected(actual) === true;
+    }
+
+    if (expected === null || typeof expected !== 'object') {
+        return Object.is(actual, expected);
+    }
+
+    if (actual === null || typeof actual !== 'object') {
+        return false;
+    }
+
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual)
+            && actual.length === expected.length
+            && expected.every((value, index) => matchesSubset(actual[index], value));
+    }
+
+    return Object.keys(expected).every(key => matchesSubset(actual[key], expected[key]));
+}
+
+/**
+ * Describe recorded entries for an assertion message
+ * @private
+ */
+function describeRecorded(entries, name) {
+    if (entries.length === 0) {
+        return 'Nothing was recorded.';
+    }
+
+    return 'Recorded:\n' + entries.map(entry => `  ${entry[name]} ${JSON.stringify(entry.params ?? entry.payload)}`).join('\n');
+}
+
+/**
+ * Replace the native bridge with an in-memory fake for unit tests
+ *
+ * Every bridge call - builders, Bridge.batch(), coalesced and synchronous
+ * Edge calls - still runs through your middleware but is answered by the
+ * fake instead of /_native/api/call, so tests run in Node or jsdom without
+ * a PHP runtime. Events.dispatch() is recorded instead of posted. Unstubbed
+ * calls resolve with null, or reject with a MethodNotFoundError when the
+ * fake is strict. Call restore() to put the real transport back.
+ *
+ * @param {object} options - Fake options
+ * @param {boolean} options.strict - Reject calls to methods without a stub (default: false)
+ * @returns {FakeBridge}
+ *
+ * @example Vitest
+ * import { Camera, SecureStorage, createFakeBridge, Events, On } from '@nativephp/mobile';
+ *
+ * let fake;
+ * beforeEach(() => fake = createFakeBridge());
+ * afterEach(() => fake.restore());
+ *
+ * it('reads the token', async () => {
+ *     fake.stub('SecureStorage.Get', ({ key }) => ({ value: key === 'token' ? 'abc' : null }));
+ *
+ *     expect(await SecureStorage.get('token')).toEqual({ value: 'abc' });
+ *     fake.assertCalled('SecureStorage.Get', { key: 'token' });
+ * });
+ *
+ * it('resolves with the photo', async () => {
+ *     fake.emitOnCall('Camera.GetPhoto', Events.Camera.PhotoTaken, { path: '/tmp/photo.jpg' });
+ *
+ *     const photo = await Camera.getPhoto().waitForResult();
+ *     expect(photo.path).toBe('/tmp/photo.jpg');
+ * });
+ *
+ * it('handles scans', () => {
+ *     const seen = [];
+ *     On(Events.Scanner.CodeScanned, (payload) => seen.push(payload.data));
+ *
+ *     fake.emit(Events.Scanner.CodeScanned, { data: 'ABC-123', format: 'qr' });
+ *     expect(seen).toEqual(['ABC-123']);
+ * });
+ */
+function createFakeBridge({ strict = false } = {}) {
+    const stubs = [];
+    const emitters = [];
+    const calls = [];
+    const dispatched = [];
+
+    const respond = (context) => {
+        const { method, params } = context;
+        const stub = stubs.find(entry => methodMatches(entry.method, method));
+
+        if (!stub) {
+            if (strict) {
+                throw new MethodNotFoundError(`No fake response for native call '${method}'`, {
+                    code: 'METHOD_NOT_FOUND',
+                    status: 404,
+                    method,
+                    params
+                });
+            }
+
+            return null;
+        }
+
+        return typeof stub.response === 'function' ? stub.response(params, context) : stub.response;
+    };
+
+    const emitFor = ({ method, params }) => {
+        emitters
+            .filter(entry => methodMatches(entry.method, method))
+            .forEach(({ eventName, payload }) => fake.emit(eventName, {
+                id: params?.id ?? null,
+                ...(typeof payload === 'function' ? payload(params) : payload)
+            }));
+    };
+
+    const transport = (context) => {
+        const { method, params, options = {}, sync } = context;
+        calls.push({ method, params, options, sync });
+
+        // The real synchronous transport never reports a result or an error
+        if (sync) {
+            const stub = stubs.find(entry => methodMatches(entry.method, method));
+            if (typeof stub?.response === 'function') {
+                stub.response(params, context);
+            }
+            emitFor(context);
+            return;
+        }
+
+        const signal = options.signal ?? null;
+        const cancelled = () => new BridgeCancelledError(`Native call '${method}' was cancelled`, { code: 'CANCELLED', method, params });
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(cancelled());
+                return;
+            }
+
+            signal?.addEventListener('abort', () => reject(cancelled()), { once: true });
+
+            Promise.resolve()
+                .then(() => respond(context))
+                .then((result) => {
+                    resolve(result);
+                    // Emit after the caller's then() has run, like a real native callback
+                    setTimeout(() => emitFor(context), 0);
+                }, reject);
+        });
+    };
+
+    const fake = {
+        /**
+         * Every call made while the fake is installed, oldest first
+         * @type {Array<{method: string, params: object, options: object, sync: boolean}>}
+         */
+        calls,
+
+        /**
+         * Every Events.dispatch() made while the fake is installed
+         * @type {Array<{event: string, payload: object}>}
+         */
+        dispatched,
+
+        /**
+         * Answer calls to a method with a value, or with the return value of
+         * a (params, context) => value function (throw to reject the call)
+         * @param {string} method - Method name, or a pattern such as 'Camera.*'
+         * @param {any|function} response - Response data or factory
+         * @returns {object} The fake
+         */
+        stub(method, response) {
+            stubs.unshift({ method, response });
+            return fake;
+        },
+
+        /**
+         * Make calls to a method fail the way NativeCallController reports errors
+         * @param {string} method - Method name or pattern
+         * @param {object} error - { code, message, status, data } (code defaults to EXECUTION_ERROR)
+         * @returns {object} The fake
+         */
+        fail(method, { code = 'EXECUTION_ERROR', message = 'Native call failed', status = 500, data = null } = {}) {
+            return fake.stub(method, (params, context) => {
+                throw createBridgeError({ code, message, data }, status, context.method, params);
+            });
+        },
+
+        /**
+         * Emit a native event after each call to a method, the way native code
+         * reports results. The call's id is added to the payload so
+         * waitForResult() picks it up.
+         * @param {string} method - Method name or pattern
+         * @param {string} eventName - Event class name
+         * @param {object|function} payload - Payload, or (params) => payload
+         * @returns {object} The fake
+         */
+        emitOnCall(method, eventName, payload = {}) {
+            emitters.push({ method, eventName, payload });
+            return fake;
+        },
+
+        /**
+         * Emit a native event to every On()/Once()/stream() listener
+         * Uses a real native-event CustomEvent when a DOM is available.
+         * @param {string} eventName - Event class name
+         * @param {object} payload - Event payload
+         */
+        emit(eventName, payload = {}) {
+            if (typeof document !== 'undefined' && typeof document.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+                setupNativeEventListener();
+                document.dispatchEvent(new CustomEvent('native-event', { detail: { event: eventName, payload } }));
+            } else {
+                deliverNativeEvent(eventName, payload);
+            }
+        },
+
+        /**
+         * Calls made to a method or pattern
+         * @param {string} method - Method name or pattern
+         * @returns {Array<object>}
+         */
+        callsTo(method) {
+            return calls.filter(call => methodMatches(method, call.method));
+        },
+
+        /**
+         * Assert a method was called, optionally with params matching the given subset
+         * @param {string} method - Method name or pattern
+         * @param {object|function} params - Expected params (subset) or predicate
+         */
+        assertCalled(method, params) {
+            const matching = fake.callsTo(method)
+                .filter(call => params === undefined || matchesSubset(call.params, params));
+
+            if (matching.length === 0) {
+                const expected = params === undefined ? '' : ` with ${typeof params === 'function' ? 'matching params' : JSON.stringify(params)}`;
+                throw new Error(`Expected native call '${method}'${expected}. ${describeRecorded(calls, 'method')}`);
+            }
+        },
+
+        /**
+         * Assert a method was called exactly the given number of times
+         * @param {string} method - Method name or pattern
+         * @param {number} times - Expected number of calls
+         */
+        assertCalledTimes(method, times) {
+            const count = fake.callsTo(method).length;
+
+            if (count !== times) {
+                throw new Error(`Expected native call '${method}' ${times} time(s), but it was made ${count} time(s).`);
+            }
+        },
+
+        /**
+         * Assert a method was not called
+         * @param {string} method - Method name or pattern
+         */
+        assertNotCalled(method) {
+            if (fake.callsTo(method).length > 0) {
+                throw new Error(`Unexpected native call '${method}'. ${describeRecorded(calls, 'method')}`);
+            }
+        },
+
+        /**
+         * Assert no native calls were made
+         */
+        assertNothingCalled() {
+            if (calls.length > 0) {
+                throw new Error(`Expected no native calls. ${describeRecorded(calls, 'method')}`);
+            }
+        },
+
+        /**
+         * Assert Events.dispatch() was called for an event, optionally with a matching payload
+         * @param {string} event - Event class name
+         * @param {object|function} payload - Expected payload (subset) or predicate
+         */
+        assertDispatched(event, payload) {
+            const matching = dispatched
+                .filter(entry => entry.event === event)
+                .filter(entry => payload === undefined || matchesSubset(entry.payload, payload));
+
+            if (matching.length === 0) {
+                throw new Error(`Expected '${event}' to be dispatched. ${describeRecorded(dispatched, 'event')}`);
+            }
+        },
+
+        /**
+         * Assert Events.dispatch() was not called
+         */
+        assertNothingDispatched() {
+            if (dispatched.length > 0) {
+                throw new Error(`Expected no dispatched events. ${describeRecorded(dispatched, 'event')}`);
+            }
+        },
+
+        /**
+         * Forget recorded calls, dispatched events, stubs, emitters and cached device info
+         * @returns {object} The fake
+         */
+        reset() {
+            stubs.length = 0;
+            emitters.length = 0;
+            calls.length = 0;
+            dispatched.length = 0;
+            forgetDeviceInfo();
+            return fake;
+        },
+
+        /**
+         * Put the real bridge transport back
+         */
+        restore() {
+            if (activeFakeBridge?.fake === fake) {
+                activeFakeBridge = null;
+                forgetDeviceInfo();
+            }
+        }
+    };
+
+    forgetDeviceInfo();
+
+    activeFakeBridge = {
+        fake,
+        transport,
+        dispatch: async (event, payload) => {
+            dispatched.push({ event: event.replace(/^\\+/, ''), payload });
+        }
+    };
+
+    return fake;
+}
+
+// ============================================================================
+// Native Event Constants
+// ============================================================================
+
+/**
+ * Native event class name constants for type-safe event listening
+ * Use these instead of typing out full namespace strings
+ *
+ * @example
+ * import { On, Events } from '@nativephp/mobile';
+ *
+ * // Instead of: On('Native\\Mobile\\Events\\Alert\\ButtonPressed', handler)
+ * On(Events.Alert.ButtonPressed, handler);
+ *
+ * Generated from src/Events by `php artisan native:events:generate --core` - do not edit by hand.
+ */
+// @generated:events start
+const Events = {
+    Alert: {
+        ButtonPressed: 'Native\\Mobile\\Events\\Alert\\ButtonPressed',
+    },
+    App: {
+        UpdateInstalled: 'Native\\Mobile\\Events\\App\\UpdateInstalled',
+    },
+    Biometric: {
+        Completed: 'Native\\Mobile\\Events\\Biometric\\Completed',
+    },
+    Camera: {
         PermissionDenied: 'Native\\Mobile\\Events\\Camera\\PermissionDenied',
+        PhotoCancelled: 'Native\\Mobile\\Events\\Camera\\PhotoCancelled',
+        PhotoTaken: 'Native\\Mobile\\Events\\Camera\\PhotoTaken',
+        VideoCancelled: 'Native\\Mobile\\Events\\Camera\\VideoCancelled',
+        VideoRecorded: 'Native\\Mobile\\Events\\Camera\\VideoRecorded',
     },
     Gallery: {
         MediaSelected: 'Native\\Mobile\\Events\\Gallery\\MediaSelected',
     },
-    Biometrics: {
-        Completed: 'Native\\Mobile\\Events\\Biometrics\\BiometricCompleted',
-    },
     Geolocation: {
         LocationReceived: 'Native\\Mobile\\Events\\Geolocation\\LocationReceived',
-        PermissionStatusReceived: 'Native\\Mobile\\Events\\Geolocation\\PermissionStatusReceived',
         PermissionRequestResult: 'Native\\Mobile\\Events\\Geolocation\\PermissionRequestResult',
-    },
-    Scanner: {
-        CodeScanned: 'Native\\Mobile\\Events\\Scanner\\CodeScanned',
-        Cancelled: 'Native\\Mobile\\Events\\Scanner\\ScannerCancelled',
+        PermissionStatusReceived: 'Native\\Mobile\\Events\\Geolocation\\PermissionStatusReceived',
     },
     Microphone: {
-        Recorded: 'Native\\Mobile\\Events\\Microphone\\MicrophoneRecorded',
-        Cancelled: 'Native\\Mobile\\Events\\Microphone\\MicrophoneCancelled',
+        MicrophoneCancelled: 'Native\\Mobile\\Events\\Microphone\\MicrophoneCancelled',
+        MicrophoneRecorded: 'Native\\Mobile\\Events\\Microphone\\MicrophoneRecorded',
     },
     PushNotification: {
         TokenGenerated: 'Native\\Mobile\\Events\\PushNotification\\TokenGenerated',
     },
+    Scanner: {
+        CodeScanned: 'Native\\Mobile\\Events\\Scanner\\CodeScanned',
+        ScannerCancelled: 'Native\\Mobile\\Events\\Scanner\\ScannerCancelled',
+    },
+    Upload: {
+        Completed: 'Native\\Mobile\\Events\\Upload\\Completed',
+        Failed: 'Native\\Mobile\\Events\\Upload\\Failed',
+        Progressed: 'Native\\Mobile\\Events\\Upload\\Progressed',
+    },
     Wallet: {
+        PaymentCancelled: 'Native\\Mobile\\Events\\Wallet\\PaymentCancelled',
         PaymentCompleted: 'Native\\Mobile\\Events\\Wallet\\PaymentCompleted',
         PaymentFailed: 'Native\\Mobile\\Events\\Wallet\\PaymentFailed',
-        PaymentCancelled: 'Native\\Mobile\\Events\\Wallet\\PaymentCancelled',
     },
 };
+// @generated:events end
+
+Events.stream = streamEvents;
+Events.dispatch = dispatchAppEvent;
 
-// Legacy export for backwards compatibility
-export const CoreEvents = Events;
+// Legacy aliases kept for backwards compatibility
+Events.Biometrics = Events.Biometric;
+Events.Scanner.Cancelled = Events.Scanner.ScannerCancelled;
+Events.Microphone.Recorded = Events.Microphone.MicrophoneRecorded;
+Events.Microphone.Cancelled = Events.Microphone.MicrophoneCancelled;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+export {
+    bridgeCall as BridgeCall,
+    bridge as Bridge,
+    dialog as Dialog,
+    biometric as Biometrics,
+    biometric as Biometric,
+    deviceVibrate as DeviceVibrate,
+    flashlight as Flashlight,
+    getId as GetId,
+    getInfo as GetInfo,
+    getBatteryInfo as GetBatteryInfo,
+    getDeviceInfo as GetDeviceInfo,
+    refreshDeviceInfo as RefreshDeviceInfo,
+    getCachedDeviceInfo as GetCachedDeviceInfo,
+    device as Device,
+    haptics as Haptics,
+    isIos as IsIos,
+    isAndroid as IsAndroid,
+    isMobile as IsMobile,
+    isIosSync as IsIosSync,
+    isAndroidSync as IsAndroidSync,
+    isMobileSync as IsMobileSync,
+    system as System,
+    openBrowser as BrowserOpen,
+    openInApp as BrowserInApp,
+    openAuth as BrowserAuth,
+    browser as Browser,
+    scanner as Scanner,
+    gallery as Gallery,
+    pickImage as PickImage,
+    pickImages as PickImages,
+    pickVideo as PickVideo,
+    pickVideos as PickVideos,
+    pickMedia as PickMedia,
+    networkStatus as NetworkStatus,
+    network as Network,
+    camera as Camera,
+    microphone as Microphone,
+    geolocation as Geolocation,
+    pushNotificationsCheckPermission as PushNotificationsCheckPermission,
+    pushNotificationsEnroll as PushNotificationsEnroll,
+    pushNotificationsGetToken as PushNotificationsGetToken,
+    pushNotifications as PushNotifications,
+    mobileWalletIsAvailable as MobileWalletIsAvailable,
+    mobileWalletCreatePaymentIntent as MobileWalletCreatePaymentIntent,
+    mobileWalletPresentPaymentSheet as MobileWalletPresentPaymentSheet,
+    mobileWalletConfirmPayment as MobileWalletConfirmPayment,
+    mobileWalletGetPaymentStatus as MobileWalletGetPaymentStatus,
+    mobileWalletFormatAmount as MobileWalletFormatAmount,
+    mobileWallet as MobileWallet,
+    shareFile as ShareFile,
+    shareUrl as ShareUrl,
+    share as Share,
+    secureStorageSet as SecureStorageSet,
+    secureStorageGet as SecureStorageGet,
+    secureStorageDelete as SecureStorageDelete,
+    secureStorageHas as SecureStorageHas,
+    secureStorageSetJSON as SecureStorageSetJSON,
+    secureStorageGetJSON as SecureStorageGetJSON,
+    secureStorageSetMany as SecureStorageSetMany,
+    secureStorageGetMany as SecureStorageGetMany,
+    secureStorageKeys as SecureStorageKeys,
+    secureStorageClear as SecureStorageClear,
+    secureStorage as SecureStorage,
+    moveFile as MoveFile,
+    copyFile as CopyFile,
+    readFile as ReadFile,
+    writeFile as WriteFile,
+    appendFile as AppendFile,
+    deleteFile as DeleteFile,
+    fileExists as FileExists,
+    statFile as StatFile,
+    listDirectory as ListDirectory,
+    makeDirectory as MakeDirectory,
+    fileUrl as FileUrl,
+    revokeFileUrl as RevokeFileUrl,
+    fileBlob as FileBlob,
+    fileObject as FileObject,
+    file as File,
+    startUpload as StartUpload,
+    pauseUpload as PauseUpload,
+    resumeUpload as ResumeUpload,
+    cancelUpload as CancelUpload,
+    uploadStatus as UploadStatus,
+    listUploads as ListUploads,
+    watchUpload as WatchUpload,
+    upload as Upload,
+    setEdge as SetEdge,
+    setEdgeSync as SetEdgeSync,
+    clearEdge as ClearEdge,
+    clearEdgeSync as ClearEdgeSync,
+    refreshEdge as RefreshEdge,
+    edge as Edge,
+    on as On,
+    once as Once,
+    off as Off,
+    createFakeBridge,
+    Events,
+    Events as CoreEvents
+};
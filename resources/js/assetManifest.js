@@ -0,0 +1,142 @@
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+const MANIFEST_FILE = 'nativephp-assets.json';
+
+// References that make the WebView fetch a remote URL when the asset loads
+const remoteReferencePatterns = {
+    css: [
+        /url\(\s*['"]?(https?:\/\/[^'")\s]+)/g,
+        /@import\s+['"](https?:\/\/[^'"]+)/g,
+    ],
+    js: [
+        /\bimport\s*\(\s*['"`](https?:\/\/[^'"`]+)/g,
+        /\b(?:import|export)\b[^'"`;]*?\bfrom\s*['"](https?:\/\/[^'"]+)/g,
+        /\bimport\s*['"](https?:\/\/[^'"]+)/g,
+        /\bnew URL\(\s*['"`](https?:\/\/[^'"`]+)['"`]\s*,\s*import\.meta\.url/g,
+    ],
+    html: [
+        /<(?:script|img|source|iframe)\b[^>]*\ssrc\s*=\s*['"](https?:\/\/[^'"]+)/gi,
+        /<link\b[^>]*\shref\s*=\s*['"](https?:\/\/[^'"]+)/gi,
+    ],
+};
+
+const patternsByExtension = {
+    '.css': remoteReferencePatterns.css,
+    '.js': remoteReferencePatterns.js,
+    '.mjs': remoteReferencePatterns.js,
+    '.html': remoteReferencePatterns.html,
+};
+
+function listFiles(directory, root = directory) {
+    const files = [];
+
+    for (const entry of readdirSync(directory, { withFileTypes: true })) {
+        const file = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            files.push(...listFiles(file, root));
+        } else {
+            files.push(path.relative(root, file).split(path.sep).join('/'));
+        }
+    }
+
+    return files.sort();
+}
+
+function findRemoteReferences(file, contents, allowed) {
+    const patterns = patternsByExtension[path.extname(file)] ?? [];
+    const references = [];
+
+    for (const pattern of patterns) {
+        for (const [, url] of contents.matchAll(pattern)) {
+            if (!allowed.some((prefix) => url.startsWith(prefix))) {
+                references.push(url);
+            }
+        }
+    }
+
+    return references;
+}
+
+// Every file Laravel's Vite manifest points at must have been emitted
+function findMissingManifestFiles(outDir) {
+    const manifestPath = [path.join(outDir, '.vite', 'manifest.json'), path.join(outDir, 'manifest.json')]
+        .find((file) => existsSync(file));
+
+    if (!manifestPath) {
+        return [];
+    }
+
+    const missing = new Set();
+
+    for (const chunk of Object.values(JSON.parse(readFileSync(manifestPath, 'utf8')))) {
+        for (const file of [chunk.file, ...(chunk.css ?? []), ...(chunk.assets ?? [])]) {
+            if (file && !existsSync(path.join(outDir, file))) {
+                missing.add(file);
+            }
+        }
+    }
+
+    return [...missing];
+}
+
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Hash every file in a build's output directory into nativephp-assets.json.
+ *
+ * Throws when an asset references an absolute http(s) URL that won't load
+ * offline (unless it starts with one of `allowRemote`), or when Laravel's
+ * Vite manifest lists a file that was never emitted.
+ */
+export function writeAssetManifest({ outDir, platform, base, allowRemote = [] }) {
+    const problems = [];
+    const assets = [];
+
+    for (const file of listFiles(outDir)) {
+        if (file === MANIFEST_FILE) {
+            continue;
+        }
+
+        const contents = readFileSync(path.join(outDir, file));
+
+        assets.push({
+            path: file,
+            size: contents.length,
+            sha256: createHash('sha256').update(contents).digest('hex'),
+        });
+
+        for (const url of findRemoteReferences(file, contents.toString('utf8'), allowRemote)) {
+            problems.push(`${file} loads ${url}, which is not available offline`);
+        }
+    }
+
+    for (const file of findMissingManifestFiles(outDir)) {
+        problems.push(`${file} is listed in the Vite manifest but was not emitted`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`NativePHP ${platform} build is not offline-ready:\n  - ${problems.join('\n  - ')}\n`
+            + 'Bundle these assets locally, or list trusted URL prefixes in the allowRemoteAssets option.');
+    }
+
+    const totalSize = assets.reduce((sum, asset) => sum + asset.size, 0);
+    const manifestPath = path.join(outDir, MANIFEST_FILE);
+
+    writeFileSync(manifestPath, JSON.stringify({ platform, base, totalSize, assets }, null, 4) + '\n');
+
+    return { manifestPath, assets, totalSize };
+}
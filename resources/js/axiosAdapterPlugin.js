@@ -0,0 +1,73 @@
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const VIRTUAL_PREFIX = '\0axios-with-php-adapter:';
+
+// Everything axios' own ESM entry exports by name, taken from the patched instance
+const axiosExports = [
+    'create',
+    'Axios',
+    'AxiosError',
+    'CanceledError',
+    'isCancel',
+    'CancelToken',
+    'VERSION',
+    'all',
+    'Cancel',
+    'isAxiosError',
+    'spread',
+    'toFormData',
+    'AxiosHeaders',
+    'HttpStatusCode',
+    'formToJSON',
+    'getAdapter',
+    'mergeConfig',
+];
+
+/**
+ * Intercept ALL `axios` imports and hand out axios with the fetch adapter installed.
+ *
+ * The real package is found with Vite's resolver from the importing file, so pnpm,
+ * Yarn PnP, workspaces and nested roots get the same copy they would without us.
+ */
+export function axiosAdapterPlugin({ enabled = () => true, debug = () => false } = {}) {
+    return {
+        name: 'axios-php-wrapper',
+        enforce: 'pre',
+        async resolveId(id, importer, options) {
+            if (id !== 'axios' || !enabled()) {
+                return null;
+            }
+
+            const resolved = await this.resolve(id, importer, { ...options, skipSelf: true });
+
+            // Let Vite report a missing axios the way it would for any other package
+            if (!resolved || resolved.external) {
+                return resolved;
+            }
+
+            return VIRTUAL_PREFIX + resolved.id;
+        },
+        load(id) {
+            if (!id.startsWith(VIRTUAL_PREFIX)) {
+                return null;
+            }
+
+            const axiosId = id.slice(VIRTUAL_PREFIX.length);
+
+            return `
+import axios from ${JSON.stringify(axiosId)};
+import { installPhpProtocolAdapter } from ${JSON.stringify(resolve(__dirname, 'phpProtocolAdapter.js'))};
+
+installPhpProtocolAdapter(axios, { debug: ${debug()} });
+
+const { ${axiosExports.join(', ')} } = axios;
+
+export { axios as default, ${axiosExports.join(', ')} };
+`;
+        }
+    };
+}
@@ -0,0 +1,226 @@
+import { fileURLToPath } from 'url';
+import { dirname, relative, resolve } from 'path';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+
+/**
+ * Builds both bridge libraries from native.js / native.d.ts in this directory.
+ *
+ *   node resources/js/bridge/build.mjs           write every output
+ *   node resources/js/bridge/build.mjs --check   fail if any output is stale
+ *
+ * Each flavour gets an ESM build (native.js), a CommonJS build (native.cjs),
+ * a UMD build exposing `window.NativePHP` (native.umd.js) and declarations
+ * for ESM and CommonJS consumers (native.d.ts, native.d.cts).
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const root = resolve(__dirname, '../../..');
+
+export const flavours = {
+    // PascalCase API published as @nativephp/mobile (BridgeCall, Dialog, Camera...)
+    main: {
+        outDir: resolve(root, 'resources/dist'),
+        packageName: '@nativephp/mobile',
+    },
+    // camelCase API used by Jump (bridgeCall, dialog, camera...)
+    jump: {
+        outDir: resolve(root, 'resources/jump/dist'),
+        packageName: '@nativephp/native',
+    },
+};
+
+const sourcePackageName = '@nativephp/native';
+const globalName = 'NativePHP';
+
+const banner = '// Generated from resources/js/bridge by `node resources/js/bridge/build.mjs` - do not edit by hand.\n';
+
+/**
+ * Resolve `// #if <flavour>`, `// #else` and `// #endif` lines.
+ */
+export function preprocess(source, flavour) {
+    const output = [];
+    const stack = [];
+
+    source.split('\n').forEach((line, index) => {
+        const directive = line.trim().match(/^\/\/ #(if|else|endif)\b\s*(\w*)/);
+
+        if (!directive) {
+            if (stack.every((block) => block.active)) {
+                output.push(line);
+            }
+            return;
+        }
+
+        const [, keyword, name] = directive;
+
+        if (keyword === 'if') {
+            stack.push({ active: name === flavour, line: index + 1 });
+        } else if (stack.length === 0) {
+            throw new Error(`Unexpected #${keyword} on line ${index + 1}`);
+        } else if (keyword === 'else') {
+            stack[stack.length - 1].active = !stack[stack.length - 1].active;
+        } else {
+            stack.pop();
+        }
+    });
+
+    if (stack.length > 0) {
+        throw new Error(`Unterminated #if on line ${stack[stack.length - 1].line}`);
+    }
+
+    return stripSourceNotes(output.join('\n'));
+}
+
+// The leading `//` comment explains the directives to whoever edits the source
+function stripSourceNotes(source) {
+    return source.replace(/^(\/\/.*\n)+\n/, '');
+}
+
+/**
+ * Collect `export { local as exported }` lists and inline `export class|const|function`
+ * declarations as [exported, local] pairs.
+ */
+export function collectExports(source) {
+    const exports = [];
+
+    for (const [, list] of source.matchAll(/^export \{([^}]*)\};?$/gm)) {
+        for (const entry of list.split(',').map((item) => item.trim()).filter(Boolean)) {
+            const [local, exported = local] = entry.split(/\s+as\s+/);
+            exports.push([exported, local]);
+        }
+    }
+
+    for (const [, name] of source.matchAll(/^export (?:async function|function|class|const|let) (\w+)/gm)) {
+        exports.push([name, name]);
+    }
+
+    return exports;
+}
+
+/**
+ * Point doc comments and @example snippets at the flavour's package and public names.
+ */
+function rewriteDocs(source, flavour, exports) {
+    const packageName = flavours[flavour].packageName;
+    const renames = new Map();
+
+    for (const [exported, local] of exports) {
+        // Skip aliases of already-public names (Events as CoreEvents)
+        if (exported !== local && /^[a-z]/.test(local) && !renames.has(local)) {
+            renames.set(local, exported);
+        }
+    }
+
+    const rename = (line, pattern) => line.replace(pattern, (match, name) => renames.get(name) ?? match);
+
+    // Prose only mentions code as `name(` or `name.member`; examples also list names in imports
+    const prose = /(?<![\w.'"$\\-])([a-z]\w*)(?=\(|\.\w)/g;
+    const code = /(?<![\w.'"$\\-])([a-z]\w*)(?=\s*[(.,}])/g;
+
+    let inDocBlock = false;
+    let inExample = false;
+
+    return source.split('\n').map((line) => {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith('/**')) {
+            inDocBlock = true;
+            inExample = false;
+        }
+
+        if (!inDocBlock) {
+            return line;
+        }
+
+        if (trimmed.includes('*/')) {
+            inDocBlock = false;
+        }
+
+        line = line.replaceAll(sourcePackageName, packageName);
+
+        const tag = trimmed.match(/^\*\s*@(\w+)/);
+        if (tag) {
+            inExample = tag[1] === 'example';
+        }
+
+        return rename(line, inExample && !tag ? code : prose);
+    }).join('\n');
+}
+
+function toCommonJs(source, exports) {
+    const body = source
+        .replace(/^export \{[^}]*\};?\n?/gm, '')
+        .replace(/^export (async function|function|class|const|let) /gm, '$1 ');
+
+    const members = exports.map(([exported, local]) => exported === local ? `    ${local}` : `    ${exported}: ${local}`);
+
+    return { body, members: `{\n${members.join(',\n')}\n}` };
+}
+
+export function build(flavour) {
+    const js = preprocess(readFileSync(resolve(__dirname, 'native.js'), 'utf8'), flavour);
+    const dts = preprocess(readFileSync(resolve(__dirname, 'native.d.ts'), 'utf8'), flavour);
+    const exports = collectExports(js);
+
+    const esm = rewriteDocs(js, flavour, exports).trimEnd() + '\n';
+    const types = rewriteDocs(dts, flavour, collectExports(dts)).trimEnd() + `\n\nexport as namespace ${globalName};\n`;
+    const { body, members } = toCommonJs(esm, exports);
+
+    const cjs = `'use strict';\n\n${body}\nmodule.exports = ${members};\n`;
+
+    const umd = `(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.${globalName} = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+${body}
+return ${members};
+});
+`;
+
+    return {
+        'native.js': banner + esm,
+        'native.cjs': banner + cjs,
+        'native.umd.js': banner + umd,
+        'native.d.ts': banner + types,
+        'native.d.cts': banner + types,
+    };
+}
+
+function run({ check = false } = {}) {
+    const stale = [];
+
+    for (const [flavour, { outDir }] of Object.entries(flavours)) {
+        for (const [file, contents] of Object.entries(build(flavour))) {
+            const path = resolve(outDir, file);
+            const current = existsSync(path) ? readFileSync(path, 'utf8') : null;
+
+            if (current === contents) {
+                continue;
+            }
+
+            if (check) {
+                stale.push(relative(root, path));
+            } else {
+                writeFileSync(path, contents);
+                console.log(`Wrote ${relative(root, path)}`);
+            }
+        }
+    }
+
+    if (stale.length > 0) {
+        console.error(`Bridge builds are out of date, run \`node resources/js/bridge/build.mjs\`:\n  ${stale.join('\n  ')}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+    run({ check: process.argv.includes('--check') });
+}
@@ -0,0 +1,77 @@
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { isIP } from 'net';
+import path from 'path';
+import { lanAddresses } from './lanAddresses.js';
+
+// Hot files this process wrote, with their contents, so cleanup never removes another server's file
+const ownedHotFiles = new Map();
+let hotFileCleanupRegistered = false;
+
+export function writeHotFile(file, contents) {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, contents);
+    ownedHotFiles.set(file, contents);
+
+    if (hotFileCleanupRegistered) {
+        return;
+    }
+
+    hotFileCleanupRegistered = true;
+    process.on('exit', removeOwnedHotFiles);
+
+    for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+        process.on(signal, () => process.exit());
+    }
+}
+
+export function removeHotFile(file) {
+    const contents = ownedHotFiles.get(file);
+    ownedHotFiles.delete(file);
+
+    try {
+        // Another dev server for this platform may have replaced it since
+        if (contents !== undefined && readFileSync(file, 'utf8') === contents) {
+            unlinkSync(file);
+        }
+    } catch (e) {
+        // Already gone
+    }
+}
+
+export function ownsHotFile(file) {
+    return ownedHotFiles.has(file);
+}
+
+function removeOwnedHotFiles() {
+    for (const file of [...ownedHotFiles.keys()]) {
+        removeHotFile(file);
+    }
+}
+
+// A hot file is stale when its IP is no longer on this machine or nothing answers at its URL
+export async function isHotFileStale(file) {
+    let url;
+
+    try {
+        url = new URL(readFileSync(file, 'utf8').trim());
+    } catch (e) {
+        return true;
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const localAddresses = ['127.0.0.1', '::1', ...lanAddresses().map((candidate) => candidate.address)];
+
+    if (isIP(hostname) && !localAddresses.includes(hostname)) {
+        return true;
+    }
+
+    try {
+        const response = await fetch(new URL('@vite/client', url.href.replace(/\/?$/, '/')), {
+            signal: AbortSignal.timeout(1000),
+        });
+
+        return !response.ok;
+    } catch (e) {
+        return true;
+    }
+}
@@ -0,0 +1,80 @@
+import { networkInterfaces } from 'os';
+
+// Interfaces a phone on the same network can't reach: containers, VMs, VPN tunnels and Apple peer-to-peer links
+const unreachableInterface = /^(docker|br-|veth|virbr|vbox|virtualbox|vmnet|vmware|utun|tun|tap|wg|tailscale|zt|awdl|llw|anpi|bridge)/i;
+const wifiInterface = /^(wl|wi-?fi|airport|en0$)/i;
+const ethernetInterface = /^(en|eth|ethernet)/i;
+
+const isIPv4 = (net) => net.family === 'IPv4' || net.family === 4;
+
+function isPrivateIPv4(address) {
+    return /^(10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address);
+}
+
+// Every non-loopback address, best first; unusable ones carry the reason they were skipped
+export function lanAddresses(nets = networkInterfaces()) {
+    const candidates = [];
+
+    for (const [name, addresses] of Object.entries(nets)) {
+        for (const net of addresses ?? []) {
+            if (net.internal) {
+                continue;
+            }
+
+            const family = isIPv4(net) ? 'IPv4' : 'IPv6';
+            let skipped = null;
+
+            if (unreachableInterface.test(name)) {
+                skipped = 'virtual interface';
+            } else if (family === 'IPv4' ? net.address.startsWith('169.254.') : /^fe80:/i.test(net.address)) {
+                skipped = 'link-local';
+            }
+
+            let score = wifiInterface.test(name) ? 30 : ethernetInterface.test(name) ? 20 : 10;
+            score += family === 'IPv4' ? 5 : 0;
+            score += family === 'IPv4' && isPrivateIPv4(net.address) ? 3 : 0;
+
+            candidates.push({ name, address: net.address, family, score, skipped });
+        }
+    }
+
+    return candidates.sort((a, b) => (a.skipped ? 1 : 0) - (b.skipped ? 1 : 0) || b.score - a.score);
+}
+
+// Pick the HMR host: explicit option, then NATIVEPHP_HMR_HOST, then the best LAN address
+export function resolveHost(host, candidates) {
+    if (host) {
+        return { address: host, source: 'the host option' };
+    }
+
+    if (process.env.NATIVEPHP_HMR_HOST) {
+        return { address: process.env.NATIVEPHP_HMR_HOST, source: 'NATIVEPHP_HMR_HOST' };
+    }
+
+    const best = candidates.find((candidate) => !candidate.skipped);
+
+    return best
+        ? { address: best.address, source: best.name, detected: true }
+        : { address: 'localhost', source: 'no LAN address found', detected: true };
+}
+
+export function formatHost(address) {
+    return address.includes(':') ? `[${address}]` : address;
+}
+
+export function describeHost(host, candidates) {
+    const lines = [`  NativePHP  HMR host ${formatHost(host.address)} (${host.source})`];
+
+    for (const candidate of candidates) {
+        const chosen = candidate.address === host.address ? '*' : ' ';
+        const note = candidate.skipped ? `, skipped: ${candidate.skipped}` : '';
+
+        lines.push(`           ${chosen} ${formatHost(candidate.address)} (${candidate.name}${note})`);
+    }
+
+    if (candidates.length > 0) {
+        lines.push('             Set NATIVEPHP_HMR_HOST or the host option to use a different address.');
+    }
+
+    return lines.join('\n');
+}
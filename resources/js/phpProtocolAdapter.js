@@ -1,26 +1,296 @@
-export default function phpProtocolAdapter(config) {
-  return new Promise((resolve, reject) => {
-    const method = config.method?.toUpperCase() || 'GET'
+// Axios adapter that sends every request through fetch, which reaches the iOS
+// php:// scheme (where XMLHttpRequest is unavailable) and the Android request
+// interceptor alike. It follows the XHR adapter's contract so app code behaves
+// the same on iOS, Android and the browser: response bodies are handed back as
+// text for responseType '' / 'text' / 'json' and parsed by axios'
+// transformResponse, statuses go through validateStatus, and failures reject
+// with AxiosError.
+export function createPhpProtocolAdapter(axios, options = {}) {
+  const { AxiosError, AxiosHeaders, CanceledError } = axios
 
-    fetch(config.url, {
-      method,
-      body: method !== 'GET' ? config.data : null,
-      headers: config.headers,
-    })
-      .then(async (response) => {
-        const responseData = await response.text()
-
-        resolve({
-          data: responseData,
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers,
-          config,
-          request: null,
-        })
-      })
-      .catch((error) => {
-        reject(error)
+  return function phpProtocolAdapter(config) {
+    return new Promise((resolve, reject) => {
+      const method = config.method?.toUpperCase() || 'GET'
+      const url = axios.getUri(config)
+      const headers = AxiosHeaders.from(config.headers).normalize()
+      const data = method === 'GET' || method === 'HEAD' ? null : config.data ?? null
+      const request = { url, method, headers }
+
+      if (options.debug) {
+        console.debug(`[NativePHP] ${method} ${url} via the axios fetch adapter`)
+      }
+
+      if (config.auth) {
+        const username = config.auth.username || ''
+        const password = config.auth.password ? unescape(encodeURIComponent(config.auth.password)) : ''
+        headers.set('Authorization', 'Basic ' + btoa(username + ':' + password))
+      }
+
+      // Let fetch set the multipart boundary
+      if (typeof FormData !== 'undefined' && data instanceof FormData) {
+        headers.delete('Content-Type')
+      }
+
+      const xsrfToken = readXsrfToken(config, url)
+      if (xsrfToken) {
+        headers.set(config.xsrfHeaderName, xsrfToken)
+      }
+
+      const controller = new AbortController()
+      let timer = null
+      let finished = false
+
+      const done = (callback, value) => {
+        if (finished) {
+          return
+        }
+
+        finished = true
+        clearTimeout(timer)
+        config.signal?.removeEventListener?.('abort', onCanceled)
+        config.cancelToken?.unsubscribe?.(onCanceled)
+        callback(value)
+      }
+
+      function onCanceled(cancel) {
+        done(reject, !cancel || cancel.type ? new CanceledError(null, config, request) : cancel)
+        controller.abort()
+      }
+
+      if (config.signal?.aborted) {
+        onCanceled()
+        return
+      }
+
+      config.signal?.addEventListener?.('abort', onCanceled)
+      config.cancelToken?.subscribe?.(onCanceled)
+
+      if (config.timeout > 0) {
+        timer = setTimeout(() => {
+          const transitional = config.transitional || {}
+          const message = config.timeoutErrorMessage || `timeout of ${config.timeout}ms exceeded`
+          const code = transitional.clarifyTimeoutError ? AxiosError.ETIMEDOUT : AxiosError.ECONNABORTED
+
+          done(reject, new AxiosError(message, code, config, request))
+          controller.abort()
+        }, config.timeout)
+      }
+
+      const total = bodySize(data)
+      const reportUpload = (loaded) => config.onUploadProgress?.(progressEvent(loaded, total, true))
+
+      // fetch() cannot observe upload progress, so report the start and the end of the upload
+      reportUpload(0)
+
+      fetch(url, {
+        method,
+        body: data,
+        headers: headers.toJSON(),
+        credentials: config.withCredentials ? 'include' : 'same-origin',
+        signal: controller.signal,
       })
-  })
+        .then(async (response) => {
+          reportUpload(total ?? 0)
+
+          const responseHeaders = new AxiosHeaders()
+          response.headers.forEach((value, name) => responseHeaders.set(name, value))
+
+          const result = {
+            data: await readBody(response, config),
+            status: response.status,
+            statusText: response.statusText,
+            headers: responseHeaders,
+            config,
+            request,
+          }
+
+          const validateStatus = result.config.validateStatus
+
+          if (!result.status || !validateStatus || validateStatus(result.status)) {
+            done(resolve, result)
+          } else {
+            done(reject, new AxiosError(
+              'Request failed with status code ' + result.status,
+              [AxiosError.ERR_BAD_REQUEST, AxiosError.ERR_BAD_RESPONSE][Math.floor(result.status / 100) - 4],
+              config,
+              request,
+              result
+            ))
+          }
+        })
+        .catch((error) => {
+          if (finished) {
+            return
+          }
+
+          done(reject, error instanceof AxiosError
+            ? error
+            : AxiosError.from(error, AxiosError.ERR_NETWORK, config, request))
+        })
+    })
+  }
+}
+
+let defaultAdapter = null
+
+// The adapter as a plain function, for `axios.defaults.adapter = phpProtocolAdapter`.
+// It is built from axios on the first request, so importing this module does
+// not pull axios in on its own.
+export default function phpProtocolAdapter(config) {
+  defaultAdapter ??= import('axios')
+    .then(({ default: axios }) => createPhpProtocolAdapter(axios))
+    .catch((error) => {
+      defaultAdapter = null
+      throw error
+    })
+
+  return defaultAdapter.then((adapter) => adapter(config))
+}
+
+// Make the adapter the default of an axios instance and of every instance
+// created from it, unless axios.create() is given an adapter of its own
+export function installPhpProtocolAdapter(axios, options = {}) {
+  return useAdapter(axios, createPhpProtocolAdapter(axios, options))
+}
+
+function useAdapter(instance, adapter) {
+  const create = instance.create
+
+  instance.defaults.adapter = adapter
+
+  if (typeof create === 'function') {
+    instance.create = function (config) {
+      const created = create.call(this, config)
+
+      return config?.adapter === undefined ? useAdapter(created, adapter) : created
+    }
+  }
+
+  return instance
+}
+
+async function readBody(response, config) {
+  const responseType = config.responseType || ''
+
+  if (responseType === 'stream') {
+    return response.body
+  }
+
+  const blob = config.onDownloadProgress
+    ? await readWithProgress(response, config.onDownloadProgress)
+    : null
+
+  if (responseType === 'blob') {
+    return blob ?? response.blob()
+  }
+
+  if (responseType === 'arraybuffer') {
+    return blob ? blob.arrayBuffer() : response.arrayBuffer()
+  }
+
+  const text = blob ? await blob.text() : await response.text()
+
+  if (responseType === 'document' && typeof DOMParser !== 'undefined') {
+    const type = (response.headers.get('content-type') || '').includes('xml') ? 'application/xml' : 'text/html'
+    return new DOMParser().parseFromString(text, type)
+  }
+
+  return text
+}
+
+async function readWithProgress(response, onDownloadProgress) {
+  const contentType = response.headers.get('content-type') || ''
+  const length = Number(response.headers.get('content-length')) || undefined
+
+  if (!response.body?.getReader) {
+    const blob = await response.blob()
+    onDownloadProgress(progressEvent(blob.size, length ?? blob.size, false))
+    return blob
+  }
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) {
+      break
+    }
+
+    chunks.push(value)
+    loaded += value.byteLength
+    onDownloadProgress(progressEvent(loaded, length, false))
+  }
+
+  return new Blob(chunks, { type: contentType })
+}
+
+function progressEvent(loaded, total, upload) {
+  return {
+    loaded,
+    total,
+    progress: total ? loaded / total : undefined,
+    bytes: loaded,
+    lengthComputable: total != null,
+    upload,
+    download: !upload,
+  }
+}
+
+function bodySize(data) {
+  if (data == null) {
+    return 0
+  }
+
+  if (typeof data === 'string') {
+    return new Blob([data]).size
+  }
+
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return data.size
+  }
+
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return data.byteLength
+  }
+
+  if (data instanceof URLSearchParams) {
+    return new Blob([data.toString()]).size
+  }
+
+  // FormData and streams have no size until fetch encodes them
+  return undefined
+}
+
+// Same rules as the XHR adapter: send the XSRF cookie to our own origin, or anywhere with withXSRFToken
+function readXsrfToken(config, url) {
+  if (typeof document === 'undefined' || !config.xsrfCookieName || !config.xsrfHeaderName) {
+    return null
+  }
+
+  let withXSRFToken = config.withXSRFToken
+  if (typeof withXSRFToken === 'function') {
+    withXSRFToken = withXSRFToken(config)
+  }
+
+  if (withXSRFToken === false) {
+    return null
+  }
+
+  if (!withXSRFToken && !isSameOrigin(url)) {
+    return null
+  }
+
+  const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + config.xsrfCookieName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '=([^;]*)'))
+
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+function isSameOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin
+  } catch (e) {
+    return false
+  }
 }
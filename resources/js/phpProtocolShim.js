@@ -0,0 +1,462 @@
+// Runtime shim that gives every HTTP client the same view of the app on iOS and Android.
+// Installed by nativephpMobile({ phpShim: true }) ahead of the app's entry points.
+//
+// Both native handlers take cookies from their own store and follow redirects
+// themselves, so the shim only has to get requests there intact:
+// - loopback http(s) URLs (APP_URL, Ziggy routes...) are pointed at the app origin
+// - on iOS the page origin of a custom scheme is opaque, so requests are sent as cors
+// - the handlers read buffered bodies only, so streamed bodies are buffered
+// - the handlers forward bodies for POST, PUT and PATCH only, so DELETE and friends
+//   are tunnelled through POST with X-HTTP-Method-Override, which Laravel honours
+// - Android receives bodies as strings through the AndroidPOST bridge, so they are
+//   encoded here instead of by the injected capture script, which stringifies FormData and Blobs
+// - XMLHttpRequest to the app is carried out with fetch
+//
+// With { debug: true } every request is logged with the transport that carried it.
+const installed = Symbol.for('nativephp.phpProtocolShim')
+
+const bodyMethods = ['POST', 'PUT', 'PATCH']
+
+const handlers = {
+  ios: 'php:// scheme handler',
+  android: 'Android request interceptor',
+}
+
+let androidRequestId = 0
+
+export function installPhpProtocolShim(options = {}) {
+  if (typeof window === 'undefined' || !window.fetch || window.fetch[installed]) {
+    return
+  }
+
+  const settings = {
+    origin: new URL(options.origin ?? 'php://127.0.0.1'),
+    platform: options.platform ?? 'ios',
+    loopbackHosts: options.loopbackHosts ?? ['127.0.0.1', 'localhost'],
+    normalize: options.normalize ?? true,
+    debug: options.debug ?? false,
+  }
+
+  const fetch = createFetch(window.fetch.bind(window), settings)
+  fetch[installed] = true
+  window.fetch = fetch
+
+  if (window.XMLHttpRequest) {
+    window.XMLHttpRequest = createXMLHttpRequest(window.XMLHttpRequest, fetch, settings)
+  }
+}
+
+function logTransport(settings, method, url, transport, notes = []) {
+  if (settings.debug) {
+    console.debug(`[NativePHP] ${method} ${url} via ${transport}` + (notes.length > 0 ? ` (${notes.join(', ')})` : ''))
+  }
+}
+
+function resolveUrl(input, settings) {
+  let url
+
+  try {
+    url = new URL(String(input), typeof document !== 'undefined' ? document.baseURI : settings.origin.href)
+  } catch (e) {
+    return null
+  }
+
+  if ((url.protocol === 'http:' || url.protocol === 'https:') && settings.loopbackHosts.includes(url.hostname)) {
+    return new URL(url.pathname + url.search + url.hash, settings.origin)
+  }
+
+  return url
+}
+
+function isPhpUrl(url, settings) {
+  return url !== null && url.protocol === settings.origin.protocol && url.host === settings.origin.host
+}
+
+function createFetch(nativeFetch, settings) {
+  return async function fetch(input, init = {}) {
+    const request = typeof Request !== 'undefined' && input instanceof Request ? input : null
+    const target = String(request ? request.url : input)
+    const url = resolveUrl(target, settings)
+    let method = (init.method ?? request?.method ?? 'GET').toUpperCase()
+
+    if (!isPhpUrl(url, settings) || !settings.normalize) {
+      logTransport(settings, method, url?.href ?? target, 'native fetch')
+      return nativeFetch(input, init)
+    }
+
+    const headers = new Headers(init.headers ?? request?.headers)
+    const notes = []
+    let body = init.body
+
+    if (body === undefined && request && method !== 'GET' && method !== 'HEAD') {
+      body = await request.blob()
+    }
+
+    if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) {
+      body = await new Response(body).blob()
+      notes.push('stream buffered')
+    }
+
+    if (body != null && !bodyMethods.includes(method)) {
+      headers.set('X-HTTP-Method-Override', method)
+      notes.push(`${method} tunnelled through POST`)
+      method = 'POST'
+    }
+
+    if (settings.platform === 'android' && body != null) {
+      body = await encodeAndroidBody(body, headers)
+      sendAndroidBody(body, url, headers)
+    }
+
+    if (/^https?:\/\//i.test(target) && target !== url.href) {
+      notes.push(`rewritten from ${target}`)
+    }
+
+    logTransport(settings, method, url.href, `fetch to the ${handlers[settings.platform]}`, notes)
+
+    // Buffered bodies must not carry the streaming duplex option
+    const rest = { ...init }
+    delete rest.duplex
+
+    return nativeFetch(url.href, {
+      ...rest,
+      method,
+      headers,
+      body,
+      mode: 'cors',
+      credentials: init.credentials === 'omit' ? 'omit' : 'include',
+      signal: init.signal ?? request?.signal,
+    })
+  }
+}
+
+// The Android bridge carries bodies as strings, so encode them the way PHP will parse them
+async function encodeAndroidBody(body, headers) {
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const entries = [...body.entries()]
+
+    // Files cannot cross the bridge; leave those to the WebView's own capture
+    if (entries.some(([, value]) => typeof value !== 'string')) {
+      return body
+    }
+
+    body = new URLSearchParams(entries)
+  }
+
+  if (body instanceof URLSearchParams) {
+    if (!headers.has('Content-Type')) {
+      headers.set('Content-Type', 'application/x-www-form-urlencoded;charset=UTF-8')
+    }
+
+    return body.toString()
+  }
+
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    if (!headers.has('Content-Type') && body.type) {
+      headers.set('Content-Type', body.type)
+    }
+
+    return body.text()
+  }
+
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return new TextDecoder().decode(body)
+  }
+
+  return String(body)
+}
+
+// Hand the body to the bridge under the request ID the interceptor looks up. The injected
+// capture script may already have stored a raw copy under an ID; reuse it so ours wins.
+function sendAndroidBody(body, url, headers) {
+  if (typeof body !== 'string' || !window.AndroidPOST) {
+    return
+  }
+
+  const requestId = headers.get('X-NativePHP-Req-Id') ?? `nphp_shim_${++androidRequestId}_${Date.now()}`
+
+  window.AndroidPOST.logPostData(body, url.href, '', requestId)
+  headers.set('X-NativePHP-Req-Id', requestId)
+}
+
+function createXMLHttpRequest(NativeXMLHttpRequest, fetch, settings) {
+  const { UNSENT, OPENED, HEADERS_RECEIVED, LOADING, DONE } = NativeXMLHttpRequest
+
+  return class XMLHttpRequest extends NativeXMLHttpRequest {
+    // State of the current php:// request, null when the native implementation is in charge
+    #php = null
+
+    open(method, url, ...rest) {
+      const [async = true, username, password] = rest
+      const resolved = resolveUrl(url, settings)
+
+      this.#php?.controller?.abort()
+      this.#php = null
+
+      // Synchronous requests cannot be emulated on top of fetch
+      if (!isPhpUrl(resolved, settings) || async === false || !settings.normalize) {
+        logTransport(settings, String(method).toUpperCase(), resolved?.href ?? String(url), 'native XMLHttpRequest', async === false ? ['synchronous'] : [])
+        return super.open(method, url, ...rest)
+      }
+
+      this.#php = {
+        method: String(method).toUpperCase(),
+        url: resolved.href,
+        headers: new Headers(),
+        state: OPENED,
+        sent: false,
+        hasBody: false,
+        controller: null,
+        response: null,
+        text: '',
+        body: null,
+        mimeType: null,
+      }
+
+      if (username != null) {
+        this.#php.headers.set('Authorization', 'Basic ' + btoa(username + ':' + (password ?? '')))
+      }
+
+      this.dispatchEvent(new Event('readystatechange'))
+    }
+
+    setRequestHeader(name, value) {
+      if (!this.#php) {
+        return super.setRequestHeader(name, value)
+      }
+
+      if (this.#php.state !== OPENED || this.#php.sent) {
+        throw new DOMException('The object is in an invalid state.', 'InvalidStateError')
+      }
+
+      this.#php.headers.append(name, value)
+    }
+
+    overrideMimeType(mimeType) {
+      if (!this.#php) {
+        return super.overrideMimeType(mimeType)
+      }
+
+      this.#php.mimeType = mimeType
+    }
+
+    send(body = null) {
+      const php = this.#php
+
+      if (!php) {
+        return super.send(body)
+      }
+
+      if (php.state !== OPENED || php.sent) {
+        throw new DOMException('The object is in an invalid state.', 'InvalidStateError')
+      }
+
+      const hasBody = body != null && php.method !== 'GET' && php.method !== 'HEAD'
+      const controller = new AbortController()
+      let timer = null
+
+      php.sent = true
+      php.hasBody = hasBody
+      php.controller = controller
+
+      logTransport(settings, php.method, php.url, 'XMLHttpRequest emulated over fetch')
+
+      this.#progress(this, 'loadstart', 0, 0)
+      if (hasBody) {
+        this.#progress(this.upload, 'loadstart', 0, 0)
+      }
+
+      if (this.timeout > 0) {
+        timer = setTimeout(() => {
+          controller.abort()
+          this.#fail(php, 'timeout')
+        }, this.timeout)
+      }
+
+      fetch(php.url, {
+        method: php.method,
+        headers: php.headers,
+        body: hasBody ? body : undefined,
+        signal: controller.signal,
+      })
+        .then(async (response) => {
+          if (php !== this.#php || controller.signal.aborted) {
+            return
+          }
+
+          if (hasBody) {
+            this.#progress(this.upload, 'progress', 1, 1)
+            this.#progress(this.upload, 'load', 1, 1)
+            this.#progress(this.upload, 'loadend', 1, 1)
+          }
+
+          php.response = response
+          this.#setState(php, HEADERS_RECEIVED)
+
+          const blob = await response.blob()
+          if (php !== this.#php || controller.signal.aborted) {
+            return
+          }
+
+          this.#setState(php, LOADING)
+          this.#progress(this, 'progress', blob.size, blob.size)
+
+          await this.#decode(php, blob)
+          if (php !== this.#php || controller.signal.aborted) {
+            return
+          }
+
+          clearTimeout(timer)
+          this.#setState(php, DONE)
+          this.#progress(this, 'load', blob.size, blob.size)
+          this.#progress(this, 'loadend', blob.size, blob.size)
+        })
+        .catch(() => {
+          clearTimeout(timer)
+
+          if (php === this.#php && !controller.signal.aborted) {
+            this.#fail(php, 'error')
+          }
+        })
+    }
+
+    abort() {
+      const php = this.#php
+
+      if (!php) {
+        return super.abort()
+      }
+
+      if (php.sent && php.state !== DONE) {
+        php.controller.abort()
+        this.#fail(php, 'abort')
+      }
+
+      if (php.state === DONE) {
+        php.state = UNSENT
+      }
+    }
+
+    get readyState() {
+      return this.#php ? this.#php.state : super.readyState
+    }
+
+    get status() {
+      return this.#php ? this.#php.response?.status ?? 0 : super.status
+    }
+
+    get statusText() {
+      return this.#php ? this.#php.response?.statusText ?? '' : super.statusText
+    }
+
+    get responseURL() {
+      return this.#php ? (this.#php.response ? this.#php.url : '') : super.responseURL
+    }
+
+    get responseText() {
+      if (!this.#php) {
+        return super.responseText
+      }
+
+      if (this.responseType !== '' && this.responseType !== 'text') {
+        throw new DOMException(`The value is only accessible if responseType is '' or 'text' (was '${this.responseType}').`, 'InvalidStateError')
+      }
+
+      return this.#php.text
+    }
+
+    get response() {
+      if (!this.#php) {
+        return super.response
+      }
+
+      if (this.responseType === '' || this.responseType === 'text') {
+        return this.#php.text
+      }
+
+      return this.#php.state === DONE ? this.#php.body : null
+    }
+
+    get responseXML() {
+      if (!this.#php) {
+        return super.responseXML
+      }
+
+      return this.responseType === 'document' && this.#php.state === DONE ? this.#php.body : null
+    }
+
+    getResponseHeader(name) {
+      if (!this.#php) {
+        return super.getResponseHeader(name)
+      }
+
+      return this.#php.response?.headers.get(name) ?? null
+    }
+
+    getAllResponseHeaders() {
+      if (!this.#php) {
+        return super.getAllResponseHeaders()
+      }
+
+      let headers = ''
+      this.#php.response?.headers.forEach((value, name) => {
+        headers += `${name}: ${value}\r\n`
+      })
+
+      return headers
+    }
+
+    async #decode(php, blob) {
+      const mimeType = php.mimeType ?? php.response.headers.get('content-type') ?? ''
+
+      switch (this.responseType) {
+        case 'arraybuffer':
+          php.body = await blob.arrayBuffer()
+          break
+        case 'blob':
+          php.body = blob
+          break
+        case 'json':
+          try {
+            php.body = JSON.parse(await blob.text())
+          } catch (e) {
+            php.body = null
+          }
+          break
+        case 'document':
+          php.body = new DOMParser().parseFromString(await blob.text(), mimeType.includes('xml') ? 'application/xml' : 'text/html')
+          break
+        default:
+          php.text = await blob.text()
+      }
+    }
+
+    #setState(php, state) {
+      php.state = state
+      this.dispatchEvent(new Event('readystatechange'))
+    }
+
+    #fail(php, type) {
+      if (php.state === DONE || php.state === UNSENT) {
+        return
+      }
+
+      php.response = null
+      php.text = ''
+      php.body = null
+      this.#setState(php, DONE)
+
+      if (php.hasBody) {
+        this.#progress(this.upload, type, 0, 0)
+        this.#progress(this.upload, 'loadend', 0, 0)
+      }
+
+      this.#progress(this, type, 0, 0)
+      this.#progress(this, 'loadend', 0, 0)
+    }
+
+    #progress(target, type, loaded, total) {
+      target.dispatchEvent(new ProgressEvent(type, { lengthComputable: total > 0, loaded, total }))
+    }
+  }
+}
@@ -0,0 +1,29 @@
+export const platforms = ['ios', 'android'];
+
+// Read `--mode=ios` / `--mode ios` for callers that run before Vite has resolved its mode
+export function modeFromArgv() {
+    const index = process.argv.findIndex((arg) => arg === '--mode' || arg.startsWith('--mode='));
+
+    if (index === -1) {
+        return null;
+    }
+
+    const arg = process.argv[index];
+
+    return arg === '--mode' ? process.argv[index + 1] ?? null : arg.slice('--mode='.length);
+}
+
+// An explicit platform or NATIVEPHP_PLATFORM must be valid; any other Vite mode just means "not mobile"
+export function detectPlatform(platform, mode, caller) {
+    const [source, value] = platform != null
+        ? ['the platform option', platform]
+        : process.env.NATIVEPHP_PLATFORM
+            ? ['NATIVEPHP_PLATFORM', process.env.NATIVEPHP_PLATFORM]
+            : [null, platforms.includes(mode) ? mode : null];
+
+    if (source && !platforms.includes(value)) {
+        throw new Error(`${caller}: unknown platform "${value}" from ${source}. Expected one of: ${platforms.join(', ')}.`);
+    }
+
+    return value;
+}
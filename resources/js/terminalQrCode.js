@@ -0,0 +1,444 @@
+/**
+ * Minimal QR code encoder for printing dev server URLs in the terminal.
+ *
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes), which
+ * is plenty for an http://host:port URL. Follows ISO/IEC 18004 and the
+ * structure of Project Nayuki's reference implementation.
+ */
+
+const MAX_VERSION = 10;
+
+// Indexed by version, level M
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Format bits for level M
+const ECC_FORMAT_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function numRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+
+    return result;
+}
+
+function numDataCodewords(version) {
+    return Math.floor(numRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+function alignmentPatternPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+
+    return result;
+}
+
+function gfMultiply(x, y) {
+    let z = 0;
+
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+
+        root = gfMultiply(root, 0x02);
+    }
+
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+
+    return result;
+}
+
+function encodeData(bytes) {
+    let version = 1;
+
+    for (; ; version++) {
+        if (version > MAX_VERSION) {
+            throw new Error(`Text is too long for a terminal QR code (${bytes.length} bytes).`);
+        }
+
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= numDataCodewords(version) * 8) {
+            break;
+        }
+    }
+
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+
+    const capacity = numDataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    return { version, codewords };
+}
+
+function addErrorCorrection(version, data) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) {
+            block.push(0);
+        }
+
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte of short blocks
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+
+    return result;
+}
+
+function applyMask(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let invert;
+
+            switch (mask) {
+                case 0: invert = (x + y) % 2 === 0; break;
+                case 1: invert = y % 2 === 0; break;
+                case 2: invert = x % 3 === 0; break;
+                case 3: invert = (x + y) % 3 === 0; break;
+                case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+                case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+                default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+            }
+
+            if (!isFunction[y][x] && invert) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    const positions = alignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            // Skip the three finder corners
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    const matrix = { version, size, modules, isFunction, setFunction };
+
+    // Reserve the format areas before placing data
+    drawFormatBits(matrix, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    return matrix;
+}
+
+function drawFormatBits({ size, setFunction }, mask) {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) {
+        setFunction(8, i, getBit(bits, i));
+    }
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+        setFunction(14 - i, 8, getBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        setFunction(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setFunction(8, size - 15 + i, getBit(bits, i));
+    }
+    setFunction(8, size - 8, true);
+}
+
+function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function penaltyScore({ size, modules }) {
+    let result = 0;
+
+    const finderPenalty = (history) => {
+        const n = history[1];
+        const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+
+        return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0)
+            + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+    };
+
+    const scanLine = (get) => {
+        let runColor = false;
+        let runLength = 0;
+        const history = [0, 0, 0, 0, 0, 0, 0];
+
+        const addHistory = (length) => {
+            if (history[0] === 0) {
+                length += size;
+            }
+            history.pop();
+            history.unshift(length);
+        };
+
+        for (let i = 0; i < size; i++) {
+            if (get(i) === runColor) {
+                runLength++;
+                if (runLength === 5) {
+                    result += 3;
+                } else if (runLength > 5) {
+                    result++;
+                }
+            } else {
+                addHistory(runLength);
+                if (!runColor) {
+                    result += finderPenalty(history) * 40;
+                }
+                runColor = get(i);
+                runLength = 1;
+            }
+        }
+
+        if (runColor) {
+            addHistory(runLength);
+            runLength = 0;
+        }
+        runLength += size;
+        addHistory(runLength);
+        result += finderPenalty(history) * 40;
+    };
+
+    for (let y = 0; y < size; y++) {
+        scanLine((x) => modules[y][x]);
+    }
+    for (let x = 0; x < size; x++) {
+        scanLine((y) => modules[y][x]);
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                result += 3;
+            }
+        }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return result;
+}
+
+/**
+ * Encode text as a QR code, returning rows of booleans (true = dark).
+ */
+export function encodeQrCode(text) {
+    const { version, codewords } = encodeData([...new TextEncoder().encode(text)]);
+    const data = addErrorCorrection(version, codewords);
+
+    let best = null;
+    let bestPenalty = Infinity;
+
+    for (let mask = 0; mask < 8; mask++) {
+        const matrix = createMatrix(version);
+        drawCodewords(matrix, data);
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+
+        const penalty = penaltyScore(matrix);
+        if (penalty < bestPenalty) {
+            best = matrix;
+            bestPenalty = penalty;
+        }
+    }
+
+    return best.modules;
+}
+
+/**
+ * Render text as a QR code using half-block characters, two rows per line.
+ * Colours are forced to black on white so it scans on dark and light themes.
+ */
+export function renderQrCode(text, { margin = 2, indent = '' } = {}) {
+    const modules = encodeQrCode(text);
+    const size = modules.length + margin * 2;
+    const isDark = (x, y) => modules[y - margin]?.[x - margin] ?? false;
+
+    const lines = [];
+    for (let y = 0; y < size; y += 2) {
+        let line = '';
+        for (let x = 0; x < size; x++) {
+            const top = isDark(x, y);
+            const bottom = y + 1 < size && isDark(x, y + 1);
+
+            line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+        }
+
+        lines.push(`${indent}\x1b[30;47m${line}\x1b[0m`);
+    }
+
+    return lines.join('\n');
+}
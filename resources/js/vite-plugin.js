@@ -1,156 +1,477 @@
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
-import { networkInterfaces } from 'os';
-import { existsSync, unlinkSync } from 'fs';
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync } from 'fs';
 import path from 'path';
+import { renderQrCode } from './terminalQrCode.js';
+import { formatBytes, writeAssetManifest } from './assetManifest.js';
+import { axiosAdapterPlugin } from './axiosAdapterPlugin.js';
+import { detectPlatform, modeFromArgv, platforms } from './platform.js';
+import { describeHost, formatHost, lanAddresses, resolveHost } from './lanAddresses.js';
+import { isHotFileStale, ownsHotFile, removeHotFile, writeHotFile } from './hotFile.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const laravelHotFileDirectory = 'node_modules/.nativephp';
+
+const defaults = {
+    ios: {
+        appUrl: 'php://127.0.0.1',
+        hotFile: 'public/ios-hot',
+        assetBase: '/_assets/build/',
+        axios: true,
+        phpShim: false,
+    },
+    android: {
+        appUrl: 'http://127.0.0.1',
+        hotFile: 'public/android-hot',
+        assetBase: null,
+        axios: true,
+        phpShim: false,
+    },
+};
+
+const optionTypes = {
+    platform: 'string',
+    host: 'string',
+    port: 'number',
+    hotFile: 'string',
+    assetBase: 'string',
+    axios: 'flag',
+    appUrl: 'string',
+    phpShim: 'flag',
+    debugRequests: 'boolean',
+    allowRemoteAssets: 'array',
+};
+
+// A flag is a boolean for both platforms, or { ios, android } to set them separately
+function isFlag(value) {
+    if (typeof value === 'boolean') {
+        return true;
+    }
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && Object.entries(value).every(([platform, enabled]) => platforms.includes(platform) && typeof enabled === 'boolean');
+}
+
+function platformFlag(value, platform, fallback) {
+    return typeof value === 'boolean' ? value : value?.[platform] ?? fallback;
+}
+
 /**
- * Get the platform-specific hot file path for Laravel Vite plugin.
+ * Get the hot file path to give the Laravel Vite plugin.
  * Use this in your vite.config.js:
  *
  * laravel({
  *     input: ['resources/css/app.css', 'resources/js/app.js'],
  *     hotFile: nativephpHotFile(),
  * })
+ *
+ * The platform is taken from `{ platform }`, then NATIVEPHP_PLATFORM, then `--mode`.
+ *
+ * For a mobile platform, nativephpMobile() writes and removes public/ios-hot or
+ * public/android-hot itself. The Laravel plugin writes its hot file on start and
+ * deletes it on exit whoever it belongs to by then, so it is handed a path under
+ * node_modules/.nativephp that nothing reads instead.
  */
-export function nativephpHotFile() {
-    const isIos = process.argv.includes('--mode=ios');
-    const isAndroid = process.argv.includes('--mode=android');
+export function nativephpHotFile({ platform } = {}) {
+    const detected = detectPlatform(platform, modeFromArgv(), 'nativephpHotFile()');
 
-    if (isIos) {
-        return 'public/ios-hot';
+    if (!detected) {
+        return 'public/hot';
     }
 
-    if (isAndroid) {
-        return 'public/android-hot';
-    }
+    mkdirSync(laravelHotFileDirectory, { recursive: true });
 
-    return 'public/hot';
+    return path.join(laravelHotFileDirectory, `${detected}-hot`);
 }
 
-// Get the local IP address for HMR
-function getLocalIP() {
-    const nets = networkInterfaces();
-    for (const name of Object.keys(nets)) {
-        for (const net of nets[name]) {
-            // Skip over non-IPv4 and internal addresses
-            if (net.family === 'IPv4' && !net.internal) {
-                return net.address;
+function validateOptions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('nativephpMobile(): options must be an object.');
+    }
+
+    for (const [name, value] of Object.entries(options)) {
+        if (!(name in optionTypes)) {
+            throw new Error(`nativephpMobile(): unknown option "${name}". Valid options are: ${Object.keys(optionTypes).join(', ')}.`);
+        }
+
+        const type = Array.isArray(value) ? 'array' : typeof value;
+
+        if (optionTypes[name] === 'flag') {
+            if (value !== undefined && !isFlag(value)) {
+                throw new Error(`nativephpMobile(): option "${name}" must be a boolean or an object such as { ios: true, android: false }, got ${JSON.stringify(value)}.`);
             }
+
+            continue;
+        }
+
+        if (value !== undefined && type !== optionTypes[name]) {
+            const expected = optionTypes[name] === 'array' ? 'an array' : `a ${optionTypes[name]}`;
+
+            throw new Error(`nativephpMobile(): option "${name}" must be ${expected}, got ${type}.`);
         }
     }
-    return 'localhost';
+
+    if (options.allowRemoteAssets?.some((prefix) => typeof prefix !== 'string')) {
+        throw new Error('nativephpMobile(): option "allowRemoteAssets" must be an array of URL prefixes.');
+    }
+
+    if (options.port !== undefined && (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535)) {
+        throw new Error(`nativephpMobile(): option "port" must be an integer between 1 and 65535, got ${options.port}.`);
+    }
+
+    if (options.appUrl !== undefined && !/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i.test(options.appUrl)) {
+        throw new Error(`nativephpMobile(): option "appUrl" must be an absolute URL such as "php://127.0.0.1", got "${options.appUrl}".`);
+    }
+
+    if (options.platform !== undefined) {
+        detectPlatform(options.platform, null, 'nativephpMobile()');
+    }
 }
 
-export function nativephpMobile() {
-    const localIP = getLocalIP();
-    const isIos = process.argv.includes('--mode=ios');
-    const isAndroid = process.argv.includes('--mode=android');
-    const isBuild = process.argv.includes('build');
+function connectionSummary(state, url) {
+    const platform = state.platform === 'ios' ? 'iOS' : 'Android';
+
+    return [
+        '',
+        `  NativePHP  ${platform} dev server`,
+        `             URL       ${url}`,
+        `             Hot file  ${state.hotFile}`,
+        '',
+        renderQrCode(url, { indent: '  ' }),
+        '',
+        describeHost(state.host, state.candidates),
+        '',
+    ].join('\n');
+}
 
-    const config = {};
+// Import a virtual module at the top of every Vite entry so it runs before app code
+function entryModulePlugin(name, enabled, source) {
+    const moduleId = `\0${name}`;
+    let entries = new Set();
 
-    if (isIos) {
-        // Force the correct URL for iOS
-        process.env.APP_URL = 'php://127.0.0.1';
+    return {
+        name,
+        enforce: 'pre',
+        configResolved(resolvedConfig) {
+            const input = resolvedConfig.build.rollupOptions?.input ?? [];
+            const inputs = typeof input === 'string' ? [input] : Object.values(input);
 
-        // Set the base path for iOS builds (only in production)
-        if (isBuild) {
-            config.base = '/_assets/build/';
+            entries = new Set(inputs.map((file) => path.resolve(resolvedConfig.root, file)));
+        },
+        resolveId(id) {
+            return id === moduleId ? moduleId : null;
+        },
+        load(id) {
+            return id === moduleId ? source() : null;
+        },
+        transform(code, id) {
+            const file = id.split('?')[0];
+
+            if (!enabled()) {
+                return null;
+            }
+
+            if (!entries.has(file) || !/\.(m?[jt]sx?|vue|svelte)$/.test(file)) {
+                return null;
+            }
+
+            return { code: `import '${moduleId}';\n${code}`, map: null };
         }
+    };
+}
 
-        // Always prevent Vite from pre-bundling axios so our plugin can intercept it
-        config.optimizeDeps = {
-            exclude: ['axios']
-        };
-
-        config.server = {
-            host: localIP,
-            cors: {
-                origin: ['php://127.0.0.1'],
-            },
-        };
-
-        // Add plugins for iOS
-        config.plugins = [
-            // Intercept ALL axios imports and wrap with PHP adapter
-            {
-                name: 'axios-php-wrapper',
-                enforce: 'pre',
-                resolveId(id) {
-                    if (id === 'axios') {
-                        // Return a virtual module ID
-                        return '\0axios-with-php-adapter';
-                    }
-                    return null;
-                },
-                load(id) {
-                    if (id === '\0axios-with-php-adapter') {
-                        // Return code that imports real axios and applies the adapter
-                        const adapterPath = resolve(__dirname, 'phpProtocolAdapter.js');
-                        const axiosPath = path.resolve(process.cwd(), 'node_modules/axios/lib/axios.js');
-
-                        return `
-import axios from '${axiosPath}';
-import phpAdapter from '${adapterPath}';
-
-axios.defaults.adapter = phpAdapter;
-
-export default axios;
-export const isAxiosError = axios.isAxiosError;
-export const isCancel = axios.isCancel;
-export const mergeConfig = axios.mergeConfig;
-`;
-                    }
-                    return null;
-                }
+// Install the fetch/XHR shim before any request is made; with only debugRequests it just logs
+function phpShimPlugin(state) {
+    return entryModulePlugin('nativephp-php-shim', () => state.platform && (state.phpShim || state.debugRequests), () => `
+import { installPhpProtocolShim } from '${resolve(__dirname, 'phpProtocolShim.js')}';
+
+installPhpProtocolShim(${JSON.stringify({
+    origin: state.appUrl,
+    platform: state.platform,
+    normalize: state.phpShim,
+    debug: state.debugRequests,
+})});
+`);
+}
+
+const EDGE_UPDATE_EVENT = 'nativephp:edge-update';
+
+// Turn the server's edge-update HMR event into a fresh Edge.set call
+function edgeHmrPlugin(state) {
+    return entryModulePlugin('nativephp-edge-hmr', () => state.platform && !state.isBuild, () => `
+import { Edge } from '${resolve(__dirname, '../dist/native.js')}';
+
+if (import.meta.hot) {
+    import.meta.hot.on('${EDGE_UPDATE_EVENT}', () => {
+        Edge.refresh().catch((error) => console.warn('[NativePHP] Could not refresh Edge components', error));
+    });
+}
+`);
+}
+
+// Matches <native:bottom-nav> and the <x-native-bottom-nav> form NativeTagPrecompiler compiles it to
+const edgeTag = /<\s*native\s*:|<x-native-/;
+
+// Tell clients to refresh Edge components when a Blade file that declares (or declared) them changes
+function watchEdgeSources(server) {
+    const viewsPath = path.resolve(server.config.root, 'resources/views');
+    const edgeFiles = new Set();
+
+    const declaresEdge = (file) => {
+        try {
+            return edgeTag.test(readFileSync(file, 'utf8'));
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const onChange = (file) => {
+        if (!file.endsWith('.blade.php') || !file.startsWith(viewsPath)) {
+            return;
+        }
+
+        const declared = edgeFiles.has(file);
+        const declares = existsSync(file) && declaresEdge(file);
+
+        if (declares) {
+            edgeFiles.add(file);
+        } else {
+            edgeFiles.delete(file);
+        }
+
+        if (declared || declares) {
+            server.ws.send({
+                type: 'custom',
+                event: EDGE_UPDATE_EVENT,
+                data: { file: path.relative(server.config.root, file) },
+            });
+        }
+    };
+
+    // Remember which views declare components, so removing the last tag still triggers a refresh
+    const scan = (directory) => {
+        for (const entry of readdirSync(directory, { withFileTypes: true })) {
+            const file = path.join(directory, entry.name);
+
+            if (entry.isDirectory()) {
+                scan(file);
+            } else if (file.endsWith('.blade.php') && declaresEdge(file)) {
+                edgeFiles.add(file);
             }
-        ];
+        }
+    };
+
+    if (existsSync(viewsPath)) {
+        scan(viewsPath);
     }
 
-    if (isAndroid) {
-        process.env.APP_URL = 'http://127.0.0.1';
+    server.watcher.add(path.join(viewsPath, '**/*.blade.php'));
+    server.watcher.on('add', onChange);
+    server.watcher.on('change', onChange);
+    server.watcher.on('unlink', onChange);
+}
 
-        config.server = {
-            host: localIP,
-            cors: {
-                origin: ['http://127.0.0.1'],
-            },
-        };
-    }
+/**
+ * Vite plugin for NativePHP Mobile builds.
+ *
+ * Works without options: the platform comes from NATIVEPHP_PLATFORM or Vite's
+ * mode (`vite --mode ios`), and anything else leaves the config untouched.
+ *
+ * nativephpMobile({
+ *     platform: 'ios',           // 'ios' | 'android'
+ *     host: '192.168.1.20',      // HMR host, defaults to NATIVEPHP_HMR_HOST or the best LAN address
+ *     port: 5173,                // dev server port
+ *     hotFile: 'public/ios-hot', // written while the dev server runs
+ *     assetBase: '/_assets/build/',
+ *     appUrl: 'php://127.0.0.1',
+ *     axios: true,               // route axios through the fetch adapter
+ *     phpShim: false,            // patch fetch() and XMLHttpRequest
+ *     debugRequests: false,      // log the transport used by every request
+ *     allowRemoteAssets: [],     // URL prefixes built assets may load at runtime
+ * })
+ *
+ * `axios` and `phpShim` take a boolean for both platforms or an object such as
+ * `{ ios: true, android: false }`. `phpShim` gives HTTP clients other than
+ * axios (ky, ofetch, Livewire, plain fetch) the same URL rewriting, method
+ * tunnelling and body encoding on both platforms.
+ *
+ * The dev server owns its platform's hot file: it replaces a stale one (its
+ * IP is gone or nothing answers there) and removes its own on close, Ctrl+C
+ * or SIGTERM. Builds only remove a stale hot file for their own platform.
+ *
+ * Production builds write nativephp-assets.json (path, size and SHA-256 of every
+ * file) to the output directory, and fail if an asset loads a remote URL.
+ */
+export function nativephpMobile(options = {}) {
+    validateOptions(options);
 
-    // Extract axios plugin for iOS
-    const axiosPlugin = config.plugins?.[0];
-    delete config.plugins;
+    const state = {
+        platform: null,
+        host: null,
+        candidates: [],
+        appUrl: null,
+        hotFile: null,
+        isBuild: false,
+        axios: false,
+        phpShim: false,
+        debugRequests: options.debugRequests ?? false,
+        build: null,
+    };
 
     const mainPlugin = {
         name: 'nativephp',
         enforce: 'pre',
-        config() {
+        config(userConfig, { mode, command }) {
+            state.platform = detectPlatform(options.platform, mode, 'nativephpMobile()');
+            state.isBuild = command === 'build';
+
+            if (!state.platform) {
+                return {};
+            }
+
+            const platformDefaults = defaults[state.platform];
+
+            state.appUrl = (options.appUrl ?? platformDefaults.appUrl).replace(/\/+$/, '');
+            state.hotFile = options.hotFile ?? platformDefaults.hotFile;
+            state.axios = platformFlag(options.axios, state.platform, platformDefaults.axios);
+            state.phpShim = platformFlag(options.phpShim, state.platform, platformDefaults.phpShim);
+
+            // Force the correct URL for the platform
+            process.env.APP_URL = state.appUrl;
+
+            state.candidates = lanAddresses();
+            state.host = resolveHost(options.host, state.candidates);
+
+            const config = {
+                server: {
+                    host: state.host.address,
+                    cors: {
+                        origin: [state.appUrl],
+                    },
+                },
+            };
+
+            if (options.port !== undefined) {
+                config.server.port = options.port;
+            }
+
+            // Set the base path for builds (only in production)
+            const assetBase = options.assetBase ?? platformDefaults.assetBase;
+            if (state.isBuild && assetBase) {
+                config.base = assetBase;
+            }
+
+            // Prevent Vite from pre-bundling axios so our plugin can intercept it
+            if (state.axios) {
+                config.optimizeDeps = {
+                    exclude: ['axios']
+                };
+            }
+
             return config;
         },
-        closeBundle() {
-            if (!isBuild) {
+        configResolved(resolvedConfig) {
+            state.build = {
+                outDir: path.resolve(resolvedConfig.root, resolvedConfig.build.outDir),
+                base: resolvedConfig.base,
+                logger: resolvedConfig.logger,
+                hotFile: state.hotFile && path.resolve(resolvedConfig.root, state.hotFile),
+            };
+        },
+        async configureServer(server) {
+            const { httpServer } = server;
+
+            if (!state.platform) {
+                return;
+            }
+
+            watchEdgeSources(server);
+
+            if (!httpServer) {
                 return;
             }
 
-            const hotFiles = ['public/ios-hot', 'public/android-hot', 'public/hot'];
-            for (const hotFile of hotFiles) {
-                const hotFilePath = path.resolve(process.cwd(), hotFile);
-                if (existsSync(hotFilePath)) {
-                    unlinkSync(hotFilePath);
+            const logger = server.config.logger;
+            const hotFile = state.build.hotFile;
+
+            // A restart of this server finds its own hot file, which it simply rewrites
+            if (existsSync(hotFile) && !ownsHotFile(hotFile)) {
+                if (await isHotFileStale(hotFile)) {
+                    unlinkSync(hotFile);
+                    logger.info(`  NativePHP  Removed stale ${state.hotFile}`);
+                } else {
+                    logger.warn(`  NativePHP  Another ${state.platform === 'ios' ? 'iOS' : 'Android'} dev server is running, ${state.hotFile} will point at this one`);
                 }
             }
+
+            httpServer.on('listening', () => {
+                const protocol = server.config.server.https ? 'https' : 'http';
+                const url = `${protocol}://${formatHost(state.host.address)}:${httpServer.address().port}`;
+
+                writeHotFile(hotFile, url + server.config.base.replace(/\/$/, ''));
+                logger.info(connectionSummary(state, url));
+            });
+
+            httpServer.on('close', () => removeHotFile(hotFile));
+
+            if (!state.host.detected) {
+                return;
+            }
+
+            // Follow the laptop between networks: restart on the new address so HMR and the hot file keep up
+            const watcher = setInterval(() => {
+                const best = lanAddresses().find((candidate) => !candidate.skipped);
+
+                if (best && best.address !== state.host.address) {
+                    clearInterval(watcher);
+                    logger.warn(`  NativePHP  LAN address changed from ${formatHost(state.host.address)} to ${formatHost(best.address)} (${best.name}), restarting the dev server`);
+                    server.restart();
+                }
+            }, 5000);
+
+            watcher.unref?.();
+            httpServer.on('close', () => clearInterval(watcher));
+        },
+        async closeBundle() {
+            if (!state.isBuild || !state.platform) {
+                return;
+            }
+
+            // Only this platform's hot file is ours to judge; a live one belongs to a dev server still in use
+            const hotFile = state.build.hotFile;
+
+            if (existsSync(hotFile)) {
+                if (await isHotFileStale(hotFile)) {
+                    unlinkSync(hotFile);
+                    state.build.logger.info(`  NativePHP  Removed stale ${state.hotFile}`);
+                } else {
+                    state.build.logger.warn(`  NativePHP  ${state.hotFile} points at a running dev server, the app will load assets from it instead of this build`);
+                }
+            }
+
+            if (!existsSync(state.build.outDir)) {
+                return;
+            }
+
+            // Record exactly what ships to the device, failing on anything that needs the network
+            const { manifestPath, assets, totalSize } = writeAssetManifest({
+                outDir: state.build.outDir,
+                platform: state.platform,
+                base: state.build.base,
+                allowRemote: options.allowRemoteAssets,
+            });
+
+            const platform = state.platform === 'ios' ? 'iOS' : 'Android';
+            state.build.logger.info(`  NativePHP  ${platform} bundle: ${assets.length} files, ${formatBytes(totalSize)} (${path.relative(process.cwd(), manifestPath)})`);
         }
     };
 
-    // Return array with axios wrapper only for iOS
-    if (isIos) {
-        return [mainPlugin, axiosPlugin];
-    }
+    const axiosPlugin = axiosAdapterPlugin({
+        enabled: () => state.platform && state.axios,
+        debug: () => state.debugRequests,
+    });
 
-    return mainPlugin;
+    return [mainPlugin, axiosPlugin, phpShimPlugin(state), edgeHmrPlugin(state)];
 }
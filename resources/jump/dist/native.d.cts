@@ -0,0 +1,2018 @@
+// Generated from resources/js/bridge by `node resources/js/bridge/build.mjs` - do not edit by hand.
+/**
+ * NativePHP Bridge Library TypeScript Declarations
+ *
+ * @example Modular Imports - Namespace
+ * import { camera, dialog, scanner } from '@nativephp/native';
+ *
+ * await dialog.alert('Hello', 'Welcome');
+ * const photo = await camera.getPhoto();
+ *
+ * @example Modular Imports - Individual Functions
+ * import { getPhoto, alert, scanner } from '@nativephp/native';
+ *
+ * const photo = await getPhoto();
+ * await alert('Success', 'Photo captured!');
+ *
+ * @example Scanner - Fluent Builder API
+ * import { scanner } from '@nativephp/native';
+ *
+ * // Basic QR scan
+ * await scanner().scan();
+ *
+ * // Advanced scanning with options
+ * await scanner()
+ *   .prompt('Scan your ticket')
+ *   .continuous(true)
+ *   .formats(['qr', 'ean13'])
+ *   .id('ticket-scanner')
+ *   .scan();
+ *
+ * @example Scanner - Simple Options Object
+ * import { scanQR } from '@nativephp/native';
+ *
+ * await scanQR({
+ *   prompt: 'Scan barcode',
+ *   formats: ['ean13', 'code128'],
+ *   id: 'product-scanner'
+ * });
+ *
+ * @example Custom Bridge Function Calls
+ * import { bridgeCall } from '@nativephp/native';
+ *
+ * // Call a custom registered function
+ * const result = await bridgeCall('MyPlugin.CustomAction', { foo: 'bar' });
+ */
+
+// ============================================================================
+// Bridge Call Function
+// ============================================================================
+
+/**
+ * Make calls to registered native bridge functions
+ * Use this to call custom bridge functions registered by plugins
+ *
+ * @param method - The registered method name (e.g., 'Dialog.Alert', 'MyPlugin.DoSomething')
+ * @param params - Parameters to pass to the native function
+ * @returns The response data from the native function
+ *
+ * @example
+ * import { bridgeCall } from '@nativephp/native';
+ *
+ * // Call a custom registered function
+ * const result = await bridgeCall('MyPlugin.CustomAction', { foo: 'bar' });
+ */
+declare function bridgeCall(method: string, params?: Record<string, any>, options?: BridgeCallOptions): Promise<any>;
+
+export interface BridgeCallOptions {
+    /** Cancel the call when this signal aborts (rejects with BridgeCancelledError) */
+    signal?: AbortSignal | null;
+    /** Milliseconds before the call rejects with BridgeTimeoutError (0 disables) */
+    timeout?: number;
+    /** Send in one batch request with other calls made in the same tick */
+    coalesce?: boolean;
+}
+
+export interface BridgeBatchCall {
+    method: string;
+    params?: Record<string, any>;
+    options?: BridgeCallOptions;
+}
+
+export type BridgeBatchResult =
+    | { status: 'fulfilled'; value: any }
+    | { status: 'rejected'; reason: BridgeError };
+
+export interface BridgeContext {
+    method: string;
+    params: Record<string, any>;
+    options: BridgeCallOptions;
+    /** True for synchronous calls (Edge setSync) - middleware must call next() without awaiting first */
+    sync: boolean;
+}
+
+/**
+ * Bridge middleware - rewrite the context, short-circuit by returning without
+ * calling next(), or wrap next() to observe results and errors
+ */
+export type BridgeMiddleware = (context: BridgeContext, next: () => any) => any;
+
+/**
+ * Global bridge configuration and middleware
+ *
+ * @example
+ * bridge.defaults.timeout = 30000;
+ *
+ * const [info, network] = await bridge.batch([
+ *     { method: 'Device.GetInfo' },
+ *     { method: 'Network.Status' }
+ * ]);
+ * const device = info.status === 'fulfilled' ? info.value : null;
+ * if (network.status === 'rejected') console.warn(network.reason);
+ *
+ * const remove = bridge.use(async (ctx, next) => {
+ *     ctx.params = { ...ctx.params, correlationId: crypto.randomUUID() };
+ *     return next();
+ * });
+ */
+declare const bridge: {
+    defaults: {
+        timeout: number;
+        coalesce: boolean;
+    };
+    call: typeof bridgeCall;
+    /** Run several calls in a single round trip, settling each one individually */
+    batch(calls: BridgeBatchCall[]): Promise<BridgeBatchResult[]>;
+    /** Register a middleware; returns a function that removes it */
+    use(middleware: BridgeMiddleware): () => void;
+};
+
+/**
+ * Base class for fluent builders that make a bridge call
+ */
+export class PendingBridgeCall {
+    /** Cancel the call when the given signal aborts */
+    signal(signal: AbortSignal | null): this;
+    /** Reject with BridgeTimeoutError if the call takes longer than the given time */
+    timeout(ms: number): this;
+    /**
+     * Make the call and wait for the native event carrying its result (matched by id).
+     * Rejects with UserCancelledError, PermissionDeniedError or NativeExecutionError
+     * when the event reports a cancellation or failure.
+     */
+    waitForResult(): Promise<Record<string, any>>;
+}
+
+// ============================================================================
+// Bridge Errors
+// ============================================================================
+
+export interface BridgeErrorDetails {
+    code?: string | null;
+    status?: number | null;
+    method?: string | null;
+    params?: Record<string, any> | null;
+    data?: any;
+}
+
+/**
+ * Base class for every error thrown by a bridge call
+ *
+ * Known codes: 'MISSING_METHOD', 'METHOD_NOT_FOUND', 'FUNCTION_NOT_AVAILABLE',
+ * 'EXECUTION_ERROR', 'NATIVE_ERROR', 'INVALID_RESPONSE', 'CSRF_TOKEN_MISMATCH'
+ */
+export class BridgeError extends Error {
+    constructor(message: string, details?: BridgeErrorDetails);
+    code: string | null;
+    status: number | null;
+    method: string | null;
+    params: Record<string, any> | null;
+    data: any;
+}
+
+/** The request was rejected before reaching native code (MISSING_METHOD) */
+export class InvalidBridgeRequestError extends BridgeError {}
+
+/** The method is not registered in the bridge registry (METHOD_NOT_FOUND) */
+export class MethodNotFoundError extends BridgeError {}
+
+/** The native bridge is not available (FUNCTION_NOT_AVAILABLE) */
+export class NativeUnavailableError extends BridgeError {}
+
+/** The native function ran but reported a failure (EXECUTION_ERROR / NATIVE_ERROR) */
+export class NativeExecutionError extends BridgeError {}
+
+/** The server answered with a non-JSON body (INVALID_RESPONSE / CSRF_TOKEN_MISMATCH) */
+export class InvalidBridgeResponseError extends BridgeError {}
+
+/** The call was cancelled through its AbortSignal (CANCELLED) */
+export class BridgeCancelledError extends BridgeError {}
+
+/** The call did not complete within its timeout (TIMEOUT) */
+export class BridgeTimeoutError extends BridgeError {}
+
+/** The user dismissed the native UI (USER_CANCELLED) */
+export class UserCancelledError extends BridgeError {}
+
+/** The user or the OS denied permission for the operation (PERMISSION_DENIED) */
+export class PermissionDeniedError extends BridgeError {}
+
+/** Laravel refused to dispatch an app event (EVENT_NOT_ALLOWED / EVENT_NOT_FOUND / INVALID_PAYLOAD) */
+export class EventDispatchError extends BridgeError {
+    /** The event class that was dispatched */
+    event: string | null;
+}
+
+// Edge Component Interfaces
+export interface EdgeComponent {
+    type: string;
+    data: Record<string, any>;
+}
+
+// ============================================================================
+// Dialog Functions
+// ============================================================================
+
+/**
+ * PendingDialog - Fluent builder for native dialogs
+ */
+export class PendingDialog extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set dialog title
+     */
+    title(title: string): PendingDialog;
+
+    /**
+     * Set dialog message
+     */
+    message(message: string): PendingDialog;
+
+    /**
+     * Set dialog buttons
+     */
+    buttons(buttons: string[]): PendingDialog;
+
+    /**
+     * Set a unique identifier for this dialog
+     */
+    id(id: string): PendingDialog;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingDialog;
+
+    /**
+     * Quick confirm dialog (OK/Cancel)
+     */
+    confirm(title: string, message: string): PendingDialog;
+
+    /**
+     * Quick destructive confirm (Cancel/Delete)
+     */
+    confirmDelete(title: string, message: string): PendingDialog;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .show() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Dialog namespace - matches PHP Dialog facade
+ */
+declare const dialog: {
+    /**
+     * Show a native alert dialog
+     * Can be called with parameters for immediate use, or without to get a builder
+     *
+     * @example Simple usage
+     * await dialog.alert('Title', 'Message');
+     *
+     * @example Builder usage
+     * await dialog.alert()
+     *   .title('Title')
+     *   .message('Message')
+     *   .buttons(['OK', 'Cancel'])
+     *   .show();
+     */
+    alert: {
+        (): PendingDialog;
+        (title: string, message: string, buttons?: string[], id?: string, event?: string): Promise<void>;
+    };
+
+    /**
+     * Show a toast notification
+     */
+    toast(message: string, duration?: string): Promise<{ success: boolean }>;
+};
+
+// ============================================================================
+// Biometric Functions
+// ============================================================================
+
+/**
+ * PendingBiometric - Fluent builder for biometric authentication
+ */
+export class PendingBiometric extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set a unique identifier for this authentication
+     */
+    id(id: string): PendingBiometric;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingBiometric;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .prompt() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Biometric namespace - matches PHP Biometrics facade
+ */
+declare const biometric: {
+    /**
+     * Prompt for biometric authentication (Face ID, Fingerprint, etc.)
+     * Returns a PendingBiometric builder
+     *
+     * @example
+     * await biometric.prompt().id('auth-check').prompt();
+     */
+    prompt(): PendingBiometric;
+};
+
+// ============================================================================
+// Device Functions
+// ============================================================================
+
+/**
+ * Vibrate the device with a short haptic feedback
+ */
+declare function deviceVibrate(): Promise<{ success: boolean }>;
+
+/**
+ * Toggle the device flashlight on/off
+ */
+declare function flashlight(): Promise<{ success: boolean; state: boolean }>;
+
+/**
+ * Get the unique device ID
+ */
+declare function getId(): Promise<{ id: string }>;
+
+/**
+ * Get detailed device information
+ */
+declare function getInfo(): Promise<{ info: string }>;
+
+/**
+ * Get battery information
+ */
+declare function getBatteryInfo(): Promise<{ info: string }>;
+
+/**
+ * Parsed device information, cached for the session by getDeviceInfo()
+ */
+export interface DeviceInfo {
+    platform: 'ios' | 'android' | (string & {});
+    osVersion: string | null;
+    model: string | null;
+    manufacturer: string | null;
+    /** User-assigned device name */
+    name: string | null;
+    appVersion: string | null;
+    appBuild: string | null;
+    /** BCP 47 locale, falling back to navigator.language */
+    locale: string | null;
+    /** Running in the iOS simulator or an Android emulator */
+    isSimulator: boolean;
+    /** Everything Device.GetInfo returned */
+    raw: Record<string, any>;
+}
+
+/**
+ * Get parsed device information, cached for the session
+ *
+ * Pass `{ refresh: true }` to ask the device again. A failed request is not
+ * cached; an unreadable answer rejects with InvalidBridgeResponseError.
+ */
+declare function getDeviceInfo(options?: { refresh?: boolean }): Promise<DeviceInfo>;
+
+/**
+ * Ask the device for fresh information and replace the cached copy
+ */
+declare function refreshDeviceInfo(): Promise<DeviceInfo>;
+
+/**
+ * Get the device information already loaded by getDeviceInfo(), without asking the device
+ *
+ * Returns null until getDeviceInfo() has resolved.
+ */
+declare function getCachedDeviceInfo(): DeviceInfo | null;
+
+/**
+ * Device namespace - matches PHP Device facade
+ */
+declare const device: {
+    /**
+     * Vibrate the device with a short haptic feedback
+     */
+    vibrate(): Promise<{ success: boolean }>;
+
+    /**
+     * Toggle the device flashlight on/off
+     */
+    flashlight(): Promise<{ success: boolean; state: boolean }>;
+
+    /**
+     * Get the unique device ID
+     */
+    getId(): Promise<{ id: string }>;
+
+    /**
+     * Get detailed device information
+     */
+    getInfo(): Promise<{ info: string }>;
+
+    /**
+     * Get battery information
+     */
+    getBatteryInfo(): Promise<{ info: string }>;
+
+    /**
+     * Get parsed device information, cached for the session
+     */
+    info(options?: { refresh?: boolean }): Promise<DeviceInfo>;
+
+    /**
+     * Ask the device for fresh information and replace the cached copy
+     */
+    refreshInfo(): Promise<DeviceInfo>;
+
+    /**
+     * Get the already loaded device information synchronously (null until info() has resolved)
+     */
+    cached(): DeviceInfo | null;
+};
+
+
+// ============================================================================
+// System Functions
+// ============================================================================
+
+/**
+ * Check if the current platform is iOS
+ *
+ * Use isIosSync() for a synchronous answer once device information is loaded
+ */
+declare function isIos(): Promise<boolean>;
+
+/**
+ * Check if the current platform is Android
+ */
+declare function isAndroid(): Promise<boolean>;
+
+/**
+ * Check if running on a mobile platform (iOS or Android)
+ */
+declare function isMobile(): Promise<boolean>;
+
+/**
+ * Check synchronously if the current platform is iOS; null until device
+ * information has been loaded by an async System check or Device.info()
+ */
+declare function isIosSync(): boolean | null;
+
+/**
+ * Check synchronously if the current platform is Android; null until device information has been loaded
+ */
+declare function isAndroidSync(): boolean | null;
+
+/**
+ * Check synchronously if running on iOS or Android; null until device information has been loaded
+ */
+declare function isMobileSync(): boolean | null;
+
+/**
+ * System namespace - matches PHP System facade
+ * Provides platform detection utilities
+ */
+declare const system: {
+    /**
+     * Check if the current platform is iOS
+     */
+    isIos(): Promise<boolean>;
+
+    /**
+     * Check if the current platform is Android
+     */
+    isAndroid(): Promise<boolean>;
+
+    /**
+     * Check if running on a mobile platform (iOS or Android)
+     */
+    isMobile(): Promise<boolean>;
+
+    /**
+     * Check synchronously if the current platform is iOS; null until device information has been loaded
+     */
+    isIosSync(): boolean | null;
+
+    /**
+     * Check synchronously if the current platform is Android; null until device information has been loaded
+     */
+    isAndroidSync(): boolean | null;
+
+    /**
+     * Check synchronously if running on iOS or Android; null until device information has been loaded
+     */
+    isMobileSync(): boolean | null;
+
+    /**
+     * Toggle the device flashlight on/off
+     * @deprecated Use device.flashlight() instead
+     */
+    flashlight(): Promise<{ success: boolean; state: boolean }>;
+};
+
+// ============================================================================
+// Browser Functions
+// ============================================================================
+
+/**
+ * Open a URL in the system's default browser
+ */
+declare function openBrowser(url: string): Promise<boolean>;
+
+/**
+ * Open a URL in an in-app browser (SFSafariViewController on iOS, Custom Tabs on Android)
+ */
+declare function openInApp(url: string): Promise<boolean>;
+
+/**
+ * Open a URL in an authentication session (ASWebAuthenticationSession on iOS)
+ * Automatically handles OAuth callbacks with nativephp:// scheme
+ */
+declare function openAuth(url: string): Promise<boolean>;
+
+/**
+ * Browser namespace - matches PHP Browser facade
+ */
+declare const browser: {
+    /**
+     * Open a URL in the system's default browser
+     */
+    open(url: string): Promise<boolean>;
+
+    /**
+     * Open a URL in an in-app browser (SFSafariViewController on iOS, Custom Tabs on Android)
+     */
+    inApp(url: string): Promise<boolean>;
+
+    /**
+     * Open a URL in an authentication session (ASWebAuthenticationSession on iOS)
+     * Automatically handles OAuth callbacks with nativephp:// scheme
+     */
+    auth(url: string): Promise<boolean>;
+};
+
+// ============================================================================
+// Scanner Functions
+// ============================================================================
+
+/**
+ * Scanner options interface
+ */
+export interface ScannerOptions {
+    prompt?: string;
+    continuous?: boolean;
+    formats?: string[];
+    id?: string | null;
+}
+
+/**
+ * PendingScan - Fluent builder for QR/barcode scanning
+ * Matches the PHP Scanner API
+ */
+export class PendingScan extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set the prompt text shown on the scanner screen
+     */
+    prompt(text: string): PendingScan;
+
+    /**
+     * Enable continuous scanning (scan multiple codes without closing)
+     */
+    continuous(enabled?: boolean): PendingScan;
+
+    /**
+     * Set which barcode formats to scan
+     * Options: 'qr', 'ean13', 'ean8', 'code128', 'code39', 'upca', 'upce', 'all'
+     */
+    formats(formats: string[]): PendingScan;
+
+    /**
+     * Set a unique identifier for this scan session
+     */
+    id(id: string): PendingScan;
+
+    /**
+     * Get the scan session ID
+     */
+    getId(): string | null;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .scan() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Scanner namespace - matches PHP Scanner facade
+ */
+declare const scanner: {
+    /**
+     * Scan a QR code or barcode
+     * Returns a PendingScan builder
+     *
+     * @example
+     * await scanner.scan()
+     *   .prompt('Scan your ticket')
+     *   .formats(['qr', 'ean13'])
+     *   .scan();
+     */
+    scan(): PendingScan;
+};
+
+// ============================================================================
+// Gallery Functions
+// ============================================================================
+
+/**
+ * Gallery picker options interface
+ */
+export interface GalleryOptions {
+    mediaType?: 'image' | 'video' | 'all';
+    multiple?: boolean;
+    maxItems?: number;
+    id?: string | null;
+    event?: string | null;
+}
+
+/**
+ * PendingGalleryPick - Fluent builder for picking media from device gallery
+ */
+export class PendingGalleryPick extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Pick only images
+     */
+    images(): PendingGalleryPick;
+
+    /**
+     * Pick only videos
+     */
+    videos(): PendingGalleryPick;
+
+    /**
+     * Pick any media type (images and videos)
+     */
+    all(): PendingGalleryPick;
+
+    /**
+     * Allow multiple selection
+     */
+    multiple(enabled?: boolean): PendingGalleryPick;
+
+    /**
+     * Set maximum number of items when multiple selection is enabled
+     */
+    maxItems(max: number): PendingGalleryPick;
+
+    /**
+     * Set a unique identifier for this gallery pick
+     */
+    id(id: string): PendingGalleryPick;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingGalleryPick;
+
+    /**
+     * Get the gallery pick session ID
+     */
+    getId(): string | null;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .pick() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Create a new gallery picker instance
+ */
+declare function gallery(): PendingGalleryPick;
+
+/**
+ * Pick a single image from gallery
+ */
+declare function pickImage(options?: Omit<GalleryOptions, 'mediaType' | 'multiple' | 'maxItems'>): Promise<void>;
+
+/**
+ * Pick multiple images from gallery
+ */
+declare function pickImages(options?: Omit<GalleryOptions, 'mediaType' | 'multiple'>): Promise<void>;
+
+/**
+ * Pick a single video from gallery
+ */
+declare function pickVideo(options?: Omit<GalleryOptions, 'mediaType' | 'multiple' | 'maxItems'>): Promise<void>;
+
+/**
+ * Pick multiple videos from gallery
+ */
+declare function pickVideos(options?: Omit<GalleryOptions, 'mediaType' | 'multiple'>): Promise<void>;
+
+/**
+ * Pick any media (images or videos) from gallery
+ */
+declare function pickMedia(options?: Omit<GalleryOptions, 'mediaType'>): Promise<void>;
+
+// ============================================================================
+// Network Functions
+// ============================================================================
+
+/**
+ * Get network status
+ */
+declare function networkStatus(): Promise<{
+    connected: boolean;
+    type?: string;
+}>;
+
+declare const network: {
+    status: typeof networkStatus;
+};
+
+// ============================================================================
+// Camera Functions
+// ============================================================================
+
+/**
+ * PendingPhotoCapture - Fluent builder for capturing photos
+ */
+export class PendingPhotoCapture extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set a unique identifier for this photo capture
+     */
+    id(id: string): PendingPhotoCapture;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingPhotoCapture;
+
+    /**
+     * Get the operation ID
+     */
+    getId(): string | null;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .capture() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * PendingVideoRecorder - Fluent builder for recording videos
+ */
+export class PendingVideoRecorder extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set a unique identifier for this video recording
+     */
+    id(id: string): PendingVideoRecorder;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingVideoRecorder;
+
+    /**
+     * Set maximum recording duration
+     */
+    maxDuration(seconds: number): PendingVideoRecorder;
+
+    /**
+     * Get the operation ID
+     */
+    getId(): string | null;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .record() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Camera namespace - matches PHP Camera facade
+ */
+declare const camera: {
+    /**
+     * Capture a photo using the device camera
+     * Returns a PendingPhotoCapture builder
+     *
+     * @example
+     * await camera.getPhoto()
+     *   .id('profile-pic')
+     *   .capture();
+     */
+    getPhoto(): PendingPhotoCapture;
+
+    /**
+     * Record a video using the device camera
+     * Returns a PendingVideoRecorder builder
+     *
+     * @example
+     * await camera.recordVideo()
+     *   .maxDuration(60)
+     *   .record();
+     */
+    recordVideo(): PendingVideoRecorder;
+
+    /**
+     * Pick media from the device gallery
+     * Returns a PendingGalleryPick builder
+     *
+     * @example
+     * await camera.pickImages()
+     *   .multiple()
+     *   .maxItems(5)
+     *   .pick();
+     */
+    pickImages(): PendingGalleryPick;
+};
+
+// ============================================================================
+// Microphone Functions
+// ============================================================================
+
+/**
+ * PendingMicrophone - Fluent builder for microphone recording
+ */
+export class PendingMicrophone extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set a unique identifier for this recording
+     */
+    id(id: string): PendingMicrophone;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingMicrophone;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .record() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Microphone namespace - matches PHP Microphone facade
+ */
+declare const microphone: {
+    /**
+     * Start microphone recording
+     * Returns a PendingMicrophone builder
+     *
+     * @example
+     * await microphone.record()
+     *   .id('voice-memo')
+     *   .record();
+     */
+    record(): PendingMicrophone;
+
+    /**
+     * Stop microphone recording
+     */
+    stop(options?: BridgeCallOptions): Promise<any>;
+
+    /**
+     * Pause microphone recording
+     */
+    pause(options?: BridgeCallOptions): Promise<any>;
+
+    /**
+     * Resume microphone recording
+     */
+    resume(options?: BridgeCallOptions): Promise<any>;
+
+    /**
+     * Get microphone recording status
+     */
+    getStatus(options?: BridgeCallOptions): Promise<any>;
+
+    /**
+     * Get the path to the last recorded audio file
+     */
+    getRecording(options?: BridgeCallOptions): Promise<any>;
+};
+
+// ============================================================================
+// Share Functions
+// ============================================================================
+
+/**
+ * Share a file or text using the native share sheet
+ * @param title - Share dialog title / subject (optional)
+ * @param message - Text message to share (optional)
+ * @param path - File path to share (optional)
+ */
+declare function shareFile(title: string, message: string, path: string): Promise<any>;
+
+/**
+ * Share a URL using the native share sheet
+ */
+declare function shareUrl(title: string, text: string, url: string): Promise<any>;
+
+declare const share: {
+    file: typeof shareFile;
+    url: typeof shareUrl;
+};
+
+// ============================================================================
+// SecureStorage Functions
+// ============================================================================
+
+export interface SecureStorageOptions extends BridgeCallOptions {
+    /** Namespace of the key, e.g. `user.${id}` */
+    namespace?: string;
+}
+
+export interface SecureStorageSetOptions extends SecureStorageOptions {
+    /** Seconds after which the value expires */
+    ttl?: number;
+}
+
+/**
+ * Store a value securely in the device keychain/keystore
+ */
+declare function secureStorageSet(key: string, value: string | null, options?: SecureStorageSetOptions): Promise<{ success: boolean }>;
+
+/**
+ * Retrieve a value from secure storage (null when missing or expired)
+ */
+declare function secureStorageGet(key: string, options?: SecureStorageOptions): Promise<{ value: string | null }>;
+
+/**
+ * Delete a value from secure storage
+ */
+declare function secureStorageDelete(key: string, options?: SecureStorageOptions): Promise<{ success: boolean }>;
+
+/**
+ * Check whether a value is stored and not expired
+ */
+declare function secureStorageHas(key: string, options?: SecureStorageOptions): Promise<boolean>;
+
+/**
+ * Store any JSON-serializable value
+ */
+declare function secureStorageSetJSON(key: string, value: unknown, options?: SecureStorageSetOptions): Promise<{ success: boolean }>;
+
+/**
+ * Retrieve a value stored with setJSON() (null when missing, expired or not valid JSON)
+ */
+declare function secureStorageGetJSON<T = any>(key: string, options?: SecureStorageOptions): Promise<T | null>;
+
+/**
+ * Store several string values at once
+ */
+declare function secureStorageSetMany(values: Record<string, string | null>, options?: SecureStorageSetOptions): Promise<{ success: boolean }>;
+
+/**
+ * Retrieve several values at once (null for missing or expired keys)
+ */
+declare function secureStorageGetMany<K extends string>(keys: K[], options?: SecureStorageOptions): Promise<Record<K, string | null>>;
+
+/**
+ * List stored keys; with a namespace, the keys of that namespace without their prefix
+ */
+declare function secureStorageKeys(namespace?: string, options?: BridgeCallOptions): Promise<string[]>;
+
+/**
+ * Delete every stored key, or only those in a namespace. Resolves to the number deleted.
+ */
+declare function secureStorageClear(namespace?: string, options?: BridgeCallOptions): Promise<number>;
+
+declare const secureStorage: {
+    set: typeof secureStorageSet;
+    get: typeof secureStorageGet;
+    delete: typeof secureStorageDelete;
+    has: typeof secureStorageHas;
+    setJSON: typeof secureStorageSetJSON;
+    getJSON: typeof secureStorageGetJSON;
+    setMany: typeof secureStorageSetMany;
+    getMany: typeof secureStorageGetMany;
+    keys: typeof secureStorageKeys;
+    clear: typeof secureStorageClear;
+};
+
+// ============================================================================
+// File Functions
+// ============================================================================
+
+/**
+ * Move a file
+ */
+declare function moveFile(from: string, to: string): Promise<any>;
+
+/**
+ * Copy a file
+ */
+declare function copyFile(from: string, to: string): Promise<any>;
+
+/**
+ * Named directory a file path belongs to. Apps can configure more roots
+ * under `nativephp.files.roots`.
+ */
+export type FileRoot = 'documents' | 'cache' | 'temp' | 'app-bundle' | (string & {});
+
+export interface FileEntry {
+    name: string;
+    /** Absolute path on the device */
+    path: string;
+    root: FileRoot;
+    /** Path relative to the root */
+    relativePath: string;
+    type: 'file' | 'directory';
+    /** Size in bytes (0 for directories) */
+    size: number;
+    /** ISO 8601 modification time */
+    modifiedAt: string;
+    mimeType: string | null;
+}
+
+export interface FileOptions extends BridgeCallOptions {
+    /** Root that relative paths resolve against (default: 'documents') */
+    root?: FileRoot;
+}
+
+export type FileData = string | ArrayBuffer | ArrayBufferView | Blob;
+
+/**
+ * Read a file as UTF-8 text (the default), base64 or an ArrayBuffer
+ *
+ * Absolute paths, such as the ones Camera.getPhoto() returns, must be inside
+ * one of the roots; anything else rejects with code PATH_NOT_ALLOWED.
+ */
+declare function readFile(path: string, options?: FileOptions & { encoding?: 'utf8' | 'base64' }): Promise<string>;
+declare function readFile(path: string, options: FileOptions & { encoding: 'arraybuffer' }): Promise<ArrayBuffer>;
+
+/**
+ * Write a file, replacing it if it exists and creating missing parent directories
+ */
+declare function writeFile(path: string, data: FileData, options?: FileOptions): Promise<FileEntry>;
+
+/**
+ * Append to a file, creating it if it doesn't exist
+ */
+declare function appendFile(path: string, data: FileData, options?: FileOptions): Promise<FileEntry>;
+
+/**
+ * Delete a file or directory, resolving to false when there was nothing to delete
+ */
+declare function deleteFile(path: string, options?: FileOptions & { recursive?: boolean }): Promise<boolean>;
+
+/**
+ * Check whether a file or directory exists
+ */
+declare function fileExists(path: string, options?: FileOptions): Promise<boolean>;
+
+/**
+ * Describe a file or directory
+ */
+declare function statFile(path: string, options?: FileOptions): Promise<FileEntry>;
+
+/**
+ * List a directory's contents, sorted by name
+ */
+declare function listDirectory(path?: string, options?: FileOptions): Promise<FileEntry[]>;
+
+/**
+ * Create a directory and any missing parents
+ */
+declare function makeDirectory(path: string, options?: FileOptions): Promise<FileEntry>;
+
+/**
+ * Get a same-origin URL for a file, e.g. for an <img> or a seekable <video>
+ *
+ * Revoked automatically when the page is left, or after `ttl` seconds
+ * (default: nativephp.files.url_ttl).
+ */
+declare function fileUrl(path: string, options?: FileOptions & { ttl?: number }): Promise<string>;
+
+/**
+ * Revoke a URL returned by fileUrl(), resolving to false if it was no longer valid
+ */
+declare function revokeFileUrl(url: string, options?: BridgeCallOptions): Promise<boolean>;
+
+/**
+ * Load a file as a Blob, e.g. for FormData or URL.createObjectURL()
+ */
+declare function fileBlob(path: string, options?: FileOptions): Promise<Blob>;
+
+/**
+ * Load a file as a File with its name, MIME type and modification time
+ */
+declare function fileObject(path: string, options?: FileOptions): Promise<File>;
+
+declare const file: {
+    move: typeof moveFile;
+    copy: typeof copyFile;
+    read: typeof readFile;
+    write: typeof writeFile;
+    append: typeof appendFile;
+    delete: typeof deleteFile;
+    exists: typeof fileExists;
+    stat: typeof statFile;
+    list: typeof listDirectory;
+    mkdir: typeof makeDirectory;
+    url: typeof fileUrl;
+    revokeUrl: typeof revokeFileUrl;
+    blob: typeof fileBlob;
+    toFile: typeof fileObject;
+};
+
+// ============================================================================
+// Upload Functions
+// ============================================================================
+
+export type UploadState = 'queued' | 'uploading' | 'paused' | 'completed' | 'failed' | 'cancelled';
+
+export interface UploadRecord {
+    id: string;
+    path: string;
+    url: string;
+    mode: 'multipart' | 'chunked';
+    status: UploadState;
+    bytesSent: number;
+    totalBytes: number;
+    /** 0 to 1 */
+    progress: number;
+    /** Status code of the last response */
+    statusCode: number | null;
+    /** Body of the final response once completed */
+    response: string | null;
+    error: string | null;
+}
+
+export interface UploadOptions extends BridgeCallOptions {
+    /** HTTP method (default: 'POST') */
+    method?: string;
+    headers?: Record<string, string>;
+    /** Extra form fields (multipart mode) */
+    fields?: Record<string, string | number | boolean>;
+    /** Form field name of the file (default: 'file') */
+    fileField?: string;
+    /** 'chunked' sends Content-Range requests and resumes from the last acknowledged chunk (default: 'multipart') */
+    mode?: 'multipart' | 'chunked';
+    /** Bytes per request in chunked mode (default: 5 MB) */
+    chunkSize?: number;
+    /** Id to use instead of a generated one */
+    id?: string;
+}
+
+export interface UploadCallbacks {
+    progress?: (payload: UploadProgressedPayload) => void;
+    completed?: (payload: UploadCompletedPayload) => void;
+    failed?: (payload: UploadFailedPayload) => void;
+}
+
+/**
+ * Upload a file in the background to an absolute http(s) URL; it keeps going
+ * while the app is suspended
+ */
+declare function startUpload(path: string, url: string, options?: UploadOptions): Promise<UploadRecord>;
+
+/**
+ * Pause an upload without forgetting it
+ */
+declare function pauseUpload(id: string, options?: BridgeCallOptions): Promise<UploadRecord>;
+
+/**
+ * Continue a paused or failed upload (chunked uploads continue where they stopped)
+ */
+declare function resumeUpload(id: string, options?: BridgeCallOptions): Promise<UploadRecord>;
+
+/**
+ * Cancel an upload for good
+ */
+declare function cancelUpload(id: string, options?: BridgeCallOptions): Promise<UploadRecord>;
+
+/**
+ * Get the current state of an upload
+ */
+declare function uploadStatus(id: string, options?: BridgeCallOptions): Promise<UploadRecord>;
+
+/**
+ * List every upload the device knows about, oldest first
+ */
+declare function listUploads(options?: BridgeCallOptions): Promise<UploadRecord[]>;
+
+/**
+ * Listen for the events of one upload
+ * @returns Function that removes the listeners
+ */
+declare function watchUpload(id: string, callbacks: UploadCallbacks): () => void;
+
+declare const upload: {
+    start: typeof startUpload;
+    pause: typeof pauseUpload;
+    resume: typeof resumeUpload;
+    cancel: typeof cancelUpload;
+    status: typeof uploadStatus;
+    list: typeof listUploads;
+    watch: typeof watchUpload;
+};
+
+// ============================================================================
+// Geolocation Functions
+// ============================================================================
+
+/**
+ * PendingGeolocation - Fluent builder for geolocation operations
+ */
+export class PendingGeolocation extends PendingBridgeCall implements PromiseLike<void> {
+    constructor(action: 'getCurrentPosition' | 'checkPermissions' | 'requestPermissions');
+
+    /**
+     * Use fine accuracy (GPS) instead of coarse (network-based)
+     */
+    fineAccuracy(enabled?: boolean): PendingGeolocation;
+
+    /**
+     * Set a unique identifier for this operation
+     */
+    id(id: string): PendingGeolocation;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingGeolocation;
+
+    /**
+     * Remember the permission decision
+     */
+    remember(enabled?: boolean): PendingGeolocation;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .get() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * Geolocation namespace - matches PHP Geolocation facade
+ */
+declare const geolocation: {
+    /**
+     * Get the current GPS location of the device
+     * Returns a PendingGeolocation builder
+     *
+     * @example
+     * await geolocation.getCurrentPosition()
+     *   .fineAccuracy(true)
+     *   .id('current-loc')
+     *   .get();
+     */
+    getCurrentPosition(): PendingGeolocation;
+
+    /**
+     * Check current location permissions status
+     * Returns a PendingGeolocation builder
+     *
+     * @example
+     * await geolocation.checkPermissions()
+     *   .id('perm-check')
+     *   .get();
+     */
+    checkPermissions(): PendingGeolocation;
+
+    /**
+     * Request location permissions from the user
+     * Returns a PendingGeolocation builder
+     *
+     * @example
+     * await geolocation.requestPermissions()
+     *   .remember()
+     *   .get();
+     */
+    requestPermissions(): PendingGeolocation;
+};
+
+// ============================================================================
+// Push Notifications Functions
+// ============================================================================
+
+/**
+ * PendingPushNotificationEnrollment - Fluent builder for push notification enrollment
+ */
+declare class PendingPushNotificationEnrollment extends PendingBridgeCall implements PromiseLike<void> {
+    constructor();
+
+    /**
+     * Set a unique identifier for this enrollment
+     */
+    id(id: string): PendingPushNotificationEnrollment;
+
+    /**
+     * Set a custom event class name to fire
+     */
+    event(event: string): PendingPushNotificationEnrollment;
+
+    /**
+     * Get the enrollment ID (generates a UUID if not set)
+     */
+    getId(): string;
+
+    /**
+     * Remember this enrollment ID for later retrieval
+     * Note: In JavaScript, this just ensures an ID is generated
+     * Session storage is handled on the PHP side
+     */
+    remember(): PendingPushNotificationEnrollment;
+
+    /**
+     * Makes this builder thenable - can be awaited directly
+     * No need to call .enroll() anymore, just await the builder
+     */
+    then<TResult1 = void, TResult2 = never>(
+        onfulfilled?: ((value: void) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+    ): PromiseLike<TResult1 | TResult2>;
+}
+
+/**
+ * PushNotifications namespace - matches PHP PushNotifications facade
+ */
+declare const pushNotifications: {
+    /**
+     * Check current push notification permission status without prompting the user
+     * Returns: "granted", "denied", "not_determined", "provisional", or "ephemeral"
+     */
+    checkPermission(): Promise<{ status: string }>;
+
+    /**
+     * Request push notification permissions and enroll
+     * Returns a PendingPushNotificationEnrollment builder
+     *
+     * @example
+     * await pushNotifications.enroll()
+     *   .id('main-enrollment')
+     *   .remember()
+     *   .enroll();
+     */
+    enroll(): PendingPushNotificationEnrollment;
+
+    /**
+     * Get the current push notification token
+     * Returns APNS token on iOS, FCM token on Android, or null if not available
+     */
+    getToken(): Promise<{ token: string | null }>;
+};
+
+// ============================================================================
+// Mobile Wallet Functions
+// ============================================================================
+
+/**
+ * Check whether Apple Pay / Google Pay is available on this device
+ */
+declare function mobileWalletIsAvailable(): Promise<any>;
+
+/**
+ * Create a payment intent
+ */
+declare function mobileWalletCreatePaymentIntent(options?: {
+    amount?: number;
+    currency?: string;
+    metadata?: Record<string, any>;
+}): Promise<any>;
+
+/**
+ * Present the native payment sheet
+ */
+declare function mobileWalletPresentPaymentSheet(options: {
+    clientSecret: string;
+    merchantDisplayName: string;
+    publishableKey: string;
+    additionalOptions?: Record<string, any>;
+    signal?: AbortSignal | null;
+    timeout?: number;
+}): Promise<any>;
+
+/**
+ * Confirm a payment
+ */
+declare function mobileWalletConfirmPayment(paymentIntentId: string): Promise<any>;
+
+/**
+ * Get the status of a payment
+ */
+declare function mobileWalletGetPaymentStatus(paymentIntentId: string): Promise<any>;
+
+/**
+ * Format an amount in cents as a currency string
+ */
+declare function mobileWalletFormatAmount(amountInCents: number, currency?: string): string;
+
+declare const mobileWallet: {
+    isAvailable: typeof mobileWalletIsAvailable;
+    createPaymentIntent: typeof mobileWalletCreatePaymentIntent;
+    presentPaymentSheet: typeof mobileWalletPresentPaymentSheet;
+    confirmPayment: typeof mobileWalletConfirmPayment;
+    getPaymentStatus: typeof mobileWalletGetPaymentStatus;
+    formatAmount: typeof mobileWalletFormatAmount;
+};
+
+// ============================================================================
+// Edge Functions
+// ============================================================================
+
+/**
+ * Set Edge components (async version)
+ * @param components - Component data or array of components
+ * @returns Promise that resolves when components are set
+ */
+declare function setEdge(components: Record<string, any> | EdgeComponent[]): Promise<any>;
+
+/**
+ * Set Edge components (synchronous version)
+ *
+ * Use this for Inertia/Vue/React SPAs where async calls may not complete
+ * reliably during navigation. This blocks the JS thread until the native
+ * side processes the update.
+ *
+ * @param components - Component data or array of components
+ *
+ * @example
+ * import { edge } from '#nativephp';
+ *
+ * // In an Inertia navigation handler
+ * router.on('finish', () => {
+ *     edge.setSync([
+ *         { type: 'bottom_nav', data: { children: [...] } }
+ *     ]);
+ * });
+ */
+declare function setEdgeSync(components: Record<string, any> | EdgeComponent[]): void;
+
+/**
+ * Clear all Edge components
+ *
+ * Removes all native UI components (TopBar, BottomNav, SideNav, Fab).
+ * Useful when logging out or navigating to a screen without native UI.
+ *
+ * @returns Promise that resolves when components are cleared
+ */
+declare function clearEdge(): Promise<any>;
+
+/**
+ * Clear all Edge components (synchronous version)
+ */
+declare function clearEdgeSync(): void;
+
+/**
+ * Re-render the Edge components of a page and apply them
+ *
+ * Requests the page with an `X-NativePHP-Edge: refresh` header, which makes
+ * Laravel answer with the page's components as JSON instead of sending them
+ * to the native layer, then applies them with edge.set(). The Vite plugin
+ * calls this when a Blade file with <native:...> tags changes during HMR.
+ *
+ * @param url - Page to render, defaults to the current page
+ * @throws InvalidBridgeResponseError if the page could not be rendered
+ */
+declare function refreshEdge(url?: string): Promise<any>;
+
+declare const edge: {
+    /** Set Edge components (async) */
+    set: typeof setEdge;
+    /** Set Edge components (sync - use for Inertia/SPA navigation) */
+    setSync: typeof setEdgeSync;
+    /** Clear all Edge components (async) */
+    clear: typeof clearEdge;
+    /** Clear all Edge components (sync) */
+    clearSync: typeof clearEdgeSync;
+    /** Re-render a page's Edge components and apply them */
+    refresh: typeof refreshEdge;
+};
+
+// ============================================================================
+// Native Event Payloads
+// ============================================================================
+
+// Generated from src/Events by `php artisan native:events:generate --core` - do not edit by hand.
+// Plugin events are added by augmenting NativeEventPayloads (see `php artisan native:events:generate`).
+// @generated:events start
+export interface AlertButtonPressedPayload {
+    index: number;
+    label: string;
+    id?: string | null;
+}
+
+export interface AppUpdateInstalledPayload {
+    version: string;
+    timestamp: number;
+}
+
+export interface BiometricCompletedPayload {
+    success: boolean;
+    id?: string | null;
+}
+
+export interface CameraPermissionDeniedPayload {
+    action: string;
+    id?: string | null;
+}
+
+export interface CameraPhotoCancelledPayload {
+    cancelled?: boolean;
+    id?: string | null;
+}
+
+export interface CameraPhotoTakenPayload {
+    path: string;
+    mimeType?: string;
+    id?: string | null;
+}
+
+export interface CameraVideoCancelledPayload {
+    cancelled?: boolean;
+    id?: string | null;
+}
+
+export interface CameraVideoRecordedPayload {
+    path: string;
+    mimeType?: string;
+    id?: string | null;
+}
+
+export interface GalleryMediaSelectedPayload {
+    success: boolean;
+    files?: any[] | Record<string, any>;
+    count?: number;
+    error?: string | null;
+    cancelled?: boolean;
+    id?: string | null;
+}
+
+export interface GeolocationLocationReceivedPayload {
+    success: boolean;
+    latitude?: number | null;
+    longitude?: number | null;
+    accuracy?: number | null;
+    timestamp?: number | null;
+    provider?: string | null;
+    error?: string | null;
+    id?: string | null;
+}
+
+export interface GeolocationPermissionRequestResultPayload {
+    location: string;
+    coarseLocation: string;
+    fineLocation: string;
+    error?: string | null;
+    id?: string | null;
+}
+
+export interface GeolocationPermissionStatusReceivedPayload {
+    location: string;
+    coarseLocation: string;
+    fineLocation: string;
+    id?: string | null;
+}
+
+export interface MicrophoneCancelledPayload {
+    cancelled?: boolean;
+    id?: string | null;
+}
+
+export interface MicrophoneRecordedPayload {
+    path: string;
+    mimeType?: string;
+    id?: string | null;
+}
+
+export interface PushNotificationTokenGeneratedPayload {
+    token: string;
+    id?: string | null;
+}
+
+export interface ScannerCodeScannedPayload {
+    data: string;
+    format: string;
+    id?: string | null;
+}
+
+export interface ScannerCancelledPayload {
+    cancelled?: boolean;
+    reason?: string | null;
+    id?: string | null;
+}
+
+export interface UploadCompletedPayload {
+    id: string;
+    statusCode: number;
+    body?: string | null;
+}
+
+export interface UploadFailedPayload {
+    id: string;
+    error: string;
+    resumable?: boolean;
+    statusCode?: number | null;
+}
+
+export interface UploadProgressedPayload {
+    id: string;
+    bytesSent: number;
+    totalBytes: number;
+    progress: number;
+}
+
+export interface WalletPaymentCancelledPayload {
+    paymentIntentId: string;
+    reason?: string | null;
+}
+
+export interface WalletPaymentCompletedPayload {
+    paymentIntentId: string;
+    amount: number;
+    currency: string;
+    status: string;
+    metadata?: any[] | Record<string, any> | null;
+}
+
+export interface WalletPaymentFailedPayload {
+    paymentIntentId: string;
+    errorCode: string;
+    errorMessage: string;
+    metadata?: any[] | Record<string, any> | null;
+}
+
+export interface NativeEventPayloads {
+    'Native\\Mobile\\Events\\Alert\\ButtonPressed': AlertButtonPressedPayload;
+    'Native\\Mobile\\Events\\App\\UpdateInstalled': AppUpdateInstalledPayload;
+    'Native\\Mobile\\Events\\Biometric\\Completed': BiometricCompletedPayload;
+    'Native\\Mobile\\Events\\Camera\\PermissionDenied': CameraPermissionDeniedPayload;
+    'Native\\Mobile\\Events\\Camera\\PhotoCancelled': CameraPhotoCancelledPayload;
+    'Native\\Mobile\\Events\\Camera\\PhotoTaken': CameraPhotoTakenPayload;
+    'Native\\Mobile\\Events\\Camera\\VideoCancelled': CameraVideoCancelledPayload;
+    'Native\\Mobile\\Events\\Camera\\VideoRecorded': CameraVideoRecordedPayload;
+    'Native\\Mobile\\Events\\Gallery\\MediaSelected': GalleryMediaSelectedPayload;
+    'Native\\Mobile\\Events\\Geolocation\\LocationReceived': GeolocationLocationReceivedPayload;
+    'Native\\Mobile\\Events\\Geolocation\\PermissionRequestResult': GeolocationPermissionRequestResultPayload;
+    'Native\\Mobile\\Events\\Geolocation\\PermissionStatusReceived': GeolocationPermissionStatusReceivedPayload;
+    'Native\\Mobile\\Events\\Microphone\\MicrophoneCancelled': MicrophoneCancelledPayload;
+    'Native\\Mobile\\Events\\Microphone\\MicrophoneRecorded': MicrophoneRecordedPayload;
+    'Native\\Mobile\\Events\\PushNotification\\TokenGenerated': PushNotificationTokenGeneratedPayload;
+    'Native\\Mobile\\Events\\Scanner\\CodeScanned': ScannerCodeScannedPayload;
+    'Native\\Mobile\\Events\\Scanner\\ScannerCancelled': ScannerCancelledPayload;
+    'Native\\Mobile\\Events\\Upload\\Completed': UploadCompletedPayload;
+    'Native\\Mobile\\Events\\Upload\\Failed': UploadFailedPayload;
+    'Native\\Mobile\\Events\\Upload\\Progressed': UploadProgressedPayload;
+    'Native\\Mobile\\Events\\Wallet\\PaymentCancelled': WalletPaymentCancelledPayload;
+    'Native\\Mobile\\Events\\Wallet\\PaymentCompleted': WalletPaymentCompletedPayload;
+    'Native\\Mobile\\Events\\Wallet\\PaymentFailed': WalletPaymentFailedPayload;
+}
+
+export interface NativeEventConstants {
+    Alert: {
+        ButtonPressed: 'Native\\Mobile\\Events\\Alert\\ButtonPressed';
+    };
+    App: {
+        UpdateInstalled: 'Native\\Mobile\\Events\\App\\UpdateInstalled';
+    };
+    Biometric: {
+        Completed: 'Native\\Mobile\\Events\\Biometric\\Completed';
+    };
+    Camera: {
+        PermissionDenied: 'Native\\Mobile\\Events\\Camera\\PermissionDenied';
+        PhotoCancelled: 'Native\\Mobile\\Events\\Camera\\PhotoCancelled';
+        PhotoTaken: 'Native\\Mobile\\Events\\Camera\\PhotoTaken';
+        VideoCancelled: 'Native\\Mobile\\Events\\Camera\\VideoCancelled';
+        VideoRecorded: 'Native\\Mobile\\Events\\Camera\\VideoRecorded';
+    };
+    Gallery: {
+        MediaSelected: 'Native\\Mobile\\Events\\Gallery\\MediaSelected';
+    };
+    Geolocation: {
+        LocationReceived: 'Native\\Mobile\\Events\\Geolocation\\LocationReceived';
+        PermissionRequestResult: 'Native\\Mobile\\Events\\Geolocation\\PermissionRequestResult';
+        PermissionStatusReceived: 'Native\\Mobile\\Events\\Geolocation\\PermissionStatusReceived';
+    };
+    Microphone: {
+        MicrophoneCancelled: 'Native\\Mobile\\Events\\Microphone\\MicrophoneCancelled';
+        MicrophoneRecorded: 'Native\\Mobile\\Events\\Microphone\\MicrophoneRecorded';
+    };
+    PushNotification: {
+        TokenGenerated: 'Native\\Mobile\\Events\\PushNotification\\TokenGenerated';
+    };
+    Scanner: {
+        CodeScanned: 'Native\\Mobile\\Events\\Scanner\\CodeScanned';
+        ScannerCancelled: 'Native\\Mobile\\Events\\Scanner\\ScannerCancelled';
+    };
+    Upload: {
+        Completed: 'Native\\Mobile\\Events\\Upload\\Completed';
+        Failed: 'Native\\Mobile\\Events\\Upload\\Failed';
+        Progressed: 'Native\\Mobile\\Events\\Upload\\Progressed';
+    };
+    Wallet: {
+        PaymentCancelled: 'Native\\Mobile\\Events\\Wallet\\PaymentCancelled';
+        PaymentCompleted: 'Native\\Mobile\\Events\\Wallet\\PaymentCompleted';
+        PaymentFailed: 'Native\\Mobile\\Events\\Wallet\\PaymentFailed';
+    };
+}
+// @generated:events end
+
+// ============================================================================
+// Native Event System
+// ============================================================================
+
+export type NativeEventName = keyof NativeEventPayloads;
+export type NativeEventCallback = (payload: any, eventName: string) => void;
+
+/**
+ * Listen for native events
+ *
+ * The event name may be an exact event class, a namespace wildcard
+ * (e.g. 'Native\\Mobile\\Events\\Camera\\*') or '*' for every event.
+ *
+ * @returns Function that removes the listener
+ *
+ * @example Vue/React/Inertia
+ * import { on } from '../../../public/vendor/nativephp-mobile/native';
+ *
+ * const stop = on('Native\\Mobile\\Events\\Camera\\PhotoTaken', (event) => {
+ *   console.log('Photo taken:', event);
+ * });
+ */
+declare function on<E extends NativeEventName>(eventName: E, callback: (payload: NativeEventPayloads[E], eventName: E) => void): () => void;
+declare function on(eventName: string, callback: NativeEventCallback): () => void;
+
+/**
+ * Listen for the next occurrence of a native event only
+ * @returns Function that removes the listener
+ */
+declare function once<E extends NativeEventName>(eventName: E, callback: (payload: NativeEventPayloads[E], eventName: E) => void): () => void;
+declare function once(eventName: string, callback: NativeEventCallback): () => void;
+
+/**
+ * Stop listening for native events (cleanup to prevent memory leaks)
+ *
+ * @example Vue/React/Inertia - Component Cleanup
+ * import { on, off } from '../../../public/vendor/nativephp-mobile/native';
+ *
+ * // In mounted/useEffect
+ * const handler = (event) => console.log(event);
+ * on('Native\\Mobile\\Events\\Camera\\PhotoTaken', handler);
+ *
+ * // In unmounted/cleanup
+ * off('Native\\Mobile\\Events\\Camera\\PhotoTaken', handler);
+ */
+declare function off(eventName: string, callback: NativeEventCallback): void;
+
+// ============================================================================
+// Testing
+// ============================================================================
+
+export interface FakeBridgeCall {
+    method: string;
+    params: Record<string, any>;
+    options: BridgeCallOptions;
+    /** True for synchronous calls (Edge setSync) */
+    sync: boolean;
+}
+
+export interface FakeBridgeOptions {
+    /** Reject calls to methods without a stub with MethodNotFoundError (default: false) */
+    strict?: boolean;
+}
+
+/**
+ * In-memory replacement for the native bridge, returned by createFakeBridge()
+ *
+ * Method arguments accept an exact method name ('Camera.GetPhoto') or a
+ * pattern ('Camera.*', '*'). Expected params and payloads match as a subset.
+ */
+export interface FakeBridge {
+    /** Every call made while the fake is installed, oldest first */
+    readonly calls: FakeBridgeCall[];
+    /** Every Events.dispatch() made while the fake is installed */
+    readonly dispatched: Array<{ event: string; payload: Record<string, any> }>;
+
+    /** Answer calls with a value, or a function of the params (throw to reject) */
+    stub(method: string, response: (params: Record<string, any>, context: BridgeContext) => any): this;
+    stub(method: string, response: any): this;
+    /** Make calls fail with the BridgeError NativeCallController would report */
+    fail(method: string, error?: { code?: string; message?: string; status?: number; data?: any }): this;
+    /** Emit an event after each call, with the call's id added to the payload (for waitForResult()) */
+    emitOnCall<E extends NativeEventName>(method: string, eventName: E, payload?: Partial<NativeEventPayloads[E]> | ((params: Record<string, any>) => Partial<NativeEventPayloads[E]>)): this;
+    emitOnCall(method: string, eventName: string, payload?: Record<string, any> | ((params: Record<string, any>) => Record<string, any>)): this;
+    /** Emit a native event to every listener */
+    emit<E extends NativeEventName>(eventName: E, payload: NativeEventPayloads[E]): void;
+    emit(eventName: string, payload?: Record<string, any>): void;
+
+    callsTo(method: string): FakeBridgeCall[];
+    assertCalled(method: string, params?: Record<string, any> | ((params: Record<string, any>) => boolean)): void;
+    assertCalledTimes(method: string, times: number): void;
+    assertNotCalled(method: string): void;
+    assertNothingCalled(): void;
+    assertDispatched(event: string, payload?: Record<string, any> | ((payload: Record<string, any>) => boolean)): void;
+    assertNothingDispatched(): void;
+
+    /** Forget recorded calls, dispatched events, stubs, emitters and cached device info */
+    reset(): this;
+    /** Put the real bridge transport back */
+    restore(): void;
+}
+
+/**
+ * Replace the native bridge with an in-memory fake for unit tests (Node or jsdom)
+ *
+ * @example
+ * const fake = createFakeBridge();
+ * fake.stub('SecureStorage.Get', { value: 'abc' });
+ *
+ * await secureStorage.get('token');
+ * fake.assertCalled('SecureStorage.Get', { key: 'token' });
+ *
+ * fake.emit(Events.Scanner.CodeScanned, { data: 'ABC-123', format: 'qr' });
+ * fake.restore();
+ */
+declare function createFakeBridge(options?: FakeBridgeOptions): FakeBridge;
+
+// ============================================================================
+// Native Event Constants
+// ============================================================================
+
+/**
+ * Native event class name constants for type-safe event listening
+ * Use these instead of typing out full namespace strings
+ *
+ * @example
+ * import { on, Events } from '@nativephp/native';
+ *
+ * // Instead of: on('Native\\Mobile\\Events\\Alert\\ButtonPressed', handler)
+ * on(Events.Alert.ButtonPressed, handler);
+ */
+export const Events: NativeEventConstants & {
+    /**
+     * Iterate over native events as they arrive
+     *
+     * @example
+     * for await (const scan of Events.stream(Events.Scanner.CodeScanned)) { ... }
+     */
+    stream<E extends NativeEventName>(eventName: E, options?: { signal?: AbortSignal | null }): AsyncIterableIterator<NativeEventPayloads[E]>;
+    stream(eventName: string, options?: { signal?: AbortSignal | null }): AsyncIterableIterator<any>;
+    /**
+     * Dispatch an event to your Laravel listeners (core, plugin or nativephp.dispatchable_events classes only)
+     *
+     * @example
+     * await Events.dispatch('App\\Events\\OrderPlaced', { orderId: 42 });
+     */
+    dispatch<E extends NativeEventName>(event: E, payload: NativeEventPayloads[E], options?: { signal?: AbortSignal | null }): Promise<void>;
+    dispatch(event: string, payload?: Record<string, any>, options?: { signal?: AbortSignal | null }): Promise<void>;
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+export {
+    bridgeCall,
+    bridge,
+    dialog,
+    biometric,
+    deviceVibrate,
+    flashlight,
+    getId,
+    getInfo,
+    getBatteryInfo,
+    getDeviceInfo,
+    refreshDeviceInfo,
+    getCachedDeviceInfo,
+    device,
+    isIos,
+    isAndroid,
+    isMobile,
+    isIosSync,
+    isAndroidSync,
+    isMobileSync,
+    system,
+    openBrowser,
+    openInApp,
+    openAuth,
+    browser,
+    scanner,
+    gallery,
+    pickImage,
+    pickImages,
+    pickVideo,
+    pickVideos,
+    pickMedia,
+    networkStatus,
+    network,
+    camera,
+    microphone,
+    geolocation,
+    pushNotifications,
+    mobileWalletIsAvailable,
+    mobileWalletCreatePaymentIntent,
+    mobileWalletPresentPaymentSheet,
+    mobileWalletConfirmPayment,
+    mobileWalletGetPaymentStatus,
+    mobileWalletFormatAmount,
+    mobileWallet,
+    shareFile,
+    shareUrl,
+    share,
+    secureStorageSet,
+    secureStorageGet,
+    secureStorageDelete,
+    secureStorageHas,
+    secureStorageSetJSON,
+    secureStorageGetJSON,
+    secureStorageSetMany,
+    secureStorageGetMany,
+    secureStorageKeys,
+    secureStorageClear,
+    secureStorage,
+    moveFile,
+    copyFile,
+    readFile,
+    writeFile,
+    appendFile,
+    deleteFile,
+    fileExists,
+    statFile,
+    listDirectory,
+    makeDirectory,
+    fileUrl,
+    revokeFileUrl,
+    fileBlob,
+    fileObject,
+    file,
+    startUpload,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    uploadStatus,
+    listUploads,
+    watchUpload,
+    upload,
+    setEdge,
+    setEdgeSync,
+    clearEdge,
+    clearEdgeSync,
+    refreshEdge,
+    edge,
+    on,
+    once,
+    off,
+    createFakeBridge,
+    PendingPushNotificationEnrollment
+};
+
+export as namespace NativePHP;
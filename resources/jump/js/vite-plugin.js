@@ -1,11 +1,14 @@
-import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
-import { networkInterfaces } from 'os';
 import { existsSync, unlinkSync } from 'fs';
 import path from 'path';
+import { axiosAdapterPlugin } from '../../js/axiosAdapterPlugin.js';
+import { detectPlatform, modeFromArgv } from '../../js/platform.js';
+import { describeHost, lanAddresses, resolveHost } from '../../js/lanAddresses.js';
+import { isHotFileStale } from '../../js/hotFile.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const hotFiles = {
+    ios: 'public/ios-hot',
+    android: 'public/android-hot',
+};
 
 /**
  * Get the platform-specific hot file path for Laravel Vite plugin.
@@ -15,139 +18,100 @@ const __dirname = dirname(__filename);
  *     input: ['resources/css/app.css', 'resources/js/app.js'],
  *     hotFile: nativephpHotFile(),
  * })
+ *
+ * The platform is taken from `{ platform }`, then NATIVEPHP_PLATFORM, then `--mode`.
  */
-export function nativephpHotFile() {
-    const isIos = process.argv.includes('--mode=ios');
-    const isAndroid = process.argv.includes('--mode=android');
-
-    if (isIos) {
-        return 'public/ios-hot';
-    }
-
-    if (isAndroid) {
-        return 'public/android-hot';
-    }
+export function nativephpHotFile({ platform } = {}) {
+    const detected = detectPlatform(platform, modeFromArgv(), 'nativephpHotFile()');
 
-    return 'public/hot';
+    return detected ? hotFiles[detected] : 'public/hot';
 }
 
-// Get the local IP address for HMR
-function getLocalIP() {
-    const nets = networkInterfaces();
-    for (const name of Object.keys(nets)) {
-        for (const net of nets[name]) {
-            // Skip over non-IPv4 and internal addresses
-            if (net.family === 'IPv4' && !net.internal) {
-                return net.address;
-            }
-        }
-    }
-    return 'localhost';
-}
+/**
+ * The platform comes from `{ platform }`, then NATIVEPHP_PLATFORM, then Vite's
+ * mode (`vite --mode ios`); anything else leaves the config untouched. The
+ * HMR host is `{ host }`, then NATIVEPHP_HMR_HOST, then the best LAN address.
+ * Builds only remove a stale hot file for their own platform.
+ */
+export function nativephpMobile({ platform, host } = {}) {
+    let detected = detectPlatform(platform, null, 'nativephpMobile()');
+    let isBuild = false;
+    let candidates = [];
+    let hmrHost = null;
+    let root = null;
+    let logger = null;
 
-export function nativephpMobile() {
-    const localIP = getLocalIP();
-    const isIos = process.argv.includes('--mode=ios');
-    const isAndroid = process.argv.includes('--mode=android');
-    const isBuild = process.argv.includes('build');
+    const mainPlugin = {
+        name: 'nativephp',
+        enforce: 'pre',
+        config(userConfig, { mode, command }) {
+            detected = detectPlatform(platform, mode, 'nativephpMobile()');
+            isBuild = command === 'build';
 
-    const config = {};
+            const config = {};
 
-    if (isIos) {
-        // Force the correct URL for iOS
-        process.env.APP_URL = 'php://127.0.0.1';
+            candidates = lanAddresses();
+            hmrHost = resolveHost(host, candidates);
 
-        // Set the base path for iOS builds (only in production)
-        if (isBuild) {
-            config.base = '/_assets/build/';
-        }
+            if (detected === 'ios') {
+                // Force the correct URL for iOS
+                process.env.APP_URL = 'php://127.0.0.1';
 
-        // Always prevent Vite from pre-bundling axios so our plugin can intercept it
-        config.optimizeDeps = {
-            exclude: ['axios']
-        };
-
-        config.server = {
-            host: localIP,
-            cors: {
-                origin: ['php://127.0.0.1'],
-            },
-        };
-
-        // Add plugins for iOS
-        config.plugins = [
-            // Intercept ALL axios imports and wrap with PHP adapter
-            {
-                name: 'axios-php-wrapper',
-                enforce: 'pre',
-                resolveId(id) {
-                    if (id === 'axios') {
-                        // Return a virtual module ID
-                        return '\0axios-with-php-adapter';
-                    }
-                    return null;
-                },
-                load(id) {
-                    if (id === '\0axios-with-php-adapter') {
-                        // Return code that imports real axios and applies the adapter
-                        const adapterPath = resolve(__dirname, 'phpProtocolAdapter.js');
-                        const axiosPath = path.resolve(process.cwd(), 'node_modules/axios/lib/axios.js');
-
-                        return `
-import axios from '${axiosPath}';
-import phpAdapter from '${adapterPath}';
-
-axios.defaults.adapter = phpAdapter;
-
-export default axios;
-`;
-                    }
-                    return null;
+                // Set the base path for iOS builds (only in production)
+                if (isBuild) {
+                    config.base = '/_assets/build/';
                 }
-            }
-        ];
-    }
 
-    if (isAndroid) {
-        process.env.APP_URL = 'http://127.0.0.1';
+                // Always prevent Vite from pre-bundling axios so our plugin can intercept it
+                config.optimizeDeps = {
+                    exclude: ['axios']
+                };
+
+                config.server = {
+                    host: hmrHost.address,
+                    cors: {
+                        origin: ['php://127.0.0.1'],
+                    },
+                };
+            }
 
-        config.server = {
-            host: localIP,
-            cors: {
-                origin: ['http://127.0.0.1'],
-            },
-        };
-    }
+            if (detected === 'android') {
+                process.env.APP_URL = 'http://127.0.0.1';
 
-    // Extract axios plugin for iOS
-    const axiosPlugin = config.plugins?.[0];
-    delete config.plugins;
+                config.server = {
+                    host: hmrHost.address,
+                    cors: {
+                        origin: ['http://127.0.0.1'],
+                    },
+                };
+            }
 
-    const mainPlugin = {
-        name: 'nativephp',
-        enforce: 'pre',
-        config() {
             return config;
         },
-        closeBundle() {
-            if (!isBuild) {
+        configResolved(resolvedConfig) {
+            root = resolvedConfig.root;
+            logger = resolvedConfig.logger;
+        },
+        configureServer(server) {
+            if (detected) {
+                server.httpServer?.once('listening', () => server.config.logger.info(describeHost(hmrHost, candidates)));
+            }
+        },
+        async closeBundle() {
+            if (!isBuild || !detected) {
                 return;
             }
 
-            const hotFiles = ['public/ios-hot', 'public/android-hot', 'public/hot'];
-            for (const hotFile of hotFiles) {
-                const hotFilePath = path.resolve(process.cwd(), hotFile);
-                if (existsSync(hotFilePath)) {
-                    unlinkSync(hotFilePath);
-                }
+            // Only this platform's hot file is ours to judge; a live one belongs to a dev server still in use
+            const hotFile = path.resolve(root, hotFiles[detected]);
+
+            if (existsSync(hotFile) && await isHotFileStale(hotFile)) {
+                unlinkSync(hotFile);
+                logger.info(`  NativePHP  Removed stale ${hotFiles[detected]}`);
             }
         }
     };
 
-    // Return array with axios wrapper only for iOS
-    if (isIos) {
-        return [mainPlugin, axiosPlugin];
-    }
-
-    return mainPlugin;
+    // The axios wrapper is only needed for iOS
+    return [mainPlugin, axiosAdapterPlugin({ enabled: () => detected === 'ios' })];
 }
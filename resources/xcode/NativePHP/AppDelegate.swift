@@ -108,6 +108,15 @@ class AppDelegate: NSObject, UIApplicationDelegate {
         return true
     }
 
+    // Called when iOS relaunches the app to deliver background upload results
+    func application(
+        _ application: UIApplication,
+        handleEventsForBackgroundURLSession identifier: String,
+        completionHandler: @escaping () -> Void
+    ) {
+        UploadManager.shared.backgroundCompletionHandler = completionHandler
+    }
+
     // Handle remote notifications (data-only messages, silent push)
     func application(
         _ application: UIApplication,
@@ -7,6 +7,17 @@ func registerBridgeFunctions() {
 
     registry.register("Edge.Set", function: EdgeFunctions.Set())
 
+    registry.register("Upload.Start", function: UploadFunctions.Start())
+    registry.register("Upload.Pause", function: UploadFunctions.Pause())
+    registry.register("Upload.Resume", function: UploadFunctions.Resume())
+    registry.register("Upload.Cancel", function: UploadFunctions.Cancel())
+    registry.register("Upload.Status", function: UploadFunctions.Status())
+    registry.register("Upload.List", function: UploadFunctions.List())
+
+    // Reconnect to the background upload session so transfers that finished
+    // while the app wasn't running report back
+    _ = UploadManager.shared
+
     // Register plugin bridge functions
     registerPluginBridgeFunctions()
 }
@@ -0,0 +1,92 @@
+import Foundation
+
+// MARK: - Upload Function Namespace
+
+/// Background uploads that keep going while the app is suspended
+/// Namespace: "Upload.*"
+///
+/// Every function returns the upload: id, path, url, mode, status, bytesSent,
+/// totalBytes, progress, statusCode, response and error.
+enum UploadFunctions {
+
+    // MARK: - Upload.Start
+
+    /// Start uploading a file
+    /// Parameters:
+    ///   - path: string - Device path of the file
+    ///   - url: string - http(s) URL to upload to
+    ///   - method: string - HTTP method (default: POST)
+    ///   - headers: object - Extra request headers
+    ///   - fields: object - Extra form fields (multipart mode)
+    ///   - fileField: string - Form field name of the file (multipart mode, default: file)
+    ///   - mode: string - "multipart" (default) or "chunked"
+    ///   - chunkSize: int - Bytes per request in chunked mode (default: 5 MB)
+    ///   - id: string - Optional id to use instead of a generated one
+    class Start: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return try UploadManager.shared.start(parameters)
+        }
+    }
+
+    // MARK: - Upload.Pause
+
+    /// Stop an upload without forgetting it
+    /// Parameters:
+    ///   - id: string - The upload id
+    class Pause: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return try UploadManager.shared.pause(try uploadId(parameters))
+        }
+    }
+
+    // MARK: - Upload.Resume
+
+    /// Continue a paused or failed upload. Chunked uploads continue from the last
+    /// acknowledged chunk, multipart uploads start over.
+    /// Parameters:
+    ///   - id: string - The upload id
+    class Resume: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return try UploadManager.shared.resume(try uploadId(parameters))
+        }
+    }
+
+    // MARK: - Upload.Cancel
+
+    /// Cancel an upload for good
+    /// Parameters:
+    ///   - id: string - The upload id
+    class Cancel: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return try UploadManager.shared.cancel(try uploadId(parameters))
+        }
+    }
+
+    // MARK: - Upload.Status
+
+    /// Get the current state of an upload
+    /// Parameters:
+    ///   - id: string - The upload id
+    class Status: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return try UploadManager.shared.status(try uploadId(parameters))
+        }
+    }
+
+    // MARK: - Upload.List
+
+    /// List every known upload, oldest first
+    class List: BridgeFunction {
+        func execute(parameters: [String: Any]) throws -> [String: Any] {
+            return ["uploads": UploadManager.shared.list()]
+        }
+    }
+
+    private static func uploadId(_ parameters: [String: Any]) throws -> String {
+        guard let id = parameters["id"] as? String, !id.isEmpty else {
+            throw BridgeError.invalidParameters("id is required")
+        }
+
+        return id
+    }
+}
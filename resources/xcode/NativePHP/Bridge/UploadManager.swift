@@ -0,0 +1,529 @@
+import Foundation
+
+// MARK: - Upload Record
+
+/// A background upload, persisted so it outlives the app process
+struct UploadRecord: Codable {
+    var id: String
+    var path: String
+    var url: String
+    var method: String
+    var headers: [String: String]
+    var fields: [String: String]
+    var fileField: String
+    /// "multipart" sends one multipart/form-data request, "chunked" sends
+    /// chunkSize-byte requests with a Content-Range header and can resume mid-file
+    var mode: String
+    var chunkSize: Int64
+    /// queued, uploading, paused, completed, failed or cancelled
+    var status: String
+    var bytesSent: Int64
+    var totalBytes: Int64
+    var statusCode: Int?
+    var response: String?
+    var error: String?
+    var retries: Int
+    var updatedAt: Double
+
+    var isActive: Bool {
+        status == "queued" || status == "uploading"
+    }
+
+    var dictionary: [String: Any] {
+        return [
+            "id": id,
+            "path": path,
+            "url": url,
+            "mode": mode,
+            "status": status,
+            "bytesSent": bytesSent,
+            "totalBytes": totalBytes,
+            "progress": totalBytes > 0 ? Double(bytesSent) / Double(totalBytes) : 0,
+            "statusCode": statusCode as Any? ?? NSNull(),
+            "response": response as Any? ?? NSNull(),
+            "error": error as Any? ?? NSNull()
+        ]
+    }
+}
+
+// MARK: - Upload Manager
+
+/// Runs uploads on a background URLSession, so iOS keeps transferring while the
+/// app is suspended and relaunches it to deliver the results.
+///
+/// Progress and results are sent to the app as Native\Mobile\Events\Upload\* events.
+/// Events that happen while no WebView is listening are not replayed - the app
+/// can read the latest state with Upload.Status / Upload.List.
+final class UploadManager: NSObject, URLSessionDataDelegate {
+    static let shared = UploadManager()
+
+    static let progressedEvent = "Native\\Mobile\\Events\\Upload\\Progressed"
+    static let completedEvent = "Native\\Mobile\\Events\\Upload\\Completed"
+    static let failedEvent = "Native\\Mobile\\Events\\Upload\\Failed"
+
+    private static let maxRetries = 3
+    private static let progressInterval: TimeInterval = 0.5
+    private static let finishedRecordLifetime: TimeInterval = 7 * 24 * 60 * 60
+
+    /// Handed over by AppDelegate when iOS relaunches the app for upload events
+    var backgroundCompletionHandler: (() -> Void)?
+
+    private let queue = DispatchQueue(label: "com.nativephp.uploads")
+    private var records: [String: UploadRecord] = [:]
+    private var responses: [Int: Data] = [:]
+    private var lastProgress: [String: Date] = [:]
+    private var session: URLSession!
+
+    private let storeURL: URL = {
+        let support = FileManager.default.urls(for: .applicationSupportDirectory, in: .userDomainMask)[0]
+        try? FileManager.default.createDirectory(at: support, withIntermediateDirectories: true)
+        return support.appendingPathComponent("nativephp-uploads.json")
+    }()
+
+    private let bodyDirectory: URL = {
+        let directory = FileManager.default.temporaryDirectory.appendingPathComponent("nativephp-uploads", isDirectory: true)
+        try? FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+        return directory
+    }()
+
+    private override init() {
+        super.init()
+
+        let identifier = (Bundle.main.bundleIdentifier ?? "com.nativephp") + ".uploads"
+        let configuration = URLSessionConfiguration.background(withIdentifier: identifier)
+        configuration.sessionSendsLaunchEvents = true
+        configuration.isDiscretionary = false
+
+        load()
+        session = URLSession(configuration: configuration, delegate: self, delegateQueue: nil)
+        reconcile()
+    }
+
+    // MARK: Public API
+
+    func start(_ parameters: [String: Any]) throws -> [String: Any] {
+        guard let path = parameters["path"] as? String, !path.isEmpty else {
+            throw BridgeError.invalidParameters("path is required")
+        }
+
+        guard let urlString = parameters["url"] as? String,
+              let url = URL(string: urlString),
+              url.scheme == "https" || url.scheme == "http" else {
+            throw BridgeError.invalidParameters("url must be an http(s) URL")
+        }
+
+        let filePath = path.hasPrefix("file://") ? (URL(string: path)?.path ?? path) : path
+
+        guard let size = (try? FileManager.default.attributesOfItem(atPath: filePath))?[.size] as? NSNumber else {
+            throw BridgeError.invalidParameters("No file at \(path)")
+        }
+
+        let mode = parameters["mode"] as? String ?? "multipart"
+
+        guard mode == "multipart" || mode == "chunked" else {
+            throw BridgeError.invalidParameters("mode must be 'multipart' or 'chunked'")
+        }
+
+        if mode == "chunked" && size.int64Value == 0 {
+            throw BridgeError.invalidParameters("Chunked uploads need a non-empty file")
+        }
+
+        let id = parameters["id"] as? String ?? UUID().uuidString
+        let record = UploadRecord(
+            id: id,
+            path: filePath,
+            url: url.absoluteString,
+            method: (parameters["method"] as? String ?? "POST").uppercased(),
+            headers: stringDictionary(parameters["headers"]),
+            fields: stringDictionary(parameters["fields"]),
+            fileField: parameters["fileField"] as? String ?? "file",
+            mode: mode,
+            chunkSize: max(256 * 1024, (parameters["chunkSize"] as? NSNumber)?.int64Value ?? 5 * 1024 * 1024),
+            status: "queued",
+            bytesSent: 0,
+            totalBytes: size.int64Value,
+            statusCode: nil,
+            response: nil,
+            error: nil,
+            retries: 0,
+            updatedAt: Date().timeIntervalSince1970
+        )
+
+        try queue.sync {
+            if records[id]?.isActive == true {
+                throw BridgeError.invalidParameters("Upload '\(id)' is already running")
+            }
+
+            save(record)
+        }
+
+        // Building a multipart body copies the file, so never do it on the caller's thread
+        queue.async { self.send(id) }
+
+        return record.dictionary
+    }
+
+    func pause(_ id: String) throws -> [String: Any] {
+        let record: UploadRecord = try queue.sync {
+            var record = try find(id)
+
+            if record.isActive {
+                record.status = "paused"
+                save(record)
+            }
+
+            return record
+        }
+
+        cancelTasks(for: id)
+
+        return record.dictionary
+    }
+
+    func resume(_ id: String) throws -> [String: Any] {
+        let record: UploadRecord = try queue.sync {
+            var record = try find(id)
+
+            guard record.status == "paused" || record.status == "failed" else {
+                return record
+            }
+
+            // A multipart request can't continue half way, only chunked uploads pick up where they stopped
+            if record.mode == "multipart" {
+                record.bytesSent = 0
+            }
+
+            record.status = "queued"
+            record.error = nil
+            record.retries = 0
+            save(record)
+
+            return record
+        }
+
+        queue.async { self.send(id) }
+
+        return record.dictionary
+    }
+
+    func cancel(_ id: String) throws -> [String: Any] {
+        let record: UploadRecord = try queue.sync {
+            var record = try find(id)
+
+            if record.status != "completed" {
+                record.status = "cancelled"
+                save(record)
+            }
+
+            return record
+        }
+
+        cancelTasks(for: id)
+
+        return record.dictionary
+    }
+
+    func status(_ id: String) throws -> [String: Any] {
+        return try queue.sync { try find(id).dictionary }
+    }
+
+    func list() -> [[String: Any]] {
+        return queue.sync {
+            records.values.sorted { $0.updatedAt < $1.updatedAt }.map { $0.dictionary }
+        }
+    }
+
+    // MARK: Sending
+
+    /// Create the request and body file for the next part of an upload and hand it to the session.
+    /// Must run on `queue`.
+    private func send(_ id: String) {
+        guard var record = records[id], record.isActive else {
+            return
+        }
+
+        do {
+            var request = URLRequest(url: URL(string: record.url)!)
+            request.httpMethod = record.method
+            record.headers.forEach { request.setValue($0.value, forHTTPHeaderField: $0.key) }
+
+            // Background sessions can only upload from a file
+            let body = bodyDirectory.appendingPathComponent("\(id)-\(UUID().uuidString).body")
+            FileManager.default.createFile(atPath: body.path, contents: nil)
+
+            try writeBody(for: record, to: body, request: &request)
+
+            let task = session.uploadTask(with: request, fromFile: body)
+            task.taskDescription = "\(id)|\(body.lastPathComponent)"
+
+            record.status = "uploading"
+            save(record)
+
+            task.resume()
+        } catch {
+            fail(record, error: error.localizedDescription, resumable: true)
+        }
+    }
+
+    private func writeBody(for record: UploadRecord, to body: URL, request: inout URLRequest) throws {
+        let output = try FileHandle(forWritingTo: body)
+        defer { try? output.close() }
+
+        if record.mode == "chunked" {
+            let length = min(record.chunkSize, record.totalBytes - record.bytesSent)
+
+            try copy(record.path, from: record.bytesSent, length: length, to: output)
+
+            request.setValue("application/octet-stream", forHTTPHeaderField: "Content-Type")
+            request.setValue("bytes \(record.bytesSent)-\(record.bytesSent + length - 1)/\(record.totalBytes)", forHTTPHeaderField: "Content-Range")
+            request.setValue(record.id, forHTTPHeaderField: "X-Upload-Id")
+        } else {
+            let boundary = "NativePHP-\(UUID().uuidString)"
+            let filename = (record.path as NSString).lastPathComponent
+            var preamble = ""
+
+            for (name, value) in record.fields {
+                preamble += "--\(boundary)\r\nContent-Disposition: form-data; name=\"\(name)\"\r\n\r\n\(value)\r\n"
+            }
+
+            preamble += "--\(boundary)\r\nContent-Disposition: form-data; name=\"\(record.fileField)\"; filename=\"\(filename)\"\r\n"
+            preamble += "Content-Type: application/octet-stream\r\n\r\n"
+
+            output.write(preamble.data(using: .utf8)!)
+            try copy(record.path, from: 0, length: record.totalBytes, to: output)
+            output.write("\r\n--\(boundary)--\r\n".data(using: .utf8)!)
+
+            request.setValue("multipart/form-data; boundary=\(boundary)", forHTTPHeaderField: "Content-Type")
+        }
+    }
+
+    private func copy(_ path: String, from offset: Int64, length: Int64, to output: FileHandle) throws {
+        let input = try FileHandle(forReadingFrom: URL(fileURLWithPath: path))
+        defer { try? input.close() }
+
+        try input.seek(toOffset: UInt64(offset))
+
+        var remaining = length
+
+        while remaining > 0 {
+            let data = input.readData(ofLength: Int(min(remaining, 1024 * 1024)))
+
+            if data.isEmpty {
+                throw BridgeError.executionFailed("\(path) changed while it was being uploaded")
+            }
+
+            output.write(data)
+            remaining -= Int64(data.count)
+        }
+    }
+
+    private func cancelTasks(for id: String) {
+        session.getAllTasks { tasks in
+            tasks.filter { self.uploadId(of: $0) == id }.forEach { $0.cancel() }
+        }
+    }
+
+    // MARK: URLSessionDataDelegate
+
+    func urlSession(
+        _ session: URLSession,
+        task: URLSessionTask,
+        didSendBodyData bytesSent: Int64,
+        totalBytesSent: Int64,
+        totalBytesExpectedToSend: Int64
+    ) {
+        guard let id = uploadId(of: task) else { return }
+
+        queue.async {
+            guard let record = self.records[id], record.status == "uploading" else { return }
+
+            let sent = record.mode == "chunked"
+                ? record.bytesSent + totalBytesSent
+                : record.totalBytes * totalBytesSent / max(totalBytesExpectedToSend, 1)
+
+            self.emitProgress(record, sent: min(sent, record.totalBytes), force: false)
+        }
+    }
+
+    func urlSession(_ session: URLSession, dataTask: URLSessionDataTask, didReceive data: Data) {
+        queue.async {
+            self.responses[dataTask.taskIdentifier, default: Data()].append(data)
+        }
+    }
+
+    func urlSession(_ session: URLSession, task: URLSessionTask, didCompleteWithError error: Error?) {
+        guard let id = uploadId(of: task) else { return }
+
+        queue.async {
+            let data = self.responses.removeValue(forKey: task.taskIdentifier)
+            let body = data.flatMap { String(data: $0, encoding: .utf8) }
+
+            if let bodyFile = task.taskDescription?.split(separator: "|").last {
+                try? FileManager.default.removeItem(at: self.bodyDirectory.appendingPathComponent(String(bodyFile)))
+            }
+
+            // Paused and cancelled uploads end with a cancelled task, which is expected
+            guard var record = self.records[id], record.status == "uploading" else { return }
+
+            if let error = error {
+                if record.retries < UploadManager.maxRetries {
+                    record.retries += 1
+                    self.save(record)
+                    self.send(id)
+                } else {
+                    self.fail(record, error: error.localizedDescription, resumable: true)
+                }
+
+                return
+            }
+
+            let statusCode = (task.response as? HTTPURLResponse)?.statusCode ?? 0
+            record.statusCode = statusCode
+            record.retries = 0
+
+            // 308 is how resumable upload servers acknowledge a chunk that isn't the last
+            guard (200..<300).contains(statusCode) || (record.mode == "chunked" && statusCode == 308) else {
+                record.response = body
+                self.fail(
+                    record,
+                    error: "Server responded with HTTP \(statusCode)",
+                    resumable: statusCode >= 500 || statusCode == 408 || statusCode == 429
+                )
+
+                return
+            }
+
+            record.bytesSent = record.mode == "chunked"
+                ? min(record.totalBytes, record.bytesSent + record.chunkSize)
+                : record.totalBytes
+
+            if record.bytesSent < record.totalBytes {
+                self.save(record)
+                self.emitProgress(record, sent: record.bytesSent, force: true)
+                self.send(id)
+
+                return
+            }
+
+            record.status = "completed"
+            record.response = body
+            self.save(record)
+
+            self.emitProgress(record, sent: record.totalBytes, force: true)
+            self.emit(UploadManager.completedEvent, [
+                "id": id,
+                "statusCode": statusCode,
+                "body": body as Any? ?? NSNull()
+            ])
+        }
+    }
+
+    func urlSessionDidFinishEvents(forBackgroundURLSession session: URLSession) {
+        DispatchQueue.main.async {
+            self.backgroundCompletionHandler?()
+            self.backgroundCompletionHandler = nil
+        }
+    }
+
+    // MARK: Events
+
+    private func emitProgress(_ record: UploadRecord, sent: Int64, force: Bool) {
+        let now = Date()
+
+        if !force, let last = lastProgress[record.id], now.timeIntervalSince(last) < UploadManager.progressInterval {
+            return
+        }
+
+        lastProgress[record.id] = now
+
+        emit(UploadManager.progressedEvent, [
+            "id": record.id,
+            "bytesSent": sent,
+            "totalBytes": record.totalBytes,
+            "progress": record.totalBytes > 0 ? Double(sent) / Double(record.totalBytes) : 1
+        ])
+    }
+
+    private func fail(_ record: UploadRecord, error: String, resumable: Bool) {
+        var record = record
+        record.status = "failed"
+        record.error = error
+        save(record)
+
+        emit(UploadManager.failedEvent, [
+            "id": record.id,
+            "error": error,
+            "resumable": resumable,
+            "statusCode": record.statusCode as Any? ?? NSNull()
+        ])
+    }
+
+    private func emit(_ event: String, _ payload: [String: Any?]) {
+        LaravelBridge.shared.send?(event, payload)
+    }
+
+    // MARK: Persistence
+
+    private func find(_ id: String) throws -> UploadRecord {
+        guard let record = records[id] else {
+            throw BridgeError.invalidParameters("No upload with id '\(id)'")
+        }
+
+        return record
+    }
+
+    /// Must run on `queue` (or before the session exists)
+    private func save(_ record: UploadRecord) {
+        var record = record
+        record.updatedAt = Date().timeIntervalSince1970
+        records[record.id] = record
+
+        if let data = try? JSONEncoder().encode(Array(records.values)) {
+            try? data.write(to: storeURL, options: .atomic)
+        }
+    }
+
+    private func load() {
+        guard let data = try? Data(contentsOf: storeURL),
+              let stored = try? JSONDecoder().decode([UploadRecord].self, from: data) else {
+            return
+        }
+
+        let cutoff = Date().timeIntervalSince1970 - UploadManager.finishedRecordLifetime
+
+        for record in stored where record.isActive || record.status == "paused" || record.status == "failed" || record.updatedAt > cutoff {
+            records[record.id] = record
+        }
+    }
+
+    /// Restart uploads whose task didn't survive, e.g. because the user force-quit the app
+    private func reconcile() {
+        session.getAllTasks { tasks in
+            let running = Set(tasks.compactMap { self.uploadId(of: $0) })
+
+            self.queue.async {
+                for record in self.records.values where record.isActive && !running.contains(record.id) {
+                    var record = record
+                    record.status = "queued"
+
+                    if record.mode == "multipart" {
+                        record.bytesSent = 0
+                    }
+
+                    self.save(record)
+                    self.send(record.id)
+                }
+            }
+        }
+    }
+
+    private func uploadId(of task: URLSessionTask) -> String? {
+        return task.taskDescription?.split(separator: "|").first.map(String.init)
+    }
+
+    private func stringDictionary(_ value: Any?) -> [String: String] {
+        guard let dictionary = value as? [String: Any] else { return [:] }
+
+        return dictionary.mapValues { "\($0)" }
+    }
+}
@@ -2,7 +2,11 @@
 
 use Illuminate\Support\Facades\Route;
 use Native\Mobile\Http\Controllers\DispatchEventFromAppController;
+use Native\Mobile\Http\Controllers\NativeBatchCallController;
 use Native\Mobile\Http\Controllers\NativeCallController;
+use Native\Mobile\Http\Controllers\NativeFileController;
 
 Route::post('_native/api/events', DispatchEventFromAppController::class);
 Route::post('_native/api/call', NativeCallController::class);
+Route::post('_native/api/batch', NativeBatchCallController::class);
+Route::get('_native/api/file/{token}', NativeFileController::class);
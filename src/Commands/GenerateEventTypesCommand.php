@@ -0,0 +1,369 @@
+<?php
+
+namespace Native\Mobile\Commands;
+
+use Illuminate\Console\Command;
+use Illuminate\Filesystem\Filesystem;
+use Illuminate\Support\Str;
+use Native\Mobile\Plugins\Plugin;
+use Native\Mobile\Plugins\PluginRegistry;
+use ReflectionClass;
+use ReflectionNamedType;
+use ReflectionType;
+use ReflectionUnionType;
+
+/**
+ * Generates the JavaScript `Events` constants and TypeScript payload types
+ * from the constructor signatures of the native event classes.
+ *
+ * With --core it rewrites the generated region of the bridge library source
+ * (resources/js/bridge) and its builds with the core events from src/Events. Without it, it writes
+ * the events declared by installed plugins into the app, augmenting the
+ * bridge library's NativeEventPayloads interface.
+ */
+class GenerateEventTypesCommand extends Command
+{
+    public const START_MARKER = '// @generated:events start';
+
+    public const END_MARKER = '// @generated:events end';
+
+    protected $signature = 'native:events:generate
+                            {--core : Regenerate the core Events constants inside this package\'s bridge libraries}
+                            {--output=resources/js/native-events : Path, without extension, of the generated plugin events files}
+                            {--module=#nativephp : Module specifier your app imports the bridge library from}';
+
+    protected $description = 'Generate JavaScript event constants and TypeScript payload types from event classes';
+
+    public function __construct(
+        protected Filesystem $files,
+        protected PluginRegistry $registry
+    ) {
+        parent::__construct();
+    }
+
+    public function handle(): int
+    {
+        if ($this->option('core')) {
+            return $this->generateCoreEvents();
+        }
+
+        return $this->generatePluginEvents();
+    }
+
+    protected function generateCoreEvents(): int
+    {
+        $events = $this->coreEvents();
+        $resources = dirname(__DIR__, 2).'/resources';
+
+        $js = $this->renderJsRegion($events);
+        $ts = $this->renderTsRegion($events);
+
+        // The authored source and every build of it, so the tree stays consistent without a rebuild
+        $targets = [
+            'js/bridge/native.js' => $js,
+            'js/bridge/native.d.ts' => $ts,
+        ];
+
+        foreach (['dist', 'jump/dist'] as $dist) {
+            $targets += [
+                "{$dist}/native.js" => $js,
+                "{$dist}/native.cjs" => $js,
+                "{$dist}/native.umd.js" => $js,
+                "{$dist}/native.d.ts" => $ts,
+                "{$dist}/native.d.cts" => $ts,
+            ];
+        }
+
+        foreach ($targets as $file => $region) {
+            if (! $this->replaceRegion($resources.'/'.$file, $region)) {
+                $this->components->error("Could not find the generated events region in {$file}");
+
+                return self::FAILURE;
+            }
+
+            $this->components->twoColumnDetail($file, '<fg=green>updated</>');
+        }
+
+        $this->components->info('Generated '.count($events).' core events.');
+
+        return self::SUCCESS;
+    }
+
+    protected function generatePluginEvents(): int
+    {
+        $events = $this->pluginEvents();
+        $output = base_path($this->option('output'));
+
+        $this->files->ensureDirectoryExists(dirname($output));
+        $this->files->put($output.'.js', $this->renderPluginJs($events));
+        $this->files->put($output.'.d.ts', $this->renderPluginTs($events, $this->option('module')));
+
+        $this->components->info('Generated '.count($events).' plugin events in '.$this->option('output').'.js');
+
+        return self::SUCCESS;
+    }
+
+    /**
+     * Every event class in this package's src/Events directory.
+     *
+     * @return array<int, array{group: string, name: string, class: string}>
+     */
+    protected function coreEvents(): array
+    {
+        $events = [];
+
+        foreach ($this->files->allFiles(dirname(__DIR__).'/Events') as $file) {
+            if ($file->getExtension() !== 'php') {
+                continue;
+            }
+
+            $relative = str_replace(['/', '.php'], ['\\', ''], $file->getRelativePathname());
+
+            $events[] = [
+                'group' => Str::before($relative, '\\'),
+                'name' => class_basename($relative),
+                'class' => 'Native\\Mobile\\Events\\'.$relative,
+            ];
+        }
+
+        return $this->sortEvents($events);
+    }
+
+    /**
+     * Every event declared in the manifests of the registered plugins.
+     *
+     * @return array<int, array{group: string, name: string, class: string}>
+     */
+    protected function pluginEvents(): array
+    {
+        $events = [];
+
+        /** @var Plugin $plugin */
+        foreach ($this->registry->all() as $plugin) {
+            foreach ($plugin->getEvents() as $class) {
+                $class = ltrim($class, '\\');
+
+                $events[] = [
+                    'group' => $plugin->getNamespace(),
+                    'name' => class_basename($class),
+                    'class' => $class,
+                ];
+            }
+        }
+
+        return $this->sortEvents($events);
+    }
+
+    protected function sortEvents(array $events): array
+    {
+        usort($events, fn ($a, $b) => [$a['group'], $a['name']] <=> [$b['group'], $b['name']]);
+
+        return $events;
+    }
+
+    protected function renderJsRegion(array $events): string
+    {
+        return implode("\n", [
+            self::START_MARKER,
+            'const Events = {',
+            ...$this->renderConstants($events, fn ($class) => "'{$this->escape($class)}',"),
+            '};',
+            self::END_MARKER,
+        ]);
+    }
+
+    protected function renderTsRegion(array $events): string
+    {
+        return implode("\n", [
+            self::START_MARKER,
+            ...$this->renderPayloadInterfaces($events),
+            'export interface NativeEventPayloads {',
+            ...$this->renderPayloadMap($events, '    '),
+            '}',
+            '',
+            'export interface NativeEventConstants {',
+            ...$this->renderConstants($events, fn ($class) => "'{$this->escape($class)}';", ';'),
+            '}',
+            self::END_MARKER,
+        ]);
+    }
+
+    protected function renderPluginJs(array $events): string
+    {
+        return implode("\n", [
+            '// Generated by `php artisan native:events:generate` - do not edit.',
+            '',
+            'export const PluginEvents = {',
+            ...$this->renderConstants($events, fn ($class) => "'{$this->escape($class)}',"),
+            '};',
+            '',
+        ]);
+    }
+
+    protected function renderPluginTs(array $events, string $module): string
+    {
+        return implode("\n", [
+            '// Generated by `php artisan native:events:generate` - do not edit.',
+            '',
+            ...$this->renderPayloadInterfaces($events),
+            'export const PluginEvents: {',
+            ...$this->renderConstants($events, fn ($class) => "'{$this->escape($class)}';", ';'),
+            '};',
+            '',
+            "declare module '{$module}' {",
+            '    interface NativeEventPayloads {',
+            ...$this->renderPayloadMap($events, '        '),
+            '    }',
+            '}',
+            '',
+        ]);
+    }
+
+    /**
+     * Render the nested { Group: { Name: value } } body shared by the JS object and TS types.
+     */
+    protected function renderConstants(array $events, callable $value, string $groupTerminator = ','): array
+    {
+        $lines = [];
+
+        foreach (collect($events)->groupBy('group') as $group => $groupEvents) {
+            $lines[] = "    {$group}: {";
+
+            foreach ($groupEvents as $event) {
+                $lines[] = "        {$event['name']}: ".$value($event['class']);
+            }
+
+            $lines[] = '    }'.$groupTerminator;
+        }
+
+        return $lines;
+    }
+
+    protected function renderPayloadInterfaces(array $events): array
+    {
+        $lines = [];
+
+        foreach ($events as $event) {
+            $interface = $this->payloadInterface($event);
+            $properties = $this->payloadProperties($event['class']);
+
+            if ($properties === null) {
+                $lines[] = "export type {$interface} = Record<string, any>;";
+                $lines[] = '';
+
+                continue;
+            }
+
+            $lines[] = "export interface {$interface} {";
+
+            foreach ($properties as $name => [$type, $optional]) {
+                $lines[] = '    '.$name.($optional ? '?' : '').": {$type};";
+            }
+
+            $lines[] = '}';
+            $lines[] = '';
+        }
+
+        return $lines;
+    }
+
+    protected function renderPayloadMap(array $events, string $indent): array
+    {
+        return array_map(
+            fn ($event) => "{$indent}'{$this->escape($event['class'])}': {$this->payloadInterface($event)};",
+            $events
+        );
+    }
+
+    /**
+     * Payload interface name, e.g. CameraPhotoTakenPayload or ScannerCancelledPayload.
+     */
+    protected function payloadInterface(array $event): string
+    {
+        $name = Str::startsWith($event['name'], $event['group'])
+            ? $event['name']
+            : $event['group'].$event['name'];
+
+        return $name.'Payload';
+    }
+
+    /**
+     * The payload properties of an event, derived from its constructor.
+     *
+     * @return array<string, array{0: string, 1: bool}>|null Null when the class can't be loaded
+     */
+    protected function payloadProperties(string $class): ?array
+    {
+        if (! class_exists($class)) {
+            return null;
+        }
+
+        $constructor = (new ReflectionClass($class))->getConstructor();
+        $properties = [];
+
+        foreach ($constructor?->getParameters() ?? [] as $parameter) {
+            $properties[$parameter->getName()] = [
+                $this->typescriptType($parameter->getType()),
+                $parameter->isOptional(),
+            ];
+        }
+
+        return $properties;
+    }
+
+    protected function typescriptType(?ReflectionType $type): string
+    {
+        if ($type instanceof ReflectionUnionType) {
+            return collect($type->getTypes())
+                ->map(fn ($type) => $this->typescriptType($type))
+                ->unique()
+                ->implode(' | ');
+        }
+
+        if (! $type instanceof ReflectionNamedType) {
+            return 'any';
+        }
+
+        $mapped = match ($type->getName()) {
+            'string' => 'string',
+            'int', 'float' => 'number',
+            'bool', 'true', 'false' => 'boolean',
+            'array' => 'any[] | Record<string, any>',
+            'null' => 'null',
+            default => 'any',
+        };
+
+        if ($type->allowsNull() && ! in_array($mapped, ['any', 'null'])) {
+            $mapped .= ' | null';
+        }
+
+        return $mapped;
+    }
+
+    protected function replaceRegion(string $path, string $region): bool
+    {
+        $contents = $this->files->get($path);
+
+        $start = strpos($contents, self::START_MARKER);
+        $end = strpos($contents, self::END_MARKER);
+
+        if ($start === false || $end === false || $end < $start) {
+            return false;
+        }
+
+        $this->files->put(
+            $path,
+            substr($contents, 0, $start).$region.substr($contents, $end + strlen(self::END_MARKER))
+        );
+
+        return true;
+    }
+
+    /**
+     * Escape a class name for use inside a single-quoted JS/TS string.
+     */
+    protected function escape(string $class): string
+    {
+        return str_replace('\\', '\\\\', $class);
+    }
+}
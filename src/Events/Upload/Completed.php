@@ -0,0 +1,26 @@
+<?php
+
+namespace Native\Mobile\Events\Upload;
+
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Background upload completed event
+ *
+ * Dispatched from native code once the server has accepted the whole file.
+ * Listen with #[On('native:Native\Mobile\Events\Upload\Completed')]
+ */
+class Completed
+{
+    use Dispatchable, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     */
+    public function __construct(
+        public string $id,
+        public int $statusCode,
+        public ?string $body = null
+    ) {}
+}
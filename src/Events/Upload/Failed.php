@@ -0,0 +1,28 @@
+<?php
+
+namespace Native\Mobile\Events\Upload;
+
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Background upload failed event
+ *
+ * Dispatched from native code once an upload has run out of retries or the server
+ * rejected it. When $resumable is true, Upload::resume() can try again.
+ * Listen with #[On('native:Native\Mobile\Events\Upload\Failed')]
+ */
+class Failed
+{
+    use Dispatchable, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     */
+    public function __construct(
+        public string $id,
+        public string $error,
+        public bool $resumable = true,
+        public ?int $statusCode = null
+    ) {}
+}
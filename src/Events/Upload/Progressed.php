@@ -0,0 +1,27 @@
+<?php
+
+namespace Native\Mobile\Events\Upload;
+
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Background upload progress event
+ *
+ * Dispatched from native code at most twice a second while an upload is sending.
+ * Listen with #[On('native:Native\Mobile\Events\Upload\Progressed')]
+ */
+class Progressed
+{
+    use Dispatchable, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     */
+    public function __construct(
+        public string $id,
+        public int $bytesSent,
+        public int $totalBytes,
+        public float $progress
+    ) {}
+}
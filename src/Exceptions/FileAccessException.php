@@ -0,0 +1,62 @@
+<?php
+
+namespace Native\Mobile\Exceptions;
+
+use RuntimeException;
+
+class FileAccessException extends RuntimeException
+{
+    protected string $errorCode;
+
+    protected int $status;
+
+    public function __construct(string $message, string $errorCode, int $status = 400)
+    {
+        $this->errorCode = $errorCode;
+        $this->status = $status;
+
+        parent::__construct($message);
+    }
+
+    public static function outsideSandbox(string $path): self
+    {
+        return new self("Path '{$path}' is outside the app's file roots", 'PATH_NOT_ALLOWED', 403);
+    }
+
+    public static function unknownRoot(string $root, array $roots): self
+    {
+        return new self("Unknown file root '{$root}'. Available roots: ".implode(', ', $roots), 'UNKNOWN_ROOT');
+    }
+
+    public static function readOnly(string $path, string $root): self
+    {
+        return new self("Path '{$path}' is in the read-only '{$root}' root", 'READ_ONLY_ROOT', 403);
+    }
+
+    public static function notFound(string $path): self
+    {
+        return new self("No such file or directory: '{$path}'", 'FILE_NOT_FOUND', 404);
+    }
+
+    public static function invalidData(string $reason): self
+    {
+        return new self($reason, 'INVALID_DATA');
+    }
+
+    public static function failed(string $operation, string $path): self
+    {
+        $reason = error_get_last()['message'] ?? 'unknown error';
+
+        return new self("Could not {$operation} '{$path}': {$reason}", 'FILE_OPERATION_FAILED', 500);
+    }
+
+    public function getErrorCode(): string
+    {
+        return $this->errorCode;
+    }
+
+    public function getStatusCode(): int
+    {
+        return $this->status;
+    }
+}
@@ -7,6 +7,19 @@ use Illuminate\Support\Facades\Facade;
 /**
  * @method static bool move(string $from, string $to)
  * @method static bool copy(string $from, string $to)
+ * @method static array roots()
+ * @method static string path(string $path, ?string $root = null)
+ * @method static string read(string $path, ?string $root = null)
+ * @method static array write(string $path, string $contents, ?string $root = null)
+ * @method static array append(string $path, string $contents, ?string $root = null)
+ * @method static bool delete(string $path, ?string $root = null, bool $recursive = false)
+ * @method static bool exists(string $path, ?string $root = null)
+ * @method static array stat(string $path, ?string $root = null)
+ * @method static array list(string $path = '', ?string $root = null)
+ * @method static array mkdir(string $path, ?string $root = null)
+ * @method static array url(string $path, ?string $root = null, ?int $ttl = null)
+ * @method static string|null resolveUrl(string $token)
+ * @method static int revokeUrl(string|array $urls)
  */
 class File extends Facade
 {
@@ -5,9 +5,17 @@ namespace Native\Mobile\Facades;
 use Illuminate\Support\Facades\Facade;
 
 /**
+ * @method static \Native\Mobile\SecureStorage namespace(?string $namespace)
  * @method static string|null get(string $key)
- * @method static bool set(string $key, ?string $value)
+ * @method static bool set(string $key, ?string $value, \DateTimeInterface|\DateInterval|int|null $ttl = null)
  * @method static bool delete(string $key)
+ * @method static bool has(string $key)
+ * @method static bool setJSON(string $key, mixed $value, \DateTimeInterface|\DateInterval|int|null $ttl = null)
+ * @method static mixed getJSON(string $key, mixed $default = null)
+ * @method static bool setMany(array $values, \DateTimeInterface|\DateInterval|int|null $ttl = null)
+ * @method static array getMany(array $keys)
+ * @method static array keys()
+ * @method static int clear(?string $namespace = null)
  */
 class SecureStorage extends Facade
 {
@@ -0,0 +1,21 @@
+<?php
+
+namespace Native\Mobile\Facades;
+
+use Illuminate\Support\Facades\Facade;
+
+/**
+ * @method static array|null start(string $path, string $url, array $options = [])
+ * @method static array|null pause(string $id)
+ * @method static array|null resume(string $id)
+ * @method static array|null cancel(string $id)
+ * @method static array|null status(string $id)
+ * @method static array all()
+ */
+class Upload extends Facade
+{
+    protected static function getFacadeAccessor()
+    {
+        return \Native\Mobile\Upload::class;
+    }
+}
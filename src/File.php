@@ -2,8 +2,36 @@
 
 namespace Native\Mobile;
 
+use FilesystemIterator;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+use Native\Mobile\Exceptions\FileAccessException;
+use RecursiveDirectoryIterator;
+use RecursiveIteratorIterator;
+
 class File
 {
+    /**
+     * Bridge methods served by PHP itself rather than by a native plugin.
+     */
+    public const BRIDGE_METHODS = [
+        'File.Read',
+        'File.Write',
+        'File.Append',
+        'File.Delete',
+        'File.Exists',
+        'File.Stat',
+        'File.List',
+        'File.Mkdir',
+        'File.Url',
+        'File.RevokeUrl',
+    ];
+
+    /**
+     * Where file URLs are served from, one token per URL.
+     */
+    public const URL_PREFIX = '/_native/api/file/';
+
     public function move(string $from, string $to): bool
     {
         if (function_exists('nativephp_call')) {
@@ -59,4 +87,416 @@ class File
 
         return false;
     }
+
+    /**
+     * The named directories file operations are confined to, keyed by root name.
+     *
+     * @return array<string, string>
+     */
+    public function roots(): array
+    {
+        $home = getenv('HOME');
+        $ios = getenv('NATIVEPHP_PLATFORM') === 'ios' && $home;
+        $temp = getenv('NATIVEPHP_TEMPDIR') ?: sys_get_temp_dir();
+
+        $roots = array_merge([
+            'documents' => $ios ? $home.'/Documents' : storage_path('app'),
+            'cache' => $ios ? $home.'/Library/Caches' : $temp,
+            'temp' => $temp,
+            'app-bundle' => public_path(),
+        ], config('nativephp.files.roots', []));
+
+        return array_map(fn (string $path) => $this->canonical($path), $roots);
+    }
+
+    /**
+     * Resolve a path to an absolute path inside one of the file roots.
+     *
+     * Relative paths are taken from $root (the documents root by default),
+     * absolute paths must already sit inside one of the roots.
+     */
+    public function path(string $path, ?string $root = null): string
+    {
+        return $this->locate($path, $root)['path'];
+    }
+
+    public function read(string $path, ?string $root = null): string
+    {
+        $file = $this->locate($path, $root)['path'];
+
+        if (! is_file($file)) {
+            throw FileAccessException::notFound($path);
+        }
+
+        return $this->attempt('read', $path, fn () => file_get_contents($file));
+    }
+
+    /**
+     * Write a file, creating any missing parent directories.
+     *
+     * @return array The written file's entry, as returned by stat()
+     */
+    public function write(string $path, string $contents, ?string $root = null): array
+    {
+        return $this->put($path, $contents, $root, 0);
+    }
+
+    /**
+     * Append to a file, creating it (and any missing parent directories) first if needed.
+     *
+     * @return array The written file's entry, as returned by stat()
+     */
+    public function append(string $path, string $contents, ?string $root = null): array
+    {
+        return $this->put($path, $contents, $root, FILE_APPEND);
+    }
+
+    /**
+     * Delete a file or directory. Directories that are not empty are only
+     * removed when $recursive is set, and a root itself is never removed.
+     *
+     * @return bool False when there was nothing to delete
+     */
+    public function delete(string $path, ?string $root = null, bool $recursive = false): bool
+    {
+        $location = $this->locate($path, $root, writable: true);
+        $target = $location['path'];
+
+        if ($target === $location['base']) {
+            throw FileAccessException::outsideSandbox($path);
+        }
+
+        if (! file_exists($target) && ! is_link($target)) {
+            return false;
+        }
+
+        if (is_link($target) || ! is_dir($target)) {
+            return $this->attempt('delete', $path, fn () => unlink($target));
+        }
+
+        if ($recursive) {
+            $children = new RecursiveIteratorIterator(
+                new RecursiveDirectoryIterator($target, FilesystemIterator::SKIP_DOTS),
+                RecursiveIteratorIterator::CHILD_FIRST
+            );
+
+            // Symlinked directories are not descended into, only unlinked
+            foreach ($children as $child) {
+                $this->attempt('delete', $path, fn () => $child->isDir() && ! $child->isLink()
+                    ? rmdir($child->getPathname())
+                    : unlink($child->getPathname()));
+            }
+        }
+
+        return $this->attempt('delete', $path, fn () => rmdir($target));
+    }
+
+    public function exists(string $path, ?string $root = null): bool
+    {
+        return file_exists($this->locate($path, $root)['path']);
+    }
+
+    /**
+     * Describe a file or directory.
+     *
+     * @return array{name: string, path: string, root: string, relativePath: string, type: string, size: int, modifiedAt: string, mimeType: string|null}
+     */
+    public function stat(string $path, ?string $root = null): array
+    {
+        $location = $this->locate($path, $root);
+
+        if (! file_exists($location['path'])) {
+            throw FileAccessException::notFound($path);
+        }
+
+        return $this->entry($location['path'], $location['root'], $location['base']);
+    }
+
+    /**
+     * List a directory's direct children, sorted by name.
+     *
+     * @return array<int, array> Entries as returned by stat()
+     */
+    public function list(string $path = '', ?string $root = null): array
+    {
+        $location = $this->locate($path, $root);
+
+        if (! is_dir($location['path'])) {
+            throw FileAccessException::notFound($path);
+        }
+
+        $entries = [];
+
+        foreach (new FilesystemIterator($location['path'], FilesystemIterator::SKIP_DOTS) as $child) {
+            $entries[] = $this->entry($child->getPathname(), $location['root'], $location['base']);
+        }
+
+        usort($entries, fn (array $a, array $b) => strcmp($a['name'], $b['name']));
+
+        return $entries;
+    }
+
+    /**
+     * Create a directory and any missing parents. Existing directories are left as they are.
+     *
+     * @return array The directory's entry, as returned by stat()
+     */
+    public function mkdir(string $path, ?string $root = null): array
+    {
+        $location = $this->locate($path, $root, writable: true);
+
+        if (! is_dir($location['path'])) {
+            $this->attempt('create directory', $path, fn () => mkdir($location['path'], 0755, true));
+        }
+
+        return $this->entry($location['path'], $location['root'], $location['base']);
+    }
+
+    /**
+     * Issue a same-origin URL for a file, so the WebView can preview, stream or fetch it.
+     *
+     * The URL stops working after $ttl seconds (nativephp.files.url_ttl by default)
+     * or once it is revoked.
+     *
+     * @return array The file's entry, as returned by stat(), plus url, token and expiresAt
+     */
+    public function url(string $path, ?string $root = null, ?int $ttl = null): array
+    {
+        $entry = $this->stat($path, $root);
+
+        if ($entry['type'] !== 'file') {
+            throw new FileAccessException("Cannot create a URL for '{$path}': it is a directory", 'FILE_OPERATION_FAILED');
+        }
+
+        $ttl = max(1, $ttl ?? (int) config('nativephp.files.url_ttl', 3600));
+        $token = Str::random(40);
+
+        Cache::put($this->urlCacheKey($token), $entry['path'], $ttl);
+
+        return $entry + [
+            'url' => self::URL_PREFIX.$token,
+            'token' => $token,
+            'expiresAt' => now()->addSeconds($ttl)->toAtomString(),
+        ];
+    }
+
+    /**
+     * The file a URL token points at, or null once it has expired, been revoked
+     * or no longer resolves to a file inside the roots.
+     */
+    public function resolveUrl(string $token): ?string
+    {
+        $path = Cache::get($this->urlCacheKey($token));
+
+        if (! is_string($path)) {
+            return null;
+        }
+
+        try {
+            $path = $this->locate($path)['path'];
+        } catch (FileAccessException) {
+            return null;
+        }
+
+        return is_file($path) ? $path : null;
+    }
+
+    /**
+     * Revoke file URLs (or their bare tokens).
+     *
+     * @param  string|array<int, string>  $urls
+     * @return int How many URLs were still live
+     */
+    public function revokeUrl(string|array $urls): int
+    {
+        $revoked = 0;
+
+        foreach ((array) $urls as $url) {
+            $token = is_string($url) ? Str::afterLast($url, '/') : '';
+
+            if ($token !== '' && Cache::pull($this->urlCacheKey($token)) !== null) {
+                $revoked++;
+            }
+        }
+
+        return $revoked;
+    }
+
+    /**
+     * Serve one of the BRIDGE_METHODS for the JavaScript bridge.
+     *
+     * File contents travel base64-encoded in both directions.
+     */
+    public function handleBridgeCall(string $method, array $params): array
+    {
+        $path = (string) ($params['path'] ?? '');
+        $root = isset($params['root']) ? (string) $params['root'] : null;
+
+        if ($method === 'File.Read') {
+            $contents = $this->read($path, $root);
+
+            return ['data' => base64_encode($contents), 'size' => strlen($contents)];
+        }
+
+        return match ($method) {
+            'File.Write' => $this->write($path, $this->decode($params['data'] ?? ''), $root),
+            'File.Append' => $this->append($path, $this->decode($params['data'] ?? ''), $root),
+            'File.Delete' => ['deleted' => $this->delete($path, $root, (bool) ($params['recursive'] ?? false))],
+            'File.Exists' => ['exists' => $this->exists($path, $root)],
+            'File.Stat' => $this->stat($path, $root),
+            'File.List' => ['entries' => $this->list($path, $root)],
+            'File.Mkdir' => $this->mkdir($path, $root),
+            'File.Url' => $this->url($path, $root, isset($params['ttl']) ? (int) $params['ttl'] : null),
+            'File.RevokeUrl' => ['revoked' => $this->revokeUrl($params['urls'] ?? $params['url'] ?? [])],
+        };
+    }
+
+    protected function urlCacheKey(string $token): string
+    {
+        return 'nativephp:file-url:'.$token;
+    }
+
+    protected function put(string $path, string $contents, ?string $root, int $flags): array
+    {
+        $location = $this->locate($path, $root, writable: true);
+        $directory = dirname($location['path']);
+
+        if (is_dir($location['path'])) {
+            throw new FileAccessException("Cannot write to '{$path}': it is a directory", 'FILE_OPERATION_FAILED');
+        }
+
+        if (! is_dir($directory)) {
+            $this->attempt('create directory', dirname($path), fn () => mkdir($directory, 0755, true));
+        }
+
+        $this->attempt('write', $path, fn () => file_put_contents($location['path'], $contents, $flags | LOCK_EX));
+
+        clearstatcache(true, $location['path']);
+
+        return $this->entry($location['path'], $location['root'], $location['base']);
+    }
+
+    /**
+     * Find the root a path belongs to and its absolute, symlink-free location.
+     *
+     * @return array{path: string, root: string, base: string}
+     */
+    protected function locate(string $path, ?string $root = null, bool $writable = false): array
+    {
+        if (str_contains($path, "\0")) {
+            throw FileAccessException::outsideSandbox($path);
+        }
+
+        $roots = $this->roots();
+
+        if ($root !== null && ! isset($roots[$root])) {
+            throw FileAccessException::unknownRoot($root, array_keys($roots));
+        }
+
+        $absolute = str_starts_with($path, '/');
+        $given = $root ?? 'documents';
+        $resolved = $this->canonical($absolute ? $path : $roots[$given].'/'.$path);
+
+        $inside = fn (string $base) => $resolved === $base || str_starts_with($resolved, rtrim($base, '/').'/');
+
+        // Relative paths must stay inside the root they were given against
+        if (! $absolute && ! $inside($roots[$given])) {
+            throw FileAccessException::outsideSandbox($path);
+        }
+
+        // The most specific root wins, and the given root wins a tie (e.g. cache and temp sharing a directory)
+        $match = null;
+
+        foreach ([$given => $roots[$given]] + $roots as $name => $base) {
+            if ($inside($base) && ($match === null || strlen($base) > strlen($roots[$match]))) {
+                $match = $name;
+            }
+        }
+
+        if ($match === null) {
+            throw FileAccessException::outsideSandbox($path);
+        }
+
+        if ($writable && in_array($match, config('nativephp.files.read_only', ['app-bundle']), true)) {
+            throw FileAccessException::readOnly($path, $match);
+        }
+
+        return ['path' => $resolved, 'root' => $match, 'base' => $roots[$match]];
+    }
+
+    /**
+     * Normalise "." and ".." segments, then resolve symlinks in whatever
+     * part of the path already exists, so links can't point out of a root.
+     */
+    protected function canonical(string $path): string
+    {
+        $segments = [];
+
+        foreach (explode('/', $path) as $segment) {
+            if ($segment === '' || $segment === '.') {
+                continue;
+            }
+
+            if ($segment === '..') {
+                array_pop($segments);
+
+                continue;
+            }
+
+            $segments[] = $segment;
+        }
+
+        $missing = [];
+
+        while (($real = realpath('/'.implode('/', $segments))) === false) {
+            array_unshift($missing, array_pop($segments));
+        }
+
+        $resolved = rtrim($real, '/').($missing ? '/'.implode('/', $missing) : '');
+
+        return $resolved === '' ? '/' : $resolved;
+    }
+
+    protected function entry(string $path, string $root, string $base): array
+    {
+        $isDirectory = is_dir($path);
+
+        return [
+            'name' => basename($path),
+            'path' => $path,
+            'root' => $root,
+            'relativePath' => ltrim(substr($path, strlen($base)), '/'),
+            'type' => $isDirectory ? 'directory' : 'file',
+            'size' => $isDirectory ? 0 : (int) @filesize($path),
+            'modifiedAt' => date(DATE_ATOM, (int) @filemtime($path)),
+            'mimeType' => ! $isDirectory && function_exists('mime_content_type') ? (@mime_content_type($path) ?: null) : null,
+        ];
+    }
+
+    protected function decode(mixed $data): string
+    {
+        $decoded = is_string($data) ? base64_decode($data, true) : false;
+
+        if ($decoded === false) {
+            throw FileAccessException::invalidData('File data must be a base64-encoded string');
+        }
+
+        return $decoded;
+    }
+
+    /**
+     * Run a filesystem call, turning a false return or PHP warning into a FileAccessException.
+     */
+    protected function attempt(string $operation, string $path, callable $callback): mixed
+    {
+        error_clear_last();
+
+        $result = @$callback();
+
+        if ($result === false) {
+            throw FileAccessException::failed($operation, $path);
+        }
+
+        return $result;
+    }
 }
@@ -2,28 +2,79 @@
 
 namespace Native\Mobile\Http\Controllers;
 
+use Error;
 use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+use Native\Mobile\Plugins\PluginRegistry;
 
 class DispatchEventFromAppController
 {
+    /**
+     * Core events may always be dispatched from the app.
+     */
+    public const CORE_EVENTS = 'Native\\Mobile\\Events\\*';
+
+    public function __construct(protected PluginRegistry $registry) {}
+
     public function __invoke(Request $request)
     {
         $event = $request->get('event');
         $payload = $request->get('payload', []);
 
-        if (class_exists($event)) {
-            $event = new $event(...$payload);
-            event($event);
+        if (empty($event) || ! is_string($event)) {
+            return $this->failure('MISSING_EVENT', 'Event parameter is required', 400);
+        }
 
-            return response()->json([
-                'success' => true,
-            ]);
+        $event = ltrim($event, '\\');
 
-        } else {
+        // Check the allowlist before class_exists() so we never autoload arbitrary classes
+        if (! $this->isDispatchable($event)) {
+            return $this->failure('EVENT_NOT_ALLOWED', "Event '{$event}' may not be dispatched from the app", 403);
+        }
 
-            return response()->json([
-                'success' => false,
-            ]);
+        if (! class_exists($event)) {
+            return $this->failure('EVENT_NOT_FOUND', "Event '{$event}' does not exist", 404);
         }
+
+        if (! is_array($payload)) {
+            return $this->failure('INVALID_PAYLOAD', 'Payload must be an object', 422);
+        }
+
+        try {
+            $instance = new $event(...$payload);
+        } catch (Error $e) {
+            // Unknown named parameters, missing arguments and type mismatches
+            return $this->failure('INVALID_PAYLOAD', $e->getMessage(), 422);
+        }
+
+        event($instance);
+
+        return response()->json([
+            'success' => true,
+        ]);
+    }
+
+    /**
+     * Whether the event is a core event, declared by an installed plugin,
+     * or listed in the app's nativephp.dispatchable_events config.
+     */
+    protected function isDispatchable(string $event): bool
+    {
+        $allowed = array_map(fn ($class) => ltrim($class, '\\'), [
+            self::CORE_EVENTS,
+            ...$this->registry->events(),
+            ...config('nativephp.dispatchable_events', []),
+        ]);
+
+        return Str::is($allowed, $event);
+    }
+
+    protected function failure(string $code, string $message, int $status)
+    {
+        return response()->json([
+            'success' => false,
+            'code' => $code,
+            'message' => $message,
+        ], $status);
     }
 }
@@ -0,0 +1,53 @@
+<?php
+
+namespace Native\Mobile\Http\Controllers;
+
+use Illuminate\Http\Request;
+
+/**
+ * Executes several bridge calls in a single request.
+ *
+ * Each entry in `calls` is handled exactly like a request to NativeCallController
+ * and gets its own result, so one failing call doesn't fail the others.
+ */
+class NativeBatchCallController extends NativeCallController
+{
+    public const MAX_CALLS = 50;
+
+    public function __invoke(Request $request)
+    {
+        $calls = $request->input('calls');
+
+        if (! is_array($calls) || empty($calls) || ! array_is_list($calls)) {
+            return response()->json([
+                'status' => 'error',
+                'code' => 'MISSING_CALLS',
+                'message' => 'Calls parameter must be a non-empty list',
+            ], 400);
+        }
+
+        if (count($calls) > static::MAX_CALLS) {
+            return response()->json([
+                'status' => 'error',
+                'code' => 'BATCH_TOO_LARGE',
+                'message' => 'A batch may contain at most '.static::MAX_CALLS.' calls',
+            ], 400);
+        }
+
+        $results = [];
+
+        foreach ($calls as $call) {
+            [$response, $status] = $this->call(
+                is_array($call) ? ($call['method'] ?? null) : null,
+                is_array($call) ? ($call['params'] ?? []) : []
+            );
+
+            $results[] = array_merge($response, ['statusCode' => $status]);
+        }
+
+        return response()->json([
+            'status' => 'success',
+            'data' => $results,
+        ]);
+    }
+}
@@ -3,40 +3,66 @@
 namespace Native\Mobile\Http\Controllers;
 
 use Illuminate\Http\Request;
+use InvalidArgumentException;
+use Native\Mobile\Exceptions\FileAccessException;
+use Native\Mobile\File;
+use Native\Mobile\SecureStorage;
 
 class NativeCallController
 {
     public function __invoke(Request $request)
     {
-        $method = $request->input('method');
-        $params = $request->input('params', []);
+        [$response, $status] = $this->call(
+            $request->input('method'),
+            $request->input('params', [])
+        );
 
+        return response()->json($response, $status);
+    }
+
+    /**
+     * Execute a single bridge call.
+     *
+     * @return array{0: array, 1: int} The response payload and its HTTP status
+     */
+    protected function call(mixed $method, mixed $params = []): array
+    {
         // Validate required parameters
-        if (empty($method)) {
-            return response()->json([
+        if (empty($method) || ! is_string($method)) {
+            return [[
                 'status' => 'error',
                 'code' => 'MISSING_METHOD',
                 'message' => 'Method parameter is required',
-            ], 400);
+            ], 400];
+        }
+
+        // File access beyond move/copy is sandboxed and served by PHP itself
+        if (in_array($method, File::BRIDGE_METHODS, true)) {
+            return $this->callFile($method, $params);
+        }
+
+        // Namespaces, listing and expiry are layered over the native keychain/keystore in PHP
+        if (in_array($method, SecureStorage::BRIDGE_METHODS, true)) {
+            return $this->callSecureStorage($method, $params);
         }
 
         // Check if nativephp_call function exists
         if (! function_exists('nativephp_call')) {
-            return response()->json([
+            return [[
                 'status' => 'error',
                 'code' => 'FUNCTION_NOT_AVAILABLE',
                 'message' => 'nativephp_call function is not available',
-            ], 503);
+            ], 503];
         }
 
         // Check if nativephp_can exists and verify the method is registered
         if (function_exists('nativephp_can')) {
             if (! nativephp_can($method)) {
-                return response()->json([
+                return [[
                     'status' => 'error',
                     'code' => 'METHOD_NOT_FOUND',
                     'message' => "Method '{$method}' is not registered in the bridge registry",
-                ], 404);
+                ], 404];
             }
         }
 
@@ -52,29 +78,81 @@ class NativeCallController
 
             // If decoding failed, return raw result
             if (json_last_error() !== JSON_ERROR_NONE) {
-                return response()->json([
+                return [[
                     'status' => 'success',
                     'data' => $result,
-                ]);
+                ], 200];
             }
 
             // If the native side returned an error status, preserve it
             if (isset($decodedResult['status']) && $decodedResult['status'] === 'error') {
-                return response()->json($decodedResult, 400);
+                return [$decodedResult, 400];
             }
 
             // Return success with data
-            return response()->json([
+            return [[
                 'status' => 'success',
                 'data' => $decodedResult,
-            ]);
+            ], 200];
 
         } catch (\Exception $e) {
-            return response()->json([
+            return [[
                 'status' => 'error',
                 'code' => 'EXECUTION_ERROR',
                 'message' => $e->getMessage(),
-            ], 500);
+            ], 500];
+        }
+    }
+
+    /**
+     * Execute one of the PHP-side File bridge methods.
+     *
+     * @return array{0: array, 1: int} The response payload and its HTTP status
+     */
+    protected function callFile(string $method, mixed $params): array
+    {
+        try {
+            return [[
+                'status' => 'success',
+                'data' => app(File::class)->handleBridgeCall($method, is_array($params) ? $params : []),
+            ], 200];
+        } catch (FileAccessException $e) {
+            return [[
+                'status' => 'error',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], $e->getStatusCode()];
+        }
+    }
+
+    /**
+     * Execute one of the PHP-side SecureStorage bridge methods.
+     *
+     * @return array{0: array, 1: int} The response payload and its HTTP status
+     */
+    protected function callSecureStorage(string $method, mixed $params): array
+    {
+        $storage = app(SecureStorage::class);
+
+        if (! $storage->available()) {
+            return [[
+                'status' => 'error',
+                'code' => 'FUNCTION_NOT_AVAILABLE',
+                'message' => 'nativephp_call function is not available',
+            ], 503];
+        }
+
+        try {
+            return [[
+                'status' => 'success',
+                'data' => $storage->handleBridgeCall($method, is_array($params) ? $params : []),
+            ], 200];
+        } catch (InvalidArgumentException $e) {
+            return [[
+                'status' => 'error',
+                'code' => 'INVALID_PARAMETERS',
+                'message' => $e->getMessage(),
+            ], 400];
         }
     }
 }
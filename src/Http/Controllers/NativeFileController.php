@@ -0,0 +1,34 @@
+<?php
+
+namespace Native\Mobile\Http\Controllers;
+
+use Native\Mobile\File;
+
+class NativeFileController
+{
+    public function __construct(protected File $files) {}
+
+    /**
+     * Stream a file issued through File.Url. Range requests are honoured,
+     * so videos can seek without being loaded into memory.
+     */
+    public function __invoke(string $token)
+    {
+        $path = $this->files->resolveUrl($token);
+
+        if ($path === null) {
+            return response()->json([
+                'status' => 'error',
+                'code' => 'FILE_URL_NOT_FOUND',
+                'message' => 'This file URL has expired, been revoked or no longer points at a file',
+            ], 404);
+        }
+
+        return response()->file($path, [
+            'Cache-Control' => 'private, no-store',
+            // Files are served same-origin, so never let one run script in the app
+            'Content-Security-Policy' => 'sandbox',
+            'X-Content-Type-Options' => 'nosniff',
+        ]);
+    }
+}
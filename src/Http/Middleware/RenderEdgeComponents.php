@@ -13,6 +13,14 @@ class RenderEdgeComponents
     {
         $response = $next($request);
 
+        // edge.refresh() asks for the components instead of having them sent to the native layer
+        if ($request->header('X-NativePHP-Edge') === 'refresh') {
+            $components = Edge::all();
+            Edge::reset();
+
+            return response()->json(['components' => $components]);
+        }
+
         // Send NativeUI data to native layer
         Edge::set();
 
@@ -10,6 +10,7 @@ use Native\Mobile\Commands\BuildIosAppCommand;
 use Native\Mobile\Commands\CheckBuildNumberCommand;
 use Native\Mobile\Commands\CredentialsCommand;
 use Native\Mobile\Commands\DebugCommand;
+use Native\Mobile\Commands\GenerateEventTypesCommand;
 use Native\Mobile\Commands\InstallCommand;
 use Native\Mobile\Commands\JumpCommand;
 use Native\Mobile\Commands\LaunchEmulatorCommand;
@@ -53,6 +54,7 @@ class NativeServiceProvider extends PackageServiceProvider
                 CheckBuildNumberCommand::class,
                 CredentialsCommand::class,
                 DebugCommand::class,
+                GenerateEventTypesCommand::class,
                 InstallCommand::class,
                 RunCommand::class,
                 OpenProjectCommand::class,
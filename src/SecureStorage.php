@@ -2,84 +2,542 @@
 
 namespace Native\Mobile;
 
+use DateInterval;
+use DateTimeInterface;
+use Illuminate\Support\InteractsWithTime;
+use InvalidArgumentException;
+
+/**
+ * The native keychain/keystore only stores single strings by key. Everything
+ * else here is built on top of that: namespaced keys are stored as
+ * "{namespace}::{key}", a value with a TTL carries its expiry in front of it,
+ * and an index entry records which keys exist so they can be listed and
+ * cleared. Reading a value never needs the index; writing and deleting update
+ * it. Keys written by older versions (before the index existed) can still be
+ * read and deleted, but are not listed by keys() or removed by clear().
+ */
 class SecureStorage
 {
+    use InteractsWithTime;
+
+    public const NAMESPACE_SEPARATOR = '::';
+
+    public const INDEX_KEY = '__nativephp_secure_storage_index';
+
+    /**
+     * Stored values that expire look like "{prefix}{timestamp}:{value}"
+     */
+    public const EXPIRES_PREFIX = '__nativephp_expires:';
+
+    /**
+     * How many times an index update is written before giving up on a concurrent writer
+     */
+    protected const INDEX_ATTEMPTS = 3;
+
+    /**
+     * Bridge methods served by this class rather than directly by native code,
+     * so that JavaScript gets the same namespaces, index and expiry handling.
+     */
+    public const BRIDGE_METHODS = [
+        'SecureStorage.Set',
+        'SecureStorage.Get',
+        'SecureStorage.Delete',
+        'SecureStorage.Has',
+        'SecureStorage.Keys',
+        'SecureStorage.Clear',
+        'SecureStorage.SetMany',
+        'SecureStorage.GetMany',
+    ];
+
+    protected ?string $namespace = null;
+
+    /**
+     * Get a copy of the storage whose keys all live in the given namespace,
+     * e.g. SecureStorage::namespace("user.{$user->id}")->set('token', $token).
+     */
+    public function namespace(?string $namespace): static
+    {
+        if ($namespace !== null && ($namespace === '' || str_contains($namespace, self::NAMESPACE_SEPARATOR))) {
+            throw new InvalidArgumentException("Invalid secure storage namespace '{$namespace}'");
+        }
+
+        $scoped = clone $this;
+        $scoped->namespace = $namespace;
+
+        return $scoped;
+    }
+
     /**
      * Store a secure value in the native keychain or keystore.
      *
+     * Besides the value itself this reads the index, and writes and re-reads
+     * it when the key is new or its TTL changed.
+     *
      * @param  string  $key  The key to store the value under
      * @param  string|null  $value  The value to store securely
+     * @param  DateTimeInterface|DateInterval|int|null  $ttl  Seconds (or a date) after which the value expires
      * @return bool True if successfully stored, false otherwise
      */
-    public function set(string $key, ?string $value): bool
+    public function set(string $key, ?string $value, DateTimeInterface|DateInterval|int|null $ttl = null): bool
+    {
+        return $this->setMany([$key => $value], $ttl);
+    }
+
+    /**
+     * Retrieve a secure value from the native keychain or keystore.
+     *
+     * Only an expired value costs more than one native call, to delete it.
+     *
+     * @param  string  $key  The key to retrieve the value for
+     * @return string|null The stored value or null if not found or expired
+     */
+    public function get(string $key): ?string
+    {
+        return $this->getMany([$key])[$key];
+    }
+
+    /**
+     * Delete a secure value from the native keychain or keystore.
+     *
+     * @param  string  $key  The key to delete the value for
+     * @return bool True if successfully deleted, false otherwise
+     */
+    public function delete(string $key): bool
+    {
+        $fullKey = $this->fullKey($key);
+        $deleted = $this->nativeDelete($fullKey);
+
+        $this->updateIndex([], [$fullKey]);
+
+        return $deleted;
+    }
+
+    /**
+     * Determine whether a value is stored (and not expired) for the key.
+     */
+    public function has(string $key): bool
+    {
+        return $this->get($key) !== null;
+    }
+
+    /**
+     * Store a value as JSON.
+     *
+     * @param  DateTimeInterface|DateInterval|int|null  $ttl  Seconds (or a date) after which the value expires
+     */
+    public function setJSON(string $key, mixed $value, DateTimeInterface|DateInterval|int|null $ttl = null): bool
+    {
+        return $this->set($key, json_encode($value, JSON_THROW_ON_ERROR), $ttl);
+    }
+
+    /**
+     * Retrieve a value stored as JSON, decoded to arrays and scalars.
+     *
+     * @param  mixed  $default  Returned when the key is missing, expired or not valid JSON
+     */
+    public function getJSON(string $key, mixed $default = null): mixed
     {
-        if (function_exists('nativephp_call')) {
-            $payload = json_encode([
-                'key' => $key,
-                'value' => $value,
-            ]);
+        $value = $this->get($key);
+
+        if ($value === null) {
+            return $default;
+        }
+
+        $decoded = json_decode($value, true);
+
+        return json_last_error() === JSON_ERROR_NONE ? $decoded : $default;
+    }
+
+    /**
+     * Store several values at once.
+     *
+     * Every key and value is validated before anything is written.
+     *
+     * @param  array<string, string|null>  $values  Values by key
+     * @param  DateTimeInterface|DateInterval|int|null  $ttl  Seconds (or a date) after which the values expire
+     * @return bool True if every value was stored
+     */
+    public function setMany(array $values, DateTimeInterface|DateInterval|int|null $ttl = null): bool
+    {
+        $expiresAt = $ttl === null ? null : $this->availableAt($ttl);
+        $entries = [];
+        $stored = [];
+        $success = true;
+
+        foreach ($values as $key => $value) {
+            $fullKey = $this->fullKey((string) $key);
+
+            if ($value !== null && ! is_string($value)) {
+                throw new InvalidArgumentException("The value for secure storage key '{$key}' must be a string or null");
+            }
 
-            $result = nativephp_call('SecureStorage.Set', $payload);
+            $entries[$fullKey] = $value;
+        }
 
-            if ($result) {
-                $decoded = json_decode($result, true);
+        foreach ($entries as $fullKey => $value) {
+            // null goes to the native side as it is, which stores an empty value
+            $encoded = $value === null ? null : $this->encode($value, $expiresAt);
 
-                return isset($decoded['success']) && $decoded['success'] === true;
+            if ($this->nativeSet((string) $fullKey, $encoded)) {
+                $stored[$fullKey] = $expiresAt;
+            } else {
+                $success = false;
             }
         }
 
-        return false;
+        $this->updateIndex($stored, []);
+
+        return $success;
     }
 
     /**
-     * Retrieve a secure value from the native keychain or keystore.
+     * Retrieve several values at once. Expired values are deleted as they are found.
      *
-     * @param  string  $key  The key to retrieve the value for
-     * @return string|null The stored value or null if not found
+     * @param  string[]  $keys
+     * @return array<string, string|null> Values by key, null for missing or expired keys
      */
-    public function get(string $key): ?string
+    public function getMany(array $keys): array
+    {
+        $expired = [];
+        $values = [];
+
+        foreach ($keys as $key) {
+            $fullKey = $this->fullKey($key);
+            [$value, $expiresAt] = $this->decode($this->nativeGet($fullKey));
+
+            if ($this->expired($expiresAt)) {
+                $expired[] = $fullKey;
+                $value = null;
+            }
+
+            $values[$key] = $value;
+        }
+
+        if ($expired) {
+            $this->forget($expired);
+        }
+
+        return $values;
+    }
+
+    /**
+     * List the stored keys. A namespaced instance lists the keys of its
+     * namespace (without the prefix); otherwise every key is listed, with
+     * namespaced keys as "{namespace}::{key}".
+     *
+     * @return string[]
+     */
+    public function keys(): array
     {
-        if (function_exists('nativephp_call')) {
-            $payload = json_encode([
-                'key' => $key,
-            ]);
+        $index = $this->index();
+        $keys = [];
+        $expired = [];
+
+        foreach ($index as $fullKey => $expiresAt) {
+            if ($this->expired($expiresAt)) {
+                $expired[] = $fullKey;
 
-            $result = nativephp_call('SecureStorage.Get', $payload);
+                continue;
+            }
 
-            if ($result) {
-                $decoded = json_decode($result, true);
-                $value = $decoded['value'] ?? null;
+            $key = $this->relativeKey((string) $fullKey);
 
-                // Treat empty string as null (not found)
-                return ($value === '' || $value === null) ? null : $value;
+            if ($key !== null) {
+                $keys[] = $key;
             }
         }
 
-        return null;
+        if ($expired) {
+            $this->forget($expired);
+        }
+
+        sort($keys);
+
+        return $keys;
     }
 
     /**
-     * Delete a secure value from the native keychain or keystore.
+     * Delete every stored key, or only those of a namespace, e.g. on logout.
      *
-     * @param  string  $key  The key to delete the value for
-     * @return bool True if successfully deleted, false otherwise
+     * @param  string|null  $namespace  Defaults to the instance's namespace
+     * @return int The number of keys deleted
      */
-    public function delete(string $key): bool
+    public function clear(?string $namespace = null): int
+    {
+        $storage = $namespace === null ? $this : $this->namespace($namespace);
+        $index = $this->index();
+
+        $keys = array_values(array_filter(
+            array_keys($index),
+            fn ($fullKey) => $storage->relativeKey($fullKey) !== null
+        ));
+
+        $this->forget($keys);
+
+        return count($keys);
+    }
+
+    /**
+     * Execute one of the SecureStorage bridge methods on behalf of JavaScript.
+     */
+    public function handleBridgeCall(string $method, array $params): array
     {
-        if (function_exists('nativephp_call')) {
-            $payload = json_encode([
-                'key' => $key,
-            ]);
+        $storage = $this->namespace($this->optionalString($params, 'namespace'));
+        $ttl = isset($params['ttl']) ? (int) $params['ttl'] : null;
 
-            $result = nativephp_call('SecureStorage.Delete', $payload);
+        return match ($method) {
+            'SecureStorage.Set' => ['success' => $storage->set($this->requiredKey($params), $this->optionalString($params, 'value'), $ttl)],
+            'SecureStorage.Get' => ['value' => $storage->get($this->requiredKey($params))],
+            'SecureStorage.Delete' => ['success' => $storage->delete($this->requiredKey($params))],
+            'SecureStorage.Has' => ['exists' => $storage->has($this->requiredKey($params))],
+            'SecureStorage.Keys' => ['keys' => $storage->keys()],
+            'SecureStorage.Clear' => ['cleared' => $storage->clear()],
+            'SecureStorage.SetMany' => ['success' => $storage->setMany($this->requiredArray($params, 'values'), $ttl)],
+            'SecureStorage.GetMany' => ['values' => (object) $storage->getMany($this->requiredKeys($params))],
+        };
+    }
 
-            if ($result) {
-                $decoded = json_decode($result, true);
+    /**
+     * Whether the native keychain/keystore can be reached.
+     */
+    public function available(): bool
+    {
+        return function_exists('nativephp_call');
+    }
 
-                return isset($decoded['success']) && $decoded['success'] === true;
+    protected function fullKey(string $key): string
+    {
+        // The separator is reserved inside a namespace; plain keys may contain it, as they always could
+        $reserved = $this->namespace !== null && str_contains($key, self::NAMESPACE_SEPARATOR);
+
+        if ($key === '' || $key === self::INDEX_KEY || $reserved) {
+            throw new InvalidArgumentException("Invalid secure storage key '{$key}'");
+        }
+
+        return $this->namespace === null ? $key : $this->namespace.self::NAMESPACE_SEPARATOR.$key;
+    }
+
+    /**
+     * The key relative to this instance's namespace, or null when it is outside of it
+     */
+    protected function relativeKey(string $fullKey): ?string
+    {
+        if ($this->namespace === null) {
+            return $fullKey;
+        }
+
+        $prefix = $this->namespace.self::NAMESPACE_SEPARATOR;
+
+        return str_starts_with($fullKey, $prefix) ? substr($fullKey, strlen($prefix)) : null;
+    }
+
+    protected function expired(?int $expiresAt): bool
+    {
+        return $expiresAt !== null && $expiresAt <= $this->currentTime();
+    }
+
+    /**
+     * Prefix the value with its expiry. Values without one are stored as they
+     * are, unless they happen to start with the prefix themselves.
+     */
+    protected function encode(string $value, ?int $expiresAt): string
+    {
+        if ($expiresAt === null && ! str_starts_with($value, self::EXPIRES_PREFIX)) {
+            return $value;
+        }
+
+        return self::EXPIRES_PREFIX.$expiresAt.':'.$value;
+    }
+
+    /**
+     * @return array{0: string|null, 1: int|null} The value and its expiry timestamp
+     */
+    protected function decode(?string $stored): array
+    {
+        if ($stored === null || ! preg_match('/^'.preg_quote(self::EXPIRES_PREFIX, '/').'(\d*):/', $stored, $matches)) {
+            return [$stored, null];
+        }
+
+        $value = substr($stored, strlen($matches[0]));
+
+        return [$value === '' ? null : $value, $matches[1] === '' ? null : (int) $matches[1]];
+    }
+
+    /**
+     * Delete the given keys and drop them from the index
+     *
+     * @param  string[]  $fullKeys
+     */
+    protected function forget(array $fullKeys): void
+    {
+        foreach ($fullKeys as $fullKey) {
+            $this->nativeDelete($fullKey);
+        }
+
+        $this->updateIndex([], $fullKeys);
+    }
+
+    /**
+     * Add stored keys to the index and drop deleted ones.
+     *
+     * Nothing locks the index, so another request can rewrite it between our
+     * read and write. The update is applied to a fresh read after the values
+     * are written, skipped when the index already reflects it, and re-applied
+     * to the other request's version when a re-read shows it was lost.
+     *
+     * @param  array<string, int|null>  $stored  Expiry timestamps (null for none) by full key
+     * @param  string[]  $deleted
+     */
+    protected function updateIndex(array $stored, array $deleted): void
+    {
+        for ($attempt = 0; $attempt < self::INDEX_ATTEMPTS; $attempt++) {
+            $index = $this->index();
+
+            if ($this->indexReflects($index, $stored, $deleted)) {
+                return;
+            }
+
+            $index = $stored + $index;
+
+            foreach ($deleted as $fullKey) {
+                unset($index[$fullKey]);
             }
+
+            $this->saveIndex($index);
+        }
+    }
+
+    /**
+     * @param  array<string, int|null>  $index
+     * @param  array<string, int|null>  $stored
+     * @param  string[]  $deleted
+     */
+    protected function indexReflects(array $index, array $stored, array $deleted): bool
+    {
+        foreach ($stored as $fullKey => $expiresAt) {
+            if (! array_key_exists($fullKey, $index) || $index[$fullKey] !== $expiresAt) {
+                return false;
+            }
+        }
+
+        foreach ($deleted as $fullKey) {
+            if (array_key_exists($fullKey, $index)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * @return array<string, int|null> Expiry timestamps (null for none) by full key
+     */
+    protected function index(): array
+    {
+        $index = json_decode($this->nativeGet(self::INDEX_KEY) ?? '', true);
+
+        return is_array($index) ? $index : [];
+    }
+
+    protected function saveIndex(array $index): void
+    {
+        if ($index === []) {
+            $this->nativeDelete(self::INDEX_KEY);
+
+            return;
+        }
+
+        ksort($index);
+
+        $this->nativeSet(self::INDEX_KEY, json_encode($index));
+    }
+
+    protected function nativeSet(string $key, ?string $value): bool
+    {
+        $decoded = $this->native('SecureStorage.Set', ['key' => $key, 'value' => $value]);
+
+        return isset($decoded['success']) && $decoded['success'] === true;
+    }
+
+    protected function nativeGet(string $key): ?string
+    {
+        $value = $this->native('SecureStorage.Get', ['key' => $key])['value'] ?? null;
+
+        // Treat empty string as null (not found)
+        return ($value === '' || $value === null) ? null : $value;
+    }
+
+    protected function nativeDelete(string $key): bool
+    {
+        $decoded = $this->native('SecureStorage.Delete', ['key' => $key]);
+
+        return isset($decoded['success']) && $decoded['success'] === true;
+    }
+
+    /**
+     * Call the native keychain/keystore.
+     */
+    protected function native(string $method, array $params): ?array
+    {
+        if (! $this->available()) {
+            return null;
+        }
+
+        $result = nativephp_call($method, json_encode($params));
+
+        if (! $result) {
+            return null;
+        }
+
+        $decoded = json_decode($result, true);
+
+        return is_array($decoded) ? $decoded : null;
+    }
+
+    protected function requiredKey(array $params): string
+    {
+        $key = $params['key'] ?? null;
+
+        if (! is_string($key) || $key === '') {
+            throw new InvalidArgumentException('The key parameter is required');
+        }
+
+        return $key;
+    }
+
+    /**
+     * @return string[]
+     */
+    protected function requiredKeys(array $params): array
+    {
+        $keys = $this->requiredArray($params, 'keys');
+
+        foreach ($keys as $key) {
+            if (! is_string($key)) {
+                throw new InvalidArgumentException('The keys parameter must be a list of strings');
+            }
+        }
+
+        return array_values($keys);
+    }
+
+    protected function requiredArray(array $params, string $name): array
+    {
+        if (! is_array($params[$name] ?? null)) {
+            throw new InvalidArgumentException("The {$name} parameter must be an object or array");
+        }
+
+        return $params[$name];
+    }
+
+    protected function optionalString(array $params, string $name): ?string
+    {
+        $value = $params[$name] ?? null;
+
+        if ($value !== null && ! is_string($value)) {
+            throw new InvalidArgumentException("The {$name} parameter must be a string");
         }
 
-        return false;
+        return $value;
     }
 }
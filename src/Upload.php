@@ -0,0 +1,120 @@
+<?php
+
+namespace Native\Mobile;
+
+class Upload
+{
+    /**
+     * Upload a file in the background. The upload keeps going while the app is
+     * suspended; listen for the Upload\Progressed, Upload\Completed and
+     * Upload\Failed events to follow it.
+     *
+     * Options:
+     * - method: string - HTTP method (default: POST)
+     * - headers: array - Extra request headers
+     * - fields: array - Extra form fields (multipart mode)
+     * - fileField: string - Form field name of the file (default: file)
+     * - mode: string - 'multipart' (default) or 'chunked'. Chunked uploads send
+     *   Content-Range requests and resume from the last acknowledged chunk.
+     * - chunkSize: int - Bytes per request in chunked mode (default: 5 MB)
+     * - id: string - Id to use instead of a generated one
+     *
+     * @param  string  $path  Device path of the file to upload
+     * @param  string  $url  Absolute http(s) URL to upload to
+     * @return array|null The upload record, or null if it could not be started
+     */
+    public function start(string $path, string $url, array $options = []): ?array
+    {
+        return $this->call('Upload.Start', array_merge($options, [
+            'path' => $path,
+            'url' => $url,
+        ]));
+    }
+
+    /**
+     * Pause an upload. It can be continued later with resume().
+     *
+     * @return array|null The upload record, or null if the id is unknown
+     */
+    public function pause(string $id): ?array
+    {
+        return $this->call('Upload.Pause', ['id' => $id]);
+    }
+
+    /**
+     * Continue a paused or failed upload. Chunked uploads continue from the
+     * last acknowledged chunk, multipart uploads start over.
+     *
+     * @return array|null The upload record, or null if the id is unknown
+     */
+    public function resume(string $id): ?array
+    {
+        return $this->call('Upload.Resume', ['id' => $id]);
+    }
+
+    /**
+     * Cancel an upload for good.
+     *
+     * @return array|null The upload record, or null if the id is unknown
+     */
+    public function cancel(string $id): ?array
+    {
+        return $this->call('Upload.Cancel', ['id' => $id]);
+    }
+
+    /**
+     * Get the current state of an upload.
+     *
+     * @return array|null The upload record, or null if the id is unknown
+     */
+    public function status(string $id): ?array
+    {
+        return $this->call('Upload.Status', ['id' => $id]);
+    }
+
+    /**
+     * Get every upload the device knows about, oldest first. Finished uploads
+     * are forgotten after a week.
+     */
+    public function all(): array
+    {
+        return $this->call('Upload.List')['uploads'] ?? [];
+    }
+
+    /**
+     * Whether the native upload manager can be reached.
+     */
+    public function available(): bool
+    {
+        return function_exists('nativephp_call');
+    }
+
+    protected function call(string $method, array $params = []): ?array
+    {
+        if (! $this->available()) {
+            return null;
+        }
+
+        $result = $this->native($method, json_encode($params));
+
+        if (! $result) {
+            return null;
+        }
+
+        $decoded = json_decode($result, true);
+
+        if (! is_array($decoded) || ($decoded['status'] ?? null) === 'error') {
+            return null;
+        }
+
+        return $decoded;
+    }
+
+    /**
+     * Call the native upload manager.
+     */
+    protected function native(string $method, string $payload): ?string
+    {
+        return nativephp_call($method, $payload) ?: null;
+    }
+}
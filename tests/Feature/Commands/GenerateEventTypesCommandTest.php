@@ -0,0 +1,137 @@
+<?php
+
+namespace Tests\Feature\Commands;
+
+use Illuminate\Filesystem\Filesystem;
+use Mockery;
+use Native\Mobile\Plugins\Plugin;
+use Native\Mobile\Plugins\PluginManifest;
+use Native\Mobile\Plugins\PluginRegistry;
+use Tests\TestCase;
+
+class GenerateEventTypesCommandTest extends TestCase
+{
+    private Filesystem $files;
+
+    private string $output;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->files = new Filesystem;
+        $this->output = 'storage/framework/testing/native-events-'.uniqid().'/events';
+    }
+
+    protected function tearDown(): void
+    {
+        $this->files->deleteDirectory(dirname(base_path($this->output)));
+        Mockery::close();
+        parent::tearDown();
+    }
+
+    /** @test */
+    public function it_generates_constants_and_payload_types_for_plugin_events(): void
+    {
+        $this->mockRegistry([
+            $this->createPlugin('vendor/camera-plus', [
+                'namespace' => 'CameraPlus',
+                'events' => ['Native\\Mobile\\Events\\Camera\\PhotoTaken'],
+            ]),
+        ]);
+
+        $this->artisan('native:events:generate', ['--output' => $this->output])
+            ->assertSuccessful();
+
+        $js = $this->files->get(base_path($this->output.'.js'));
+        $ts = $this->files->get(base_path($this->output.'.d.ts'));
+
+        $this->assertStringContainsString('export const PluginEvents = {', $js);
+        $this->assertStringContainsString("PhotoTaken: 'Native\\\\Mobile\\\\Events\\\\Camera\\\\PhotoTaken',", $js);
+
+        $this->assertStringContainsString('export interface CameraPlusPhotoTakenPayload {', $ts);
+        $this->assertStringContainsString('    path: string;', $ts);
+        $this->assertStringContainsString('    mimeType?: string;', $ts);
+        $this->assertStringContainsString('    id?: string | null;', $ts);
+        $this->assertStringContainsString("declare module '#nativephp' {", $ts);
+        $this->assertStringContainsString(
+            "'Native\\\\Mobile\\\\Events\\\\Camera\\\\PhotoTaken': CameraPlusPhotoTakenPayload;",
+            $ts
+        );
+    }
+
+    /** @test */
+    public function it_falls_back_to_a_loose_payload_for_classes_that_cannot_be_loaded(): void
+    {
+        $this->mockRegistry([
+            $this->createPlugin('vendor/haptics', [
+                'namespace' => 'Haptics',
+                'events' => ['Vendor\\Haptics\\Events\\HapticsFinished'],
+            ]),
+        ]);
+
+        $this->artisan('native:events:generate', ['--output' => $this->output, '--module' => '@nativephp/mobile'])
+            ->assertSuccessful();
+
+        $ts = $this->files->get(base_path($this->output.'.d.ts'));
+
+        $this->assertStringContainsString('export type HapticsFinishedPayload = Record<string, any>;', $ts);
+        $this->assertStringContainsString("declare module '@nativephp/mobile' {", $ts);
+    }
+
+    /** @test */
+    public function it_generates_empty_files_when_no_plugins_declare_events(): void
+    {
+        $this->mockRegistry([]);
+
+        $this->artisan('native:events:generate', ['--output' => $this->output])
+            ->assertSuccessful();
+
+        $this->assertStringContainsString(
+            "export const PluginEvents = {\n};",
+            $this->files->get(base_path($this->output.'.js'))
+        );
+    }
+
+    /** @test */
+    public function the_bundled_bridge_libraries_contain_a_generated_events_region(): void
+    {
+        $files = [
+            'js/bridge/native.js', 'js/bridge/native.d.ts',
+            'dist/native.js', 'dist/native.cjs', 'dist/native.umd.js', 'dist/native.d.ts', 'dist/native.d.cts',
+            'jump/dist/native.js', 'jump/dist/native.cjs', 'jump/dist/native.umd.js', 'jump/dist/native.d.ts', 'jump/dist/native.d.cts',
+        ];
+
+        foreach ($files as $file) {
+            $contents = $this->files->get(__DIR__.'/../../../resources/'.$file);
+
+            $this->assertStringContainsString('// @generated:events start', $contents, $file);
+            $this->assertStringContainsString('// @generated:events end', $contents, $file);
+            $this->assertStringContainsString('Native\\\\Mobile\\\\Events\\\\Biometric\\\\Completed', $contents, $file);
+        }
+    }
+
+    private function mockRegistry(array $plugins): void
+    {
+        $registry = Mockery::mock(PluginRegistry::class);
+        $registry->shouldReceive('all')->andReturn(collect($plugins));
+
+        $this->app->instance(PluginRegistry::class, $registry);
+    }
+
+    private function createPlugin(string $name, array $manifestData = []): Plugin
+    {
+        $manifest = new PluginManifest(array_merge([
+            'name' => $name,
+            'namespace' => 'TestPlugin',
+            'bridge_functions' => [],
+        ], $manifestData));
+
+        return new Plugin(
+            name: $name,
+            version: '1.0.0',
+            path: '/path/to/'.$name,
+            manifest: $manifest
+        );
+    }
+}
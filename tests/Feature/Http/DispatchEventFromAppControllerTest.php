@@ -0,0 +1,124 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use Illuminate\Support\Facades\Event;
+use Mockery;
+use Native\Mobile\Events\Camera\PhotoTaken;
+use Native\Mobile\Events\Upload\Completed;
+use Native\Mobile\Events\Upload\Failed;
+use Native\Mobile\Events\Upload\Progressed;
+use Native\Mobile\Plugins\PluginRegistry;
+use Tests\TestCase;
+
+class DispatchEventFromAppControllerTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Event::fake();
+
+        $registry = Mockery::mock(PluginRegistry::class);
+        $registry->shouldReceive('events')->andReturn([]);
+
+        $this->app->instance(PluginRegistry::class, $registry);
+    }
+
+    protected function tearDown(): void
+    {
+        Mockery::close();
+        parent::tearDown();
+    }
+
+    public function test_it_dispatches_core_events()
+    {
+        $this->postJson('_native/api/events', [
+            'event' => PhotoTaken::class,
+            'payload' => ['path' => '/tmp/photo.jpg', 'id' => 'abc'],
+        ])
+            ->assertOk()
+            ->assertJson(['success' => true]);
+
+        Event::assertDispatched(PhotoTaken::class, fn ($event) => $event->path === '/tmp/photo.jpg' && $event->id === 'abc');
+    }
+
+    public function test_it_rejects_a_request_without_an_event()
+    {
+        $this->postJson('_native/api/events', [])
+            ->assertStatus(400)
+            ->assertJson(['success' => false, 'code' => 'MISSING_EVENT']);
+    }
+
+    public function test_it_refuses_classes_that_are_not_allowlisted()
+    {
+        $this->postJson('_native/api/events', [
+            'event' => \Illuminate\Filesystem\Filesystem::class,
+        ])
+            ->assertStatus(403)
+            ->assertJson(['success' => false, 'code' => 'EVENT_NOT_ALLOWED']);
+
+        Event::assertNothingDispatched();
+    }
+
+    public function test_it_allows_events_listed_in_the_config()
+    {
+        config(['nativephp.dispatchable_events' => ['Tests\\Feature\\Http\\*']]);
+
+        $this->postJson('_native/api/events', [
+            'event' => AppDispatchedEvent::class,
+            'payload' => ['orderId' => 42],
+        ])
+            ->assertOk();
+
+        Event::assertDispatched(AppDispatchedEvent::class, fn ($event) => $event->orderId === 42);
+    }
+
+    public function test_it_reports_allowlisted_classes_that_do_not_exist()
+    {
+        $this->postJson('_native/api/events', [
+            'event' => 'Native\\Mobile\\Events\\Camera\\Missing',
+        ])
+            ->assertStatus(404)
+            ->assertJson(['success' => false, 'code' => 'EVENT_NOT_FOUND']);
+    }
+
+    public function test_it_rejects_payloads_that_do_not_match_the_constructor()
+    {
+        $this->postJson('_native/api/events', [
+            'event' => PhotoTaken::class,
+            'payload' => ['unknown' => true],
+        ])
+            ->assertStatus(422)
+            ->assertJson(['success' => false, 'code' => 'INVALID_PAYLOAD']);
+
+        Event::assertNothingDispatched();
+    }
+
+    public function test_it_dispatches_the_upload_events_sent_by_the_native_upload_manager()
+    {
+        $this->postJson('_native/api/events', [
+            'event' => Progressed::class,
+            'payload' => ['id' => 'video-1', 'bytesSent' => 5242880, 'totalBytes' => 5242880, 'progress' => 1],
+        ])->assertOk();
+
+        $this->postJson('_native/api/events', [
+            'event' => Completed::class,
+            'payload' => ['id' => 'video-1', 'statusCode' => 201, 'body' => '{"ok":true}'],
+        ])->assertOk();
+
+        $this->postJson('_native/api/events', [
+            'event' => Failed::class,
+            'payload' => ['id' => 'video-2', 'error' => 'Server responded with HTTP 503', 'resumable' => true, 'statusCode' => 503],
+        ])->assertOk();
+
+        Event::assertDispatched(Progressed::class, fn ($event) => $event->id === 'video-1' && $event->progress === 1.0);
+        Event::assertDispatched(Completed::class, fn ($event) => $event->statusCode === 201 && $event->body === '{"ok":true}');
+        Event::assertDispatched(Failed::class, fn ($event) => $event->resumable && $event->statusCode === 503);
+    }
+}
+
+class AppDispatchedEvent
+{
+    public function __construct(public int $orderId) {}
+}
@@ -0,0 +1,55 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use Native\Mobile\Http\Controllers\NativeBatchCallController;
+use Tests\TestCase;
+
+class NativeBatchCallControllerTest extends TestCase
+{
+    public function test_it_rejects_a_request_without_calls()
+    {
+        $this->postJson('_native/api/batch', [])
+            ->assertStatus(400)
+            ->assertJson([
+                'status' => 'error',
+                'code' => 'MISSING_CALLS',
+            ]);
+    }
+
+    public function test_it_rejects_calls_that_are_not_a_list()
+    {
+        $this->postJson('_native/api/batch', ['calls' => ['first' => ['method' => 'Device.GetInfo']]])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'MISSING_CALLS']);
+    }
+
+    public function test_it_rejects_batches_that_are_too_large()
+    {
+        $calls = array_fill(0, NativeBatchCallController::MAX_CALLS + 1, ['method' => 'Device.GetInfo']);
+
+        $this->postJson('_native/api/batch', ['calls' => $calls])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'BATCH_TOO_LARGE']);
+    }
+
+    public function test_it_returns_a_result_for_every_call_in_order()
+    {
+        $this->postJson('_native/api/batch', [
+            'calls' => [
+                ['params' => []],
+                ['method' => 'Device.GetInfo'],
+                'not-a-call',
+            ],
+        ])
+            ->assertOk()
+            ->assertJson([
+                'status' => 'success',
+                'data' => [
+                    ['status' => 'error', 'code' => 'MISSING_METHOD', 'statusCode' => 400],
+                    ['status' => 'error', 'code' => 'FUNCTION_NOT_AVAILABLE', 'statusCode' => 503],
+                    ['status' => 'error', 'code' => 'MISSING_METHOD', 'statusCode' => 400],
+                ],
+            ]);
+    }
+}
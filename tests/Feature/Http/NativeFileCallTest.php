@@ -0,0 +1,254 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use Illuminate\Support\Facades\File;
+use Tests\TestCase;
+
+class NativeFileCallTest extends TestCase
+{
+    protected string $testDir;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->testDir = sys_get_temp_dir().'/nativephp_file_call_test_'.uniqid();
+
+        $this->createDirectoryStructure($this->testDir, [
+            'documents' => [],
+            'cache' => [],
+            'temp' => [],
+            'bundle' => ['app.css' => 'body {}'],
+            'outside' => ['secret.txt' => 'secret'],
+        ]);
+
+        config()->set('nativephp.files.roots', [
+            'documents' => $this->testDir.'/documents',
+            'cache' => $this->testDir.'/cache',
+            'temp' => $this->testDir.'/temp',
+            'app-bundle' => $this->testDir.'/bundle',
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        File::deleteDirectory($this->testDir);
+        parent::tearDown();
+    }
+
+    protected function callFile(string $method, array $params)
+    {
+        return $this->postJson('_native/api/call', ['method' => $method, 'params' => $params]);
+    }
+
+    public function test_it_writes_and_reads_files_as_base64()
+    {
+        $contents = "binary \x00\xff contents";
+
+        $this->callFile('File.Write', ['path' => 'notes/today.txt', 'data' => base64_encode($contents)])
+            ->assertOk()
+            ->assertJson([
+                'status' => 'success',
+                'data' => [
+                    'name' => 'today.txt',
+                    'root' => 'documents',
+                    'relativePath' => 'notes/today.txt',
+                    'type' => 'file',
+                    'size' => strlen($contents),
+                ],
+            ]);
+
+        $this->callFile('File.Append', ['path' => 'notes/today.txt', 'data' => base64_encode('!')])
+            ->assertOk();
+
+        $this->callFile('File.Read', ['path' => 'notes/today.txt'])
+            ->assertOk()
+            ->assertJson(['data' => ['data' => base64_encode($contents.'!'), 'size' => strlen($contents) + 1]]);
+    }
+
+    public function test_it_resolves_relative_paths_against_the_given_root()
+    {
+        $this->callFile('File.Write', ['path' => 'thumb.jpg', 'root' => 'cache', 'data' => base64_encode('jpg')])
+            ->assertOk()
+            ->assertJson(['data' => ['root' => 'cache']]);
+
+        $this->assertFileExists($this->testDir.'/cache/thumb.jpg');
+    }
+
+    public function test_it_accepts_absolute_paths_inside_a_root()
+    {
+        file_put_contents($this->testDir.'/temp/photo.jpg', 'jpg');
+
+        $this->callFile('File.Read', ['path' => $this->testDir.'/temp/photo.jpg'])
+            ->assertOk()
+            ->assertJson(['data' => ['data' => base64_encode('jpg')]]);
+    }
+
+    public function test_it_rejects_paths_that_escape_the_roots()
+    {
+        $this->callFile('File.Read', ['path' => '../outside/secret.txt'])
+            ->assertStatus(403)
+            ->assertJson(['status' => 'error', 'code' => 'PATH_NOT_ALLOWED']);
+
+        $this->callFile('File.Read', ['path' => $this->testDir.'/outside/secret.txt'])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'PATH_NOT_ALLOWED']);
+
+        $this->callFile('File.Write', ['path' => '../outside/new.txt', 'data' => base64_encode('x')])
+            ->assertStatus(403);
+
+        $this->assertFileDoesNotExist($this->testDir.'/outside/new.txt');
+    }
+
+    public function test_it_rejects_relative_paths_that_leave_their_root_for_another()
+    {
+        $this->callFile('File.Write', ['path' => '../cache/file.txt', 'data' => base64_encode('x')])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'PATH_NOT_ALLOWED']);
+    }
+
+    public function test_it_does_not_follow_symlinks_out_of_a_root()
+    {
+        symlink($this->testDir.'/outside', $this->testDir.'/documents/link');
+
+        $this->callFile('File.Read', ['path' => 'link/secret.txt'])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'PATH_NOT_ALLOWED']);
+    }
+
+    public function test_the_app_bundle_is_read_only()
+    {
+        $this->callFile('File.Read', ['path' => 'app.css', 'root' => 'app-bundle'])
+            ->assertOk()
+            ->assertJson(['data' => ['data' => base64_encode('body {}')]]);
+
+        $this->callFile('File.Write', ['path' => 'app.css', 'root' => 'app-bundle', 'data' => base64_encode('x')])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'READ_ONLY_ROOT']);
+
+        $this->callFile('File.Delete', ['path' => $this->testDir.'/bundle/app.css'])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'READ_ONLY_ROOT']);
+
+        $this->assertFileExists($this->testDir.'/bundle/app.css');
+    }
+
+    public function test_it_rejects_unknown_roots()
+    {
+        $this->callFile('File.List', ['root' => 'photos'])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'UNKNOWN_ROOT']);
+    }
+
+    public function test_it_reports_missing_files()
+    {
+        $this->callFile('File.Read', ['path' => 'missing.txt'])
+            ->assertStatus(404)
+            ->assertJson(['code' => 'FILE_NOT_FOUND']);
+
+        $this->callFile('File.Exists', ['path' => 'missing.txt'])
+            ->assertOk()
+            ->assertJson(['data' => ['exists' => false]]);
+    }
+
+    public function test_it_rejects_data_that_is_not_base64()
+    {
+        $this->callFile('File.Write', ['path' => 'file.txt', 'data' => 'not base64!'])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'INVALID_DATA']);
+    }
+
+    public function test_it_creates_lists_and_deletes_directories()
+    {
+        $this->callFile('File.Mkdir', ['path' => 'albums/summer'])
+            ->assertOk()
+            ->assertJson(['data' => ['type' => 'directory', 'relativePath' => 'albums/summer']]);
+
+        $this->callFile('File.Write', ['path' => 'albums/summer/b.jpg', 'data' => base64_encode('b')]);
+        $this->callFile('File.Write', ['path' => 'albums/summer/a.jpg', 'data' => base64_encode('a')]);
+
+        $this->callFile('File.List', ['path' => 'albums/summer'])
+            ->assertOk()
+            ->assertJson(['data' => ['entries' => [
+                ['name' => 'a.jpg', 'type' => 'file', 'size' => 1],
+                ['name' => 'b.jpg', 'type' => 'file', 'size' => 1],
+            ]]]);
+
+        $this->callFile('File.Delete', ['path' => 'albums'])
+            ->assertStatus(500)
+            ->assertJson(['code' => 'FILE_OPERATION_FAILED']);
+
+        $this->callFile('File.Delete', ['path' => 'albums', 'recursive' => true])
+            ->assertOk()
+            ->assertJson(['data' => ['deleted' => true]]);
+
+        $this->assertDirectoryDoesNotExist($this->testDir.'/documents/albums');
+
+        $this->callFile('File.Delete', ['path' => 'albums'])
+            ->assertOk()
+            ->assertJson(['data' => ['deleted' => false]]);
+    }
+
+    public function test_it_never_deletes_a_root()
+    {
+        $this->callFile('File.Delete', ['path' => '', 'recursive' => true])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'PATH_NOT_ALLOWED']);
+
+        $this->assertDirectoryExists($this->testDir.'/documents');
+    }
+
+    public function test_it_serves_files_through_issued_urls()
+    {
+        file_put_contents($this->testDir.'/temp/clip.mp4', 'video bytes');
+
+        $response = $this->callFile('File.Url', ['path' => $this->testDir.'/temp/clip.mp4'])
+            ->assertOk()
+            ->assertJson(['data' => ['name' => 'clip.mp4', 'root' => 'temp', 'size' => 11]]);
+
+        $url = $response->json('data.url');
+
+        $this->assertStringStartsWith('/_native/api/file/', $url);
+
+        $served = $this->get($url)
+            ->assertOk()
+            ->assertHeader('Content-Security-Policy', 'sandbox');
+
+        $this->assertSame(realpath($this->testDir.'/temp/clip.mp4'), $served->baseResponse->getFile()->getRealPath());
+
+        $this->get($url, ['Range' => 'bytes=0-4'])
+            ->assertStatus(206)
+            ->assertHeader('Content-Range', 'bytes 0-4/11');
+    }
+
+    public function test_revoked_and_expired_file_urls_stop_working()
+    {
+        file_put_contents($this->testDir.'/documents/photo.jpg', 'jpg');
+
+        $revoked = $this->callFile('File.Url', ['path' => 'photo.jpg'])->json('data.url');
+
+        $this->callFile('File.RevokeUrl', ['url' => $revoked])
+            ->assertOk()
+            ->assertJson(['data' => ['revoked' => 1]]);
+
+        $this->get($revoked)
+            ->assertNotFound()
+            ->assertJson(['code' => 'FILE_URL_NOT_FOUND']);
+
+        $expired = $this->callFile('File.Url', ['path' => 'photo.jpg', 'ttl' => 60])->json('data.url');
+
+        $this->travel(61)->seconds();
+
+        $this->get($expired)->assertNotFound();
+    }
+
+    public function test_file_urls_are_only_issued_inside_the_roots()
+    {
+        $this->callFile('File.Url', ['path' => $this->testDir.'/outside/secret.txt'])
+            ->assertStatus(403)
+            ->assertJson(['code' => 'PATH_NOT_ALLOWED']);
+
+        $this->get('/_native/api/file/made-up-token')->assertNotFound();
+    }
+}
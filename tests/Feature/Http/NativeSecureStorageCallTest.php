@@ -0,0 +1,278 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use ArrayObject;
+use Closure;
+use Native\Mobile\SecureStorage;
+use Tests\TestCase;
+
+class NativeSecureStorageCallTest extends TestCase
+{
+    protected InMemorySecureStorage $storage;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->storage = new InMemorySecureStorage;
+
+        $this->app->instance(SecureStorage::class, $this->storage);
+    }
+
+    protected function callStorage(string $method, array $params = [])
+    {
+        return $this->postJson('_native/api/call', ['method' => $method, 'params' => $params]);
+    }
+
+    public function test_it_stores_and_reads_values()
+    {
+        $this->callStorage('SecureStorage.Set', ['key' => 'token', 'value' => 'secret'])
+            ->assertOk()
+            ->assertJson(['status' => 'success', 'data' => ['success' => true]]);
+
+        $this->callStorage('SecureStorage.Get', ['key' => 'token'])
+            ->assertOk()
+            ->assertJson(['data' => ['value' => 'secret']]);
+
+        $this->callStorage('SecureStorage.Has', ['key' => 'token'])
+            ->assertJson(['data' => ['exists' => true]]);
+
+        $this->callStorage('SecureStorage.Delete', ['key' => 'token'])
+            ->assertJson(['data' => ['success' => true]]);
+
+        $this->callStorage('SecureStorage.Get', ['key' => 'token'])
+            ->assertJson(['data' => ['value' => null]]);
+
+        $this->assertSame([], $this->storage->values->getArrayCopy());
+    }
+
+    public function test_namespaced_keys_are_listed_and_cleared_separately()
+    {
+        $this->callStorage('SecureStorage.SetMany', ['namespace' => 'user.1', 'values' => ['token' => 'a', 'refresh' => 'b']])
+            ->assertOk();
+        $this->callStorage('SecureStorage.Set', ['namespace' => 'user.2', 'key' => 'token', 'value' => 'c']);
+        $this->callStorage('SecureStorage.Set', ['key' => 'device', 'value' => 'd']);
+
+        $this->assertSame('a', $this->storage->values['user.1::token']);
+
+        $this->callStorage('SecureStorage.Keys', ['namespace' => 'user.1'])
+            ->assertExactJson(['status' => 'success', 'data' => ['keys' => ['refresh', 'token']]]);
+
+        $this->callStorage('SecureStorage.Keys')
+            ->assertExactJson(['status' => 'success', 'data' => ['keys' => ['device', 'user.1::refresh', 'user.1::token', 'user.2::token']]]);
+
+        $this->callStorage('SecureStorage.Clear', ['namespace' => 'user.1'])
+            ->assertJson(['data' => ['cleared' => 2]]);
+
+        $this->callStorage('SecureStorage.GetMany', ['namespace' => 'user.2', 'keys' => ['token', 'refresh']])
+            ->assertExactJson(['status' => 'success', 'data' => ['values' => ['token' => 'c', 'refresh' => null]]]);
+
+        $this->callStorage('SecureStorage.Clear')
+            ->assertJson(['data' => ['cleared' => 2]]);
+
+        $this->assertSame([], $this->storage->values->getArrayCopy());
+    }
+
+    public function test_values_expire_after_their_ttl()
+    {
+        $this->callStorage('SecureStorage.Set', ['key' => 'otp', 'value' => '123456', 'ttl' => 60]);
+        $this->callStorage('SecureStorage.Set', ['key' => 'token', 'value' => 'secret']);
+
+        $this->travel(59)->seconds();
+
+        $this->callStorage('SecureStorage.Get', ['key' => 'otp'])
+            ->assertJson(['data' => ['value' => '123456']]);
+
+        $this->travel(2)->seconds();
+
+        $this->callStorage('SecureStorage.Has', ['key' => 'otp'])
+            ->assertJson(['data' => ['exists' => false]]);
+
+        $this->callStorage('SecureStorage.Keys')
+            ->assertJson(['data' => ['keys' => ['token']]]);
+
+        $this->assertArrayNotHasKey('otp', $this->storage->values);
+
+        $this->storage->set('raw', SecureStorage::EXPIRES_PREFIX.'1:value');
+        $this->assertSame(SecureStorage::EXPIRES_PREFIX.'1:value', $this->storage->get('raw'));
+    }
+
+    public function test_reading_a_value_takes_a_single_native_call()
+    {
+        $this->storage->set('token', 'secret');
+        $this->storage->set('otp', '123456', 60);
+
+        $calls = [];
+        $this->storage->afterNative = function (string $method, string $key) use (&$calls) {
+            $calls[] = "{$method} {$key}";
+        };
+
+        $this->assertSame('secret', $this->storage->get('token'));
+        $this->assertSame('123456', $this->storage->get('otp'));
+        $this->assertSame(['SecureStorage.Get token', 'SecureStorage.Get otp'], $calls);
+    }
+
+    public function test_a_write_made_by_another_request_while_storing_values_stays_in_the_index()
+    {
+        $other = $this->storage->namespace('other');
+
+        $this->storage->afterNative = function (string $method, string $key) use ($other) {
+            if ($method === 'SecureStorage.Set' && $key === 'token') {
+                $this->storage->afterNative = null;
+                $other->set('device', 'b');
+            }
+        };
+
+        $this->storage->set('token', 'a');
+
+        $this->assertSame(['other::device', 'token'], $this->storage->keys());
+    }
+
+    public function test_an_index_entry_overwritten_by_another_request_is_written_again()
+    {
+        // The other request read the index before this one wrote it, and writes its own version right after
+        $this->storage->afterNative = function (string $method, string $key) {
+            if ($method === 'SecureStorage.Set' && $key === SecureStorage::INDEX_KEY) {
+                $this->storage->afterNative = null;
+                $this->storage->values['device'] = 'b';
+                $this->storage->values[SecureStorage::INDEX_KEY] = json_encode(['device' => null]);
+            }
+        };
+
+        $this->storage->set('token', 'a');
+
+        $this->assertSame(['device', 'token'], $this->storage->keys());
+    }
+
+    public function test_json_values_round_trip_through_the_php_api()
+    {
+        $profile = ['name' => 'Ada', 'roles' => ['admin']];
+
+        $this->assertTrue($this->storage->namespace('user.1')->setJSON('profile', $profile));
+
+        $this->assertSame($profile, $this->storage->namespace('user.1')->getJSON('profile'));
+        $this->assertSame('fallback', $this->storage->getJSON('profile', 'fallback'));
+
+        $this->storage->set('plain', 'not json');
+        $this->assertNull($this->storage->getJSON('plain'));
+    }
+
+    public function test_values_written_before_the_index_existed_can_still_be_read()
+    {
+        $this->storage->values['legacy'] = 'value';
+
+        $this->assertSame('value', $this->storage->get('legacy'));
+        $this->assertSame([], $this->storage->keys());
+        $this->assertTrue($this->storage->delete('legacy'));
+    }
+
+    public function test_it_rejects_invalid_parameters()
+    {
+        $this->callStorage('SecureStorage.Get')
+            ->assertStatus(400)
+            ->assertJson(['status' => 'error', 'code' => 'INVALID_PARAMETERS']);
+
+        $this->callStorage('SecureStorage.SetMany', ['values' => ['count' => 3]])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'INVALID_PARAMETERS']);
+
+        $this->callStorage('SecureStorage.Keys', ['namespace' => 'a::b'])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'INVALID_PARAMETERS']);
+
+        $this->callStorage('SecureStorage.Set', ['key' => SecureStorage::INDEX_KEY, 'value' => '{}'])
+            ->assertStatus(400);
+
+        $this->callStorage('SecureStorage.Set', ['namespace' => 'user.1', 'key' => 'a::b', 'value' => 'a'])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'INVALID_PARAMETERS']);
+
+        $this->assertSame([], $this->storage->values->getArrayCopy());
+    }
+
+    public function test_nothing_is_written_when_any_value_is_invalid()
+    {
+        $this->callStorage('SecureStorage.SetMany', ['values' => ['token' => 'secret', 'count' => 3]])
+            ->assertStatus(400)
+            ->assertJson(['code' => 'INVALID_PARAMETERS']);
+
+        $this->callStorage('SecureStorage.SetMany', ['namespace' => 'user.1', 'values' => ['token' => 'secret', 'a::b' => 'c']])
+            ->assertStatus(400);
+
+        $this->assertSame([], $this->storage->values->getArrayCopy());
+    }
+
+    public function test_plain_keys_may_contain_the_namespace_separator()
+    {
+        $this->assertTrue($this->storage->set('legacy::token', 'secret'));
+
+        $this->assertSame('secret', $this->storage->get('legacy::token'));
+        $this->assertSame('secret', $this->storage->namespace('legacy')->get('token'));
+        $this->assertTrue($this->storage->delete('legacy::token'));
+    }
+
+    public function test_setting_null_passes_null_to_the_native_storage()
+    {
+        $this->storage->set('token', 'secret');
+
+        $this->assertTrue($this->storage->set('token', null));
+
+        $this->assertArrayHasKey('token', $this->storage->values);
+        $this->assertNull($this->storage->values['token']);
+        $this->assertNull($this->storage->get('token'));
+        $this->assertFalse($this->storage->has('token'));
+    }
+
+    public function test_it_reports_when_the_native_storage_is_not_available()
+    {
+        $this->app->instance(SecureStorage::class, new SecureStorage);
+
+        $this->callStorage('SecureStorage.Get', ['key' => 'token'])
+            ->assertStatus(503)
+            ->assertJson(['code' => 'FUNCTION_NOT_AVAILABLE']);
+    }
+}
+
+/**
+ * Stands in for the native keychain/keystore, which only has Set, Get and Delete.
+ * The values are shared with the copies made by namespace(). afterNative runs
+ * after every call, to observe calls or interleave another request's writes.
+ */
+class InMemorySecureStorage extends SecureStorage
+{
+    public ArrayObject $values;
+
+    public ?Closure $afterNative = null;
+
+    public function __construct()
+    {
+        $this->values = new ArrayObject;
+    }
+
+    public function available(): bool
+    {
+        return true;
+    }
+
+    protected function native(string $method, array $params): ?array
+    {
+        $key = $params['key'];
+
+        if ($method === 'SecureStorage.Get') {
+            $result = ['value' => $this->values[$key] ?? null];
+        } elseif ($method === 'SecureStorage.Set') {
+            $this->values[$key] = $params['value'];
+            $result = ['success' => true];
+        } else {
+            unset($this->values[$key]);
+            $result = ['success' => true];
+        }
+
+        if ($this->afterNative) {
+            ($this->afterNative)($method, $key);
+        }
+
+        return $result;
+    }
+}
@@ -0,0 +1,49 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use Illuminate\Support\Facades\Route;
+use Native\Mobile\Edge\Edge;
+use Tests\TestCase;
+
+class RenderEdgeComponentsTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Route::get('edge-page', function () {
+            Edge::add('bottom_nav', ['dark' => true]);
+
+            return 'page';
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Edge::reset();
+        parent::tearDown();
+    }
+
+    public function test_it_returns_the_page_and_clears_the_components()
+    {
+        $this->get('edge-page')
+            ->assertOk()
+            ->assertSee('page');
+
+        $this->assertSame([], Edge::all());
+    }
+
+    public function test_it_returns_the_components_when_asked_to_refresh()
+    {
+        $this->get('edge-page', ['X-NativePHP-Edge' => 'refresh'])
+            ->assertOk()
+            ->assertExactJson([
+                'components' => [
+                    ['type' => 'bottom_nav', 'data' => ['dark' => true]],
+                ],
+            ]);
+
+        $this->assertSame([], Edge::all());
+    }
+}
@@ -0,0 +1,138 @@
+<?php
+
+namespace Tests\Feature;
+
+use Native\Mobile\Events\Upload\Completed;
+use Native\Mobile\Events\Upload\Failed;
+use Native\Mobile\Events\Upload\Progressed;
+use Native\Mobile\Facades\Upload as UploadFacade;
+use Native\Mobile\Upload;
+use Tests\TestCase;
+
+class UploadTest extends TestCase
+{
+    protected RecordingUpload $upload;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->upload = new RecordingUpload;
+
+        $this->app->instance(Upload::class, $this->upload);
+    }
+
+    public function test_it_starts_an_upload_with_its_options()
+    {
+        $this->upload->responses['Upload.Start'] = json_encode([
+            'id' => 'video-1',
+            'status' => 'queued',
+            'bytesSent' => 0,
+            'totalBytes' => 1024,
+        ]);
+
+        $record = UploadFacade::start('/data/video.mp4', 'https://api.example.com/videos', [
+            'mode' => 'chunked',
+            'headers' => ['Authorization' => 'Bearer token'],
+        ]);
+
+        $this->assertSame('video-1', $record['id']);
+        $this->assertSame([[
+            'Upload.Start',
+            [
+                'mode' => 'chunked',
+                'headers' => ['Authorization' => 'Bearer token'],
+                'path' => '/data/video.mp4',
+                'url' => 'https://api.example.com/videos',
+            ],
+        ]], $this->upload->calls);
+    }
+
+    public function test_the_path_and_url_cannot_be_overridden_by_options()
+    {
+        UploadFacade::start('/data/video.mp4', 'https://api.example.com/videos', ['url' => 'https://elsewhere.test']);
+
+        $this->assertSame('https://api.example.com/videos', $this->upload->calls[0][1]['url']);
+    }
+
+    public function test_it_controls_uploads_by_id()
+    {
+        foreach (['Pause', 'Resume', 'Cancel', 'Status'] as $method) {
+            $this->upload->responses["Upload.{$method}"] = json_encode(['id' => 'video-1', 'status' => strtolower($method)]);
+        }
+
+        $this->assertSame('pause', UploadFacade::pause('video-1')['status']);
+        $this->assertSame('resume', UploadFacade::resume('video-1')['status']);
+        $this->assertSame('cancel', UploadFacade::cancel('video-1')['status']);
+        $this->assertSame('status', UploadFacade::status('video-1')['status']);
+
+        $this->assertSame([
+            ['Upload.Pause', ['id' => 'video-1']],
+            ['Upload.Resume', ['id' => 'video-1']],
+            ['Upload.Cancel', ['id' => 'video-1']],
+            ['Upload.Status', ['id' => 'video-1']],
+        ], $this->upload->calls);
+    }
+
+    public function test_it_lists_uploads()
+    {
+        $this->upload->responses['Upload.List'] = json_encode(['uploads' => [['id' => 'video-1'], ['id' => 'video-2']]]);
+
+        $this->assertSame([['id' => 'video-1'], ['id' => 'video-2']], UploadFacade::all());
+    }
+
+    public function test_native_errors_return_null()
+    {
+        $this->upload->responses['Upload.Status'] = json_encode(['status' => 'error', 'code' => 'NOT_FOUND', 'message' => 'Unknown upload']);
+        $this->upload->responses['Upload.Start'] = 'not json';
+
+        $this->assertNull(UploadFacade::status('missing'));
+        $this->assertNull(UploadFacade::start('/data/video.mp4', 'https://api.example.com/videos'));
+        $this->assertSame([], UploadFacade::all());
+    }
+
+    public function test_nothing_is_called_when_the_native_upload_manager_is_not_available()
+    {
+        $this->app->instance(Upload::class, new Upload);
+
+        $this->assertNull(UploadFacade::start('/data/video.mp4', 'https://api.example.com/videos'));
+        $this->assertNull(UploadFacade::pause('video-1'));
+        $this->assertSame([], UploadFacade::all());
+    }
+
+    public function test_the_upload_events_carry_the_native_payload()
+    {
+        $progressed = new Progressed('video-1', 512, 1024, 0.5);
+        $completed = new Completed('video-1', 201);
+        $failed = new Failed('video-2', 'Network error');
+
+        $this->assertSame(0.5, $progressed->progress);
+        $this->assertSame(1024, $progressed->totalBytes);
+        $this->assertNull($completed->body);
+        $this->assertTrue($failed->resumable);
+        $this->assertNull($failed->statusCode);
+    }
+}
+
+/**
+ * Stands in for the native upload manager, recording every call and answering
+ * with the JSON set in $responses.
+ */
+class RecordingUpload extends Upload
+{
+    public array $calls = [];
+
+    public array $responses = [];
+
+    public function available(): bool
+    {
+        return true;
+    }
+
+    protected function native(string $method, string $payload): ?string
+    {
+        $this->calls[] = [$method, json_decode($payload, true)];
+
+        return $this->responses[$method] ?? null;
+    }
+}
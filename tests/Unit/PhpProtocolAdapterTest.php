@@ -0,0 +1,59 @@
+<?php
+
+namespace Tests\Unit;
+
+use Illuminate\Support\Facades\File;
+use Symfony\Component\Process\ExecutableFinder;
+use Symfony\Component\Process\Process;
+use Tests\TestCase;
+
+class PhpProtocolAdapterTest extends TestCase
+{
+    protected string $testDir;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // Copy the adapters next to a package.json so Node loads them as ES modules
+        $this->testDir = sys_get_temp_dir().'/nativephp_adapter_test_'.uniqid();
+        File::makeDirectory($this->testDir.'/jump/js', 0755, true);
+        File::copyDirectory(__DIR__.'/../../resources/js', $this->testDir.'/js');
+        File::copy(__DIR__.'/../../resources/jump/js/phpProtocolAdapter.js', $this->testDir.'/jump/js/phpProtocolAdapter.js');
+        File::put($this->testDir.'/package.json', '{"type": "module"}');
+    }
+
+    protected function tearDown(): void
+    {
+        File::deleteDirectory($this->testDir);
+        parent::tearDown();
+    }
+
+    public function test_the_adapter_can_still_be_imported_as_the_default_export()
+    {
+        $node = (new ExecutableFinder)->find('node');
+
+        if ($node === null) {
+            $this->markTestSkipped('Node is not installed');
+        }
+
+        $script = <<<'JS'
+            import phpProtocolAdapter from './js/phpProtocolAdapter.js'
+            import jumpAdapter from './jump/js/phpProtocolAdapter.js'
+
+            console.log(JSON.stringify({
+                type: typeof phpProtocolAdapter,
+                length: phpProtocolAdapter.length,
+                jump: jumpAdapter === phpProtocolAdapter,
+            }))
+            JS;
+
+        $process = new Process([$node, '--input-type=module', '-e', $script], $this->testDir);
+        $process->mustRun();
+
+        $this->assertSame(
+            ['type' => 'function', 'length' => 1, 'jump' => true],
+            json_decode($process->getOutput(), true)
+        );
+    }
+}